@@ -7,7 +7,14 @@ const path = require('node:path')
 const AutoLoad = require('@fastify/autoload')
 
 // Pass --options via CLI arguments in command to enable these options.
-const options = {}
+const options = {
+  // Behind nginx: use X-Forwarded-For for request.ip (session records)
+  trustProxy: true,
+  // Reject unknown fields instead of silently dropping them (see schemas/)
+  ajv: {
+    customOptions: { removeAdditional: false }
+  }
+}
 
 module.exports = async function (fastify, opts) {
   // Register CORS for frontend communication
@@ -0,0 +1,144 @@
+'use strict'
+
+const fp = require('fastify-plugin')
+const AuthError = require('../services/errors')
+const UserService = require('../services/user')
+const { ROLES } = require('../services/user')
+const SessionService = require('../services/session')
+
+// Temp tokens (second factor pending), link and email verification tokens and
+// the access tokens of OIDC clients (bound to the client with `aud`) are
+// signed with the same keys but never grant access
+function isAccessToken(claims) {
+  return !!claims && !!claims.id && !!claims.sid && !claims.temp2FA && !claims.type && !claims.aud
+}
+
+/**
+ * This plugin authenticates requests with the access token of the
+ * `Authorization: Bearer` header. Routes opt in with a preHandler:
+ *
+ *   fastify.get('/path', { preHandler: fastify.authenticate() }, handler)
+ *   fastify.post('/admin', {
+ *     preHandler: fastify.authenticate({ require2FAVerified: true, requireRole: 'admin' })
+ *   }, handler)
+ *
+ * `request.user` holds the token claims ({ id, sid, email, username, role,
+ * twoFactorVerified }). With `requireAuth: false` a missing or invalid token
+ * leaves it null instead of failing. The account is loaded on every request
+ * (`request.account`), so a deactivation or a role change applies before the
+ * token expires. Failures are thrown as AuthErrors.
+ *
+ * `requireRecentAuth` also wants the `X-Reauth-Token` header: a token from
+ * POST /auth/reauth, issued for the same session a few minutes ago. Routes
+ * that only sometimes need it (e.g. an email change) call
+ * `request.requireRecentAuth()` instead.
+ *
+ * By default tokens are checked against the signing keys and the session
+ * store. Other services, such as the game server, register the plugin with
+ * their own `verifyToken(token, request)` (e.g. against the JWKS) and
+ * `loadUser(claims, request)` (e.g. GET /auth/me).
+ */
+module.exports = fp(async function (fastify, opts) {
+  // Created on first use: the database and keys plugins may register later
+  let userService = null
+  let sessionService = null
+  function services() {
+    if (!userService) {
+      userService = new UserService(fastify.db, fastify.keys)
+      sessionService = new SessionService(fastify.db)
+    }
+    return { userService, sessionService }
+  }
+
+  const verifyToken = opts.verifyToken || async function (token, request) {
+    const claims = services().userService.verifyJWT(token)
+    if (!await services().sessionService.touchSession(claims.sid, { ip: request.ip })) {
+      throw new AuthError('AUTH_TOKEN_INVALID')
+    }
+    return claims
+  }
+
+  const loadUser = opts.loadUser || function (claims) {
+    return services().userService.getUserById(claims.id)
+  }
+
+  const verifyReauthToken = opts.verifyReauthToken || function (token, claims) {
+    return services().userService.verifyReauthToken(token, claims)
+  }
+
+  fastify.decorateRequest('user', null)
+  fastify.decorateRequest('account', null)
+  // Payload of the reauth token, once checked
+  fastify.decorateRequest('recentAuth', null)
+
+  // Throws unless the request carries a valid reauth token for its session
+  fastify.decorateRequest('requireRecentAuth', function () {
+    if (!this.user) {
+      throw new AuthError('AUTH_TOKEN_MISSING')
+    }
+    const token = this.headers['x-reauth-token']
+    const recentAuth = token ? verifyReauthToken(token, this.user) : null
+    if (!recentAuth) {
+      throw new AuthError('AUTH_REAUTH_REQUIRED')
+    }
+    this.recentAuth = recentAuth
+    return recentAuth
+  })
+
+  fastify.decorate('authenticate', function ({ requireAuth = true, require2FAVerified = false, requireRole = null, requireRecentAuth = false } = {}) {
+    if (requireRole && !ROLES.includes(requireRole)) {
+      throw new Error(`Unknown role: ${requireRole}`)
+    }
+
+    return async function (request, reply) {
+      const authHeader = request.headers.authorization
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        if (requireAuth) {
+          throw new AuthError('AUTH_TOKEN_MISSING')
+        }
+        return
+      }
+
+      let claims
+      try {
+        claims = await verifyToken(authHeader.substring(7), request)
+        if (!isAccessToken(claims)) {
+          throw new AuthError('AUTH_TOKEN_INVALID')
+        }
+      } catch (error) {
+        if (!(error instanceof AuthError)) {
+          throw error
+        }
+        if (requireAuth) {
+          throw new AuthError('AUTH_TOKEN_INVALID')
+        }
+        return
+      }
+
+      // A deactivated account loses access with its next request
+      const account = await loadUser(claims, request)
+      if (!account || !account.isActive) {
+        if (requireAuth) {
+          throw new AuthError('AUTH_TOKEN_INVALID')
+        }
+        return
+      }
+
+      const { userService } = services()
+      if (require2FAVerified && userService.requires2FA(account) && !claims.twoFactorVerified) {
+        throw new AuthError('AUTH_2FA_NOT_VERIFIED')
+      }
+      // The role is read from the account, not from the token
+      if (requireRole && !userService.hasRole(account, requireRole)) {
+        throw new AuthError('AUTH_FORBIDDEN')
+      }
+
+      request.account = account
+      request.user = claims
+
+      if (requireRecentAuth) {
+        request.requireRecentAuth()
+      }
+    }
+  })
+}, { name: 'authenticate' })
@@ -0,0 +1,21 @@
+'use strict'
+
+const fp = require('fastify-plugin')
+const Database = require('../services/database')
+const schema = require('../services/schema')
+
+/**
+ * This plugin connects to the SQLite service, applies pending
+ * migrations at boot and exposes the client as `fastify.db`
+ */
+module.exports = fp(async function (fastify, opts) {
+  const db = opts.db || new Database()
+
+  const applied = await db.migrate(schema)
+  if (applied.length > 0) {
+    fastify.log.info(`Applied database migrations: ${applied.join(', ')}`)
+  }
+  fastify.log.info(`Database schema ready (${db.baseUrl})`)
+
+  fastify.decorate('db', db)
+}, { name: 'database' })
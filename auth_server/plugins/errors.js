@@ -0,0 +1,75 @@
+'use strict'
+
+const fp = require('fastify-plugin')
+const AuthError = require('../services/errors')
+
+// Where a schema violation is: body.email, querystring.limit...
+function validationField(context, issue) {
+  const path = issue.instancePath.split('/').filter(Boolean)
+  const property = issue.params.missingProperty || issue.params.additionalProperty
+  return [context, ...path, property].filter(Boolean).join('.')
+}
+
+/**
+ * This plugin gives every error response the same shape,
+ * { error, code, ...details }, with a code from services/errors.js:
+ * AuthErrors thrown by services and routes, schema violations
+ * (VALIDATION_FAILED), unknown routes (NOT_FOUND) and anything unexpected,
+ * which is logged and answered with a generic INTERNAL_ERROR.
+ *
+ * `reply.sendError(codeOrError, details)` sends one from a route.
+ */
+module.exports = fp(async function (fastify, opts) {
+  function toAuthError(error, log) {
+    if (error instanceof AuthError) {
+      return error
+    }
+    if (error.validation) {
+      return new AuthError('VALIDATION_FAILED', error.message, {
+        validation: error.validation.map(issue => ({
+          field: validationField(error.validationContext, issue),
+          message: issue.message
+        }))
+      })
+    }
+    if (error.statusCode === 413) {
+      return new AuthError('PAYLOAD_TOO_LARGE')
+    }
+    if (error.statusCode === 415) {
+      return new AuthError('UNSUPPORTED_MEDIA_TYPE')
+    }
+    // Malformed requests caught by Fastify itself (e.g. invalid JSON)
+    if (error.statusCode >= 400 && error.statusCode < 500 && error.code && error.code.startsWith('FST_')) {
+      return new AuthError('VALIDATION_FAILED', error.message)
+    }
+
+    log.error({ err: error }, 'Unexpected error')
+    return new AuthError('INTERNAL_ERROR')
+  }
+
+  function send(reply, error) {
+    const authError = toAuthError(error, reply.log)
+    return reply.code(authError.statusCode).send(authError.toResponse())
+  }
+
+  fastify.decorateReply('sendError', function (codeOrError, details = null) {
+    const error = typeof codeOrError === 'string' ? new AuthError(codeOrError, null, details) : codeOrError
+    return send(this, error)
+  })
+
+  fastify.setErrorHandler(function (error, request, reply) {
+    return send(reply, error)
+  })
+
+  fastify.setNotFoundHandler(function (request, reply) {
+    return reply.sendError('NOT_FOUND')
+  })
+
+  // A request without a body is validated as an empty one, so optional
+  // bodies can be left out and missing fields are reported by name
+  fastify.addHook('preValidation', async function (request) {
+    if (request.body === undefined && request.routeOptions.schema && request.routeOptions.schema.body) {
+      request.body = {}
+    }
+  })
+}, { name: 'errors' })
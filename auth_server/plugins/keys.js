@@ -0,0 +1,35 @@
+'use strict'
+
+const fp = require('fastify-plugin')
+const KeyService = require('../services/keys')
+
+const ROTATION_CHECK_INTERVAL_MS = 60 * 60 * 1000 // 1 hour
+
+/**
+ * This plugin loads the JWT signing keys (creating or rotating them
+ * when needed) and exposes them as `fastify.keys`
+ */
+module.exports = fp(async function (fastify, opts) {
+  const keys = opts.keys || new KeyService()
+
+  const rotated = keys.ensureKeys()
+  if (rotated) {
+    fastify.log.info(`New JWT signing key ${rotated.kid} (${rotated.alg})`)
+  }
+
+  const timer = setInterval(() => {
+    try {
+      const key = keys.ensureKeys()
+      if (key) {
+        fastify.log.info(`Rotated JWT signing key, now signing with ${key.kid}`)
+      }
+    } catch (error) {
+      fastify.log.error(error, 'JWT key rotation failed')
+    }
+  }, ROTATION_CHECK_INTERVAL_MS)
+  timer.unref()
+
+  fastify.addHook('onClose', async () => clearInterval(timer))
+
+  fastify.decorate('keys', keys)
+}, { name: 'keys' })
@@ -0,0 +1,29 @@
+'use strict'
+
+const fp = require('fastify-plugin')
+const SecurityLogService = require('../services/securityLog')
+
+/**
+ * This plugin exposes the security event log as `fastify.securityLog`
+ * and `request.logSecurityEvent(type, { outcome, userId, actorId, details })`,
+ * which fills in the IP address and user agent of the request. A failure to
+ * record an event is logged and never fails the request.
+ */
+module.exports = fp(async function (fastify, opts) {
+  const securityLog = opts.securityLog || new SecurityLogService(fastify.db)
+
+  fastify.decorate('securityLog', securityLog)
+
+  fastify.decorateRequest('logSecurityEvent', async function (type, event = {}) {
+    try {
+      await securityLog.record({
+        ...event,
+        type: type,
+        ip: this.ip,
+        userAgent: this.headers['user-agent']
+      })
+    } catch (error) {
+      this.log.error({ err: error, type: type }, 'Failed to record security event')
+    }
+  })
+}, { name: 'security-log', dependencies: ['database'] })
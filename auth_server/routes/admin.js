@@ -0,0 +1,248 @@
+'use strict'
+
+const UserService = require('../services/user');
+const { ROLES } = require('../services/user');
+const SessionService = require('../services/session');
+const MailService = require('../services/mail');
+const PasswordResetService = require('../services/passwordReset');
+const WebAuthnService = require('../services/webauthn');
+const OAuthService = require('../services/oauth');
+const TokenVault = require('../services/tokenVault');
+const Encryptor = require('../services/encryption');
+const AccountDeletionService = require('../services/accountDeletion');
+const AdminAuditService = require('../services/adminAudit');
+const schemas = require('../schemas/admin');
+
+// User management for moderators and admins. Moderators can look up users and
+// (de)activate regular accounts; everything else is for admins. Every call is
+// written to the admin audit trail.
+module.exports = async function (fastify, opts) {
+  const userService = new UserService(fastify.db, fastify.keys);
+  const sessionService = new SessionService(fastify.db);
+  const mailService = new MailService();
+  const passwordResetService = new PasswordResetService(fastify.db, userService);
+  const webAuthnService = new WebAuthnService(fastify.db);
+  const oauthService = new OAuthService(userService, new TokenVault(fastify.db, Encryptor.fromEnv('TOKEN_VAULT_KEY')));
+  const accountDeletionService = new AccountDeletionService(fastify.db, userService);
+  const auditService = new AdminAuditService(fastify.db);
+
+  // Bootstrap: there is no other way to get the first admin
+  const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean);
+  const { granted, unverified } = await userService.grantAdminRoles(adminEmails);
+  if (granted.length) {
+    fastify.log.info(`Granted the admin role to ${granted.join(', ')} (ADMIN_EMAILS)`);
+  }
+  for (const email of unverified) {
+    fastify.log.warn(`Not granting the admin role to ${email} (ADMIN_EMAILS): it is not the verified primary address of its account`);
+  }
+
+  // The acting user is request.account. The role is read from the database,
+  // so a demotion applies before the access token expires.
+  const moderatorOnly = fastify.authenticate({ require2FAVerified: true, requireRole: 'moderator' });
+  const adminOnly = fastify.authenticate({ require2FAVerified: true, requireRole: 'admin' });
+
+  // Admins manage everyone else; moderators only manage regular users
+  function canManage(actor, target) {
+    return actor.role === 'admin' || ROLES.indexOf(actor.role) > ROLES.indexOf(target.role);
+  }
+
+  // The user named in the URL, or null once an error has been sent
+  async function loadTarget(request, reply, actor) {
+    const target = await userService.getUserById(request.params.id);
+    if (!target) {
+      reply.sendError('ADMIN_USER_NOT_FOUND');
+      return null;
+    }
+    if (target.id === actor.id) {
+      reply.sendError('ADMIN_SELF_ACTION');
+      return null;
+    }
+    if (!canManage(actor, target)) {
+      reply.sendError('AUTH_FORBIDDEN');
+      return null;
+    }
+    return target;
+  }
+
+  function audit(request, actor, action, targetUserId = null, details = null) {
+    return auditService.record({ actor, action, targetUserId, details, ip: request.ip });
+  }
+
+  // ===== USERS =====
+
+  // ?q= (email/username prefix or id), ?role=, ?active=true|false, ?limit=, ?offset=
+  fastify.get('/auth/admin/users', { schema: schemas.searchUsers, preHandler: moderatorOnly }, async function (request, reply) {
+    const actor = request.account;
+
+    const { q, role, active, limit, offset } = request.query;
+    const filters = {
+      query: q ? q.trim() : null,
+      role: role || null,
+      isActive: active === undefined ? null : active
+    };
+    const { users, total } = await userService.searchUsers({ ...filters, limit, offset });
+
+    await audit(request, actor, 'users.search', null, filters);
+
+    return { users, total, limit, offset };
+  })
+
+  fastify.get('/auth/admin/users/:id', { schema: schemas.getUser, preHandler: moderatorOnly }, async function (request, reply) {
+    const actor = request.account;
+
+    const user = await userService.getUserById(request.params.id);
+    if (!user) {
+      return reply.sendError('ADMIN_USER_NOT_FOUND');
+    }
+
+    await audit(request, actor, 'users.view', user.id);
+
+    return {
+      user: user,
+      pendingDeletion: await accountDeletionService.getPending(user.id),
+      activeSessions: (await sessionService.listActiveSessions(user.id)).length
+    };
+  })
+
+  // Sign the user out everywhere and block sign-in until reactivated
+  fastify.post('/auth/admin/users/:id/deactivate', { schema: schemas.deactivate, preHandler: moderatorOnly }, async function (request, reply) {
+    const actor = request.account;
+    const target = await loadTarget(request, reply, actor);
+    if (!target) return reply;
+
+    const { reason } = request.body;
+
+    await userService.setDeactivatedByAdmin(target.id, true);
+    await sessionService.revokeAllSessions(target.id, 'admin_deactivated');
+    await audit(request, actor, 'user.deactivate', target.id, reason ? { reason } : null);
+    await request.logSecurityEvent('account_deactivate', { userId: target.id, actorId: actor.id });
+
+    return { user: await userService.getUserById(target.id), message: 'Account deactivated' };
+  })
+
+  fastify.post('/auth/admin/users/:id/reactivate', { schema: schemas.reactivate, preHandler: moderatorOnly }, async function (request, reply) {
+    const actor = request.account;
+    const target = await loadTarget(request, reply, actor);
+    if (!target) return reply;
+
+    // Deleted accounts are reactivated by cancelling the deletion, which only the owner can do
+    if (await accountDeletionService.getPending(target.id)) {
+      return reply.sendError('AUTH_ACCOUNT_DELETION_PENDING');
+    }
+
+    await userService.setDeactivatedByAdmin(target.id, false);
+    await audit(request, actor, 'user.reactivate', target.id);
+    await request.logSecurityEvent('account_reactivate', { userId: target.id, actorId: actor.id });
+
+    return { user: await userService.getUserById(target.id), message: 'Account reactivated' };
+  })
+
+  fastify.post('/auth/admin/users/:id/role', { schema: schemas.setRole, preHandler: adminOnly }, async function (request, reply) {
+    const actor = request.account;
+    const target = await loadTarget(request, reply, actor);
+    if (!target) return reply;
+
+    const { role } = request.body;
+
+    await userService.setRole(target.id, role);
+    await audit(request, actor, 'user.role', target.id, { from: target.role, to: role });
+    await request.logSecurityEvent('role_change', { userId: target.id, actorId: actor.id, details: { from: target.role, to: role } });
+
+    return { user: await userService.getUserById(target.id), message: 'Role updated' };
+  })
+
+  // Sign the user out, refuse password sign-in and email them a reset link
+  fastify.post('/auth/admin/users/:id/force-password-reset', { schema: schemas.forcePasswordReset, preHandler: adminOnly }, async function (request, reply) {
+    const actor = request.account;
+    const target = await loadTarget(request, reply, actor);
+    if (!target) return reply;
+
+    await userService.requirePasswordReset(target.id);
+    await sessionService.revokeAllSessions(target.id, 'admin_password_reset');
+
+    let emailSent = false;
+    const reset = await passwordResetService.requestReset(target.email);
+    if (reset) {
+      try {
+        await mailService.sendPasswordReset(reset.user, reset.token);
+        emailSent = true;
+      } catch (error) {
+        request.log.error({ err: error }, 'Failed to send password reset email');
+      }
+    }
+
+    await audit(request, actor, 'user.force_password_reset', target.id, { emailSent });
+    await request.logSecurityEvent('password_reset_forced', { userId: target.id, actorId: actor.id });
+
+    return { emailSent: emailSent, message: 'The user must reset their password before signing in with it' };
+  })
+
+  // Remove TOTP, backup codes and passkeys (e.g. a lost device) and sign the user out
+  fastify.post('/auth/admin/users/:id/reset-2fa', { schema: schemas.reset2FA, preHandler: adminOnly }, async function (request, reply) {
+    const actor = request.account;
+    const target = await loadTarget(request, reply, actor);
+    if (!target) return reply;
+
+    await userService.reset2FA(target.id);
+    const { removed } = await webAuthnService.removeAllCredentials(target.id);
+    await sessionService.revokeAllSessions(target.id, 'admin_2fa_reset');
+    await audit(request, actor, 'user.reset_2fa', target.id, { totp: target.twoFactor.enabled, passkeys: removed });
+    await request.logSecurityEvent('two_factor_reset', { userId: target.id, actorId: actor.id });
+
+    return { user: await userService.getUserById(target.id), message: 'Two-factor authentication reset' };
+  })
+
+  fastify.delete('/auth/admin/users/:id/providers/:provider', { schema: schemas.unlinkProvider, preHandler: adminOnly }, async function (request, reply) {
+    const actor = request.account;
+    const target = await loadTarget(request, reply, actor);
+    if (!target) return reply;
+
+    const { provider } = request.params;
+    if (!target.providers[provider]) {
+      return reply.sendError('AUTH_PROVIDER_NOT_LINKED');
+    }
+
+    const user = await userService.unlinkProvider(target.id, provider, { force: true });
+    const revocation = await oauthService.revokeProviderTokens(target.id, provider);
+    await audit(request, actor, 'user.unlink_provider', target.id, { provider });
+    await request.logSecurityEvent('provider_unlink', { userId: target.id, actorId: actor.id, details: { provider } });
+
+    return { user: user, revocation: revocation, message: `${provider} unlinked` };
+  })
+
+  // ===== SECURITY EVENTS =====
+
+  // Security events of every account: ?userId=, ?actorId=, ?type=, ?outcome=,
+  // ?ip=, ?since= / ?until= (ISO dates), ?limit=, ?offset=
+  fastify.get('/auth/admin/security-events', { schema: schemas.securityEvents, preHandler: adminOnly }, async function (request, reply) {
+    const actor = request.account;
+
+    const { userId, actorId, type, outcome, ip, since, until, limit, offset } = request.query;
+    const filters = {
+      userId,
+      actorId,
+      type,
+      outcome,
+      ip,
+      since: since ? new Date(since) : null,
+      until: until ? new Date(until) : null
+    };
+    const { events, total } = await fastify.securityLog.list({ ...filters, limit, offset });
+
+    await audit(request, actor, 'security_events.search', userId || null, { userId, actorId, type, outcome, ip, since, until });
+
+    return { events, total, limit, offset };
+  })
+
+  // ===== AUDIT TRAIL =====
+
+  // ?actorId=, ?targetUserId=, ?action=, ?limit=, ?offset=
+  fastify.get('/auth/admin/audit', { schema: schemas.audit, preHandler: adminOnly }, async function (request, reply) {
+    const actor = request.account;
+
+    const { actorId, targetUserId, action, limit, offset } = request.query;
+    const { entries, total } = await auditService.list({ actorId, targetUserId, action, limit, offset });
+
+    return { entries, total, limit, offset };
+  })
+}
@@ -2,7 +2,20 @@
 
 const OAuthService = require('../services/oauth');
 const UserService = require('../services/user');
-const jwt = require('jsonwebtoken');
+const SessionService = require('../services/session');
+const MailService = require('../services/mail');
+const PasswordResetService = require('../services/passwordReset');
+const ThrottleService = require('../services/throttle');
+const WebAuthnService = require('../services/webauthn');
+const OAuthStateService = require('../services/oauthState');
+const { OAuthStateError } = require('../services/oauthState');
+const LoginCodeService = require('../services/loginCode');
+const TokenVault = require('../services/tokenVault');
+const Encryptor = require('../services/encryption');
+const AccountDeletionService = require('../services/accountDeletion');
+const GameHistoryService = require('../services/gameHistory');
+const AuthError = require('../services/errors');
+const schemas = require('../schemas/auth');
 
 // Define consistent cookie options
 const COOKIE_OPTIONS = {
@@ -12,57 +25,382 @@ const COOKIE_OPTIONS = {
   path: '/'
 };
 
+// Refresh tokens are only ever sent back to /auth routes
+const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_COOKIE_OPTIONS = {
+  ...COOKIE_OPTIONS,
+  sameSite: 'strict',
+  path: '/auth'
+};
+
+// Binds an OAuth login code to the browser that received it
+const LOGIN_CODE_COOKIE = 'oauth_login_binding';
+
+const TOKEN_REFRESH_INTERVAL_MS = 60 * 1000; // how often expiring provider tokens are refreshed
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000; // how often accounts past their grace period are deleted
+const RECENT_LOGIN_MS = 5 * 60 * 1000; // how fresh a session must be to stand in for a re-authentication
+
 module.exports = async function (fastify, opts) {
-  const userService = new UserService();
-  const oauthService = new OAuthService(userService);
+  const userService = new UserService(fastify.db, fastify.keys);
+  const tokenVault = new TokenVault(fastify.db, Encryptor.fromEnv('TOKEN_VAULT_KEY'));
+  const oauthService = new OAuthService(userService, tokenVault);
+  const sessionService = new SessionService(fastify.db);
+  const mailService = new MailService();
+  const passwordResetService = new PasswordResetService(fastify.db, userService);
+  const throttleService = new ThrottleService(fastify.db);
+  const webAuthnService = new WebAuthnService(fastify.db);
+  const oauthStateService = new OAuthStateService(fastify.db);
+  const loginCodeService = new LoginCodeService(fastify.db);
+  const accountDeletionService = new AccountDeletionService(fastify.db, userService);
+  const gameHistoryService = new GameHistoryService(fastify.db);
 
-  fastify.get('/auth/healthcheck', async function (request, reply) {
-    return { status: 'ok' }
-  })
+  // Encrypt and hash 2FA data left in plaintext by older versions (or sealed
+  // with a previous TOTP_SECRET_KEY)
+  const { upgraded, unreadable } = await userService.upgradeTwoFactorStorage();
+  if (upgraded) {
+    fastify.log.info(`Re-encrypted the 2FA data of ${upgraded} user(s)`);
+  }
+  if (unreadable.length) {
+    fastify.log.warn(`TOTP secrets of ${unreadable.length} user(s) can't be decrypted with TOTP_SECRET_KEY or TOTP_SECRET_KEY_PREVIOUS; their TOTP won't work until the key is restored or an admin resets their 2FA`);
+  }
 
-  // Email/Password Registration
-  fastify.post('/auth/register', async function (request, reply) {
-    const { email, password, username } = request.body;
+  // Register the usernames of users created before the username registry
+  const usernameUpgrade = await userService.upgradeUsernameKeys();
+  if (usernameUpgrade.upgraded) {
+    fastify.log.info(`Registered the usernames of ${usernameUpgrade.upgraded} user(s)`);
+  }
+  if (usernameUpgrade.conflicts.length) {
+    fastify.log.warn({ userIds: usernameUpgrade.conflicts }, `${usernameUpgrade.conflicts.length} user(s) have a username that differs from another one only by case or width; it stays theirs until they rename, but lookups by name find the other account`);
+  }
+
+  // Keep stored provider tokens usable
+  const tokenRefreshTimer = setInterval(() => {
+    oauthService.refreshExpiringTokens().catch(error => {
+      fastify.log.error({ err: error }, 'Provider token refresh failed');
+    });
+  }, TOKEN_REFRESH_INTERVAL_MS);
+  tokenRefreshTimer.unref();
+  fastify.addHook('onClose', async () => clearInterval(tokenRefreshTimer));
+
+  // Delete accounts whose deletion grace period is over
+  const accountPurgeTimer = setInterval(() => {
+    accountDeletionService.purgeDue().then(count => {
+      if (count) fastify.log.info(`Deleted ${count} account(s) after their grace period`);
+    }).catch(error => {
+      fastify.log.error({ err: error }, 'Account purge failed');
+    });
+  }, ACCOUNT_PURGE_INTERVAL_MS);
+  accountPurgeTimer.unref();
+  fastify.addHook('onClose', async () => clearInterval(accountPurgeTimer));
+
+  // 429 with Retry-After for throttled login/2FA/link attempts
+  function tooManyAttempts(reply, retryAfter) {
+    return reply
+      .header('Retry-After', retryAfter)
+      .sendError('AUTH_TOO_MANY_ATTEMPTS', { retryAfter: retryAfter });
+  }
+
+  // Security event for a refused email/password sign-in, filed under the
+  // account when the email belongs to one
+  async function logFailedPasswordLogin(request, email, error, details = {}) {
+    const account = await userService.getUserByEmail(String(email));
+    await request.logSecurityEvent('login', {
+      outcome: 'failure',
+      userId: account ? account.id : null,
+      details: {
+        method: 'password',
+        reason: error.message,
+        ...(account ? {} : { email: String(email).toLowerCase() }),
+        ...details
+      }
+    });
+  }
+
+  // Send the browser back to the frontend (to returnUrl, a path) with query parameters
+  function frontendRedirect(reply, params, returnUrl = null) {
+    const url = new URL(returnUrl || '/', process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443');
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+    return reply.redirect(url.toString());
+  }
+
+  // Return URLs must be paths on the frontend, never another site
+  function safeReturnUrl(value) {
+    if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) {
+      return null;
+    }
+    return value;
+  }
+
+  // Finish a provider login/link: the frontend gets a one-time code in the
+  // redirect (never a token) and the browser a cookie binding that code to it
+  // (no user for 'signup', which hands out a link token instead)
+  async function redirectWithLoginCode(reply, user, provider, action, returnUrl, linkToken = null) {
+    const { code, binding } = await loginCodeService.create({
+      userId: user ? user.id : null,
+      provider: provider,
+      action: action,
+      linkToken: linkToken
+    });
+
+    reply.setCookie(LOGIN_CODE_COOKIE, binding, {
+      ...REFRESH_COOKIE_OPTIONS,
+      maxAge: Math.floor(loginCodeService.ttl / 1000)
+    });
+
+    const params = { oauthCode: code };
+    if (action === 'link') {
+      params.linked = provider;
+    }
+    if (action === 'signup') {
+      params.signup = provider;
+    }
+    return frontendRedirect(reply, params, returnUrl);
+  }
+
+  // Decode a link token (see UserService.generateLinkToken)
+  function verifyLinkToken(linkToken) {
+    let linkData;
+    try {
+      linkData = userService.verifyJWT(linkToken);
+    } catch (error) {
+      throw new AuthError('AUTH_LINK_TOKEN_INVALID');
+    }
+    if (linkData.type !== 'link_token') {
+      throw new AuthError('AUTH_LINK_TOKEN_INVALID');
+    }
+    return linkData;
+  }
+
+  // Decode the temp token handed out when a sign-in still needs a second factor
+  function verifyTempToken(tempToken) {
+    let userData;
+    try {
+      userData = userService.verifyJWT(tempToken);
+    } catch (error) {
+      throw new AuthError('AUTH_TEMP_TOKEN_INVALID');
+    }
+    if (!userData.temp2FA) {
+      throw new AuthError('AUTH_TEMP_TOKEN_INVALID');
+    }
+    return userData;
+  }
 
-    if (!email || !password || !username) {
-      return reply.code(400).send({ error: 'Email, password, and username are required' });
+  // What the frontend shows when offering to create or attach an account
+  async function linkTokenInfo(linkData) {
+    const { providerData } = linkData;
+    return {
+      provider: linkData.provider,
+      username: providerData.username,
+      email: providerData.email,
+      avatar: providerData.avatar,
+      suggestedUsername: await userService.suggestUsername(
+        providerData.username || (providerData.email ? providerData.email.split('@')[0] : null)
+      ),
+      // An account already uses the provider's address: attach to it instead
+      emailInUse: providerData.email ? !!(await userService.getUserByEmail(providerData.email)) : false
+    };
+  }
+
+  // Link the identity from a link token to a user and keep the provider's tokens
+  async function linkFromToken(userId, linkData) {
+    if (await oauthService.isProviderLinked(linkData.provider, linkData.providerData.providerId)) {
+      throw new AuthError('AUTH_PROVIDER_ALREADY_LINKED');
+    }
+
+    const updatedUser = await oauthService.linkProviderToUser(userId, linkData.providerData);
+    await oauthService.storeUserTokens(userId, linkData.provider, tokenVault.open(linkData.tokens));
+    return updatedUser;
+  }
+
+  // Start a session: short-lived access token + rotating refresh token (also set as cookie)
+  async function startSession(request, reply, user, is2FAVerified) {
+    const { session, refreshToken } = await sessionService.createSession(user.id, {
+      twoFactorVerified: is2FAVerified,
+      userAgent: request.headers['user-agent'],
+      ip: request.ip
+    });
+
+    reply.setCookie(REFRESH_COOKIE, refreshToken, {
+      ...REFRESH_COOKIE_OPTIONS,
+      maxAge: Math.floor(sessionService.refreshTokenTtl / 1000)
+    });
+
+    return {
+      token: userService.generateJWT(user, is2FAVerified, session.id),
+      refreshToken: refreshToken
+    };
+  }
+
+  // Email a fresh verification link to one of the user's addresses (the
+  // primary one by default; `primary` makes the address primary once
+  // verified); failures are logged, not fatal
+  async function sendVerificationEmail(request, user, email = user.email, { primary = false } = {}) {
+    try {
+      const token = userService.generateEmailVerificationToken(user, email, { primary: primary });
+      await mailService.sendEmailVerification({ ...user, email: email }, token);
+      return true;
+    } catch (error) {
+      request.log.error({ err: error }, 'Failed to send verification email');
+      return false;
+    }
+  }
+
+  // Password failures count against the account whichever of its verified
+  // addresses is typed (keyed by the primary one)
+  async function throttleAccount(email) {
+    const user = await userService.getUserByEmail(email);
+    return user ? user.email : email;
+  }
+
+  // Throttled password check before a sensitive action. Sends the error and
+  // returns false when the password is wrong.
+  async function checkPassword(request, reply, user, password) {
+    const passwordKeys = throttleService.keys('login', { account: user.email, ip: request.ip });
+    const passwordRetryAfter = await throttleService.attempt(passwordKeys);
+    if (passwordRetryAfter) {
+      tooManyAttempts(reply, passwordRetryAfter);
+      return false;
+    }
+    if (!await userService.checkPassword(user.id, password)) {
+      await request.logSecurityEvent('reauthentication', { outcome: 'failure', userId: user.id, details: { reason: 'invalid_password' } });
+      reply.sendError('AUTH_INVALID_CREDENTIALS');
+      return false;
+    }
+    await throttleService.recordSuccess(passwordKeys);
+
+    return true;
+  }
+
+  // Throttled TOTP / backup code check, same contract as checkPassword.
+  // `onFailure` runs after a wrong code.
+  async function checkTwoFactorCode(request, reply, user, twoFactorCode, { onFailure } = {}) {
+    if (!twoFactorCode) {
+      reply.sendError('AUTH_2FA_REQUIRED', {
+        requiresTwoFactor: true,
+        methods: userService.get2FAMethods(user)
+      });
+      return false;
+    }
+
+    const twoFactorKeys = throttleService.keys('twoFactor', { account: user.id, ip: request.ip });
+    const twoFactorRetryAfter = await throttleService.attempt(twoFactorKeys);
+    if (twoFactorRetryAfter) {
+      tooManyAttempts(reply, twoFactorRetryAfter);
+      return false;
+    }
+    try {
+      await userService.verify2FA(user.id, twoFactorCode);
+    } catch (error) {
+      await request.logSecurityEvent('two_factor', { outcome: 'failure', userId: user.id, details: { method: userService.twoFactorCodeMethod(twoFactorCode) } });
+      if (onFailure) {
+        await onFailure();
+      }
+      reply.sendError(error);
+      return false;
     }
+    await throttleService.recordSuccess(twoFactorKeys);
 
-    // Basic validation
-    if (password.length < 8) {
-      return reply.code(400).send({ error: 'Password must be at least 8 characters long' });
+    return true;
+  }
+
+  // Identity check for requests without a session, such as cancelling an
+  // account deletion, with the same rules as POST /auth/reauth: a passkey
+  // assertion (options from /auth/webauthn/login/options with the email) is
+  // enough on its own; otherwise the password, plus a TOTP or backup code
+  // when TOTP is on, or the code alone for accounts without a password.
+  async function reauthenticate(request, reply, user, { password, twoFactorCode, challengeId, response }) {
+    if (challengeId) {
+      const passkeyKeys = throttleService.keys('twoFactor', { account: user.id, ip: request.ip });
+      const passkeyRetryAfter = await throttleService.attempt(passkeyKeys);
+      if (passkeyRetryAfter) {
+        tooManyAttempts(reply, passkeyRetryAfter);
+        return false;
+      }
+      try {
+        await webAuthnService.verifyAuthentication(challengeId, response, { passwordless: true, expectedUserId: user.id });
+      } catch (error) {
+        await request.logSecurityEvent('reauthentication', { outcome: 'failure', userId: user.id, details: { reason: 'invalid_passkey' } });
+        reply.sendError(error);
+        return false;
+      }
+      await throttleService.recordSuccess(passkeyKeys);
+      return true;
     }
 
-    if (!email.includes('@')) {
-      return reply.code(400).send({ error: 'Invalid email format' });
+    if (!user.hasPassword) {
+      if (user.twoFactor.enabled) {
+        return checkTwoFactorCode(request, reply, user, twoFactorCode);
+      }
+      if (user.webauthn.enabled) {
+        reply.sendError('AUTH_2FA_REQUIRED', { requiresTwoFactor: true, methods: ['webauthn'] });
+      } else {
+        reply.sendError('AUTH_NO_PASSWORD');
+      }
+      return false;
     }
+    if (!await checkPassword(request, reply, user, password)) {
+      return false;
+    }
+    if (user.twoFactor.enabled) {
+      return checkTwoFactorCode(request, reply, user, twoFactorCode);
+    }
+    if (userService.requires2FA(user)) {
+      // The only second factor is a passkey, which is enough on its own
+      reply.sendError('AUTH_2FA_REQUIRED', { requiresTwoFactor: true, methods: ['webauthn'] });
+      return false;
+    }
+    return true;
+  }
+
+  fastify.get('/auth/healthcheck', { schema: schemas.healthcheck }, async function (request, reply) {
+    return { status: 'ok' }
+  })
+
+  // Email/Password Registration
+  fastify.post('/auth/register', { schema: schemas.register }, async function (request, reply) {
+    const { email, password, username } = request.body;
 
     try {
       const user = await userService.createUser({ email, password, username });
-      const token = userService.generateJWT(user);
+      const { token, refreshToken } = await startSession(request, reply, user, false);
+      await sendVerificationEmail(request, user);
+      await request.logSecurityEvent('register', { userId: user.id, details: { method: 'password' } });
       
       return { 
         user: user,
         token: token,
-        message: 'User registered successfully'
+        refreshToken: refreshToken,
+        message: 'User registered successfully. Check your inbox to verify your email address.'
       };
     } catch (error) {
-      return reply.code(400).send({ error: error.message });
+      return reply.sendError(error);
     }
   })
 
   // Email/Password Login
-  fastify.post('/auth/login', async function (request, reply) {
+  fastify.post('/auth/login', { schema: schemas.login }, async function (request, reply) {
     const { email, password, twoFactorCode } = request.body;
 
-    if (!email || !password) {
-      return reply.code(400).send({ error: 'Email and password are required' });
+    const loginKeys = throttleService.keys('login', { account: await throttleAccount(email), ip: request.ip });
+    const loginRetryAfter = await throttleService.attempt(loginKeys);
+    if (loginRetryAfter) {
+      return tooManyAttempts(reply, loginRetryAfter);
     }
 
     try {
-      const user = await userService.authenticateUser(email, password);
+      let user;
+      try {
+        user = await userService.authenticateUser(email, password);
+      } catch (error) {
+        await logFailedPasswordLogin(request, email, error);
+        throw error;
+      }
+      await throttleService.recordSuccess(loginKeys);
       
       // Check if user has 2FA enabled
+      let secondFactor = null;
       if (userService.requires2FA(user)) {
         if (!twoFactorCode) {
           // Send temporary token that requires 2FA verification
@@ -70,649 +408,1310 @@ module.exports = async function (fastify, opts) {
           return reply.code(200).send({ 
             requiresTwoFactor: true,
             tempToken: tempToken,
+            methods: userService.get2FAMethods(user),
             message: 'Please provide your 2FA code'
           });
         }
 
+        const twoFactorKeys = throttleService.keys('twoFactor', { account: user.id, ip: request.ip });
+        const twoFactorRetryAfter = await throttleService.attempt(twoFactorKeys);
+        if (twoFactorRetryAfter) {
+          return tooManyAttempts(reply, twoFactorRetryAfter);
+        }
+
         // Verify 2FA code
         try {
-          await userService.verify2FA(user.id, twoFactorCode);
+          ({ method: secondFactor } = await userService.verify2FA(user.id, twoFactorCode));
         } catch (error) {
-          return reply.code(401).send({ error: '2FA verification failed: ' + error.message });
+          await request.logSecurityEvent('two_factor', { outcome: 'failure', userId: user.id, details: { method: userService.twoFactorCodeMethod(twoFactorCode) } });
+          return reply.sendError(error);
         }
+        await throttleService.recordSuccess(twoFactorKeys);
       }
 
-      const token = userService.generateJWT(user, true);
+      const { token, refreshToken } = await startSession(request, reply, user, true);
+      await request.logSecurityEvent('login', { userId: user.id, details: { method: 'password', secondFactor: secondFactor } });
       
       return { 
         user: user,
         token: token,
+        refreshToken: refreshToken,
         message: 'Login successful'
       };
     } catch (error) {
-      return reply.code(401).send({ error: error.message });
+      return reply.sendError(error);
     }
   })
 
-  // OAuth initiation - redirects to provider
-  fastify.get('/auth/oauth/:provider', async function (request, reply) {
+  // Enabled OAuth providers (for login/link buttons)
+  fastify.get('/auth/oauth/providers', { schema: schemas.oauthProviders }, async function (request, reply) {
+    return { providers: oauthService.listProviders() };
+  })
+
+  // Store the OAuth state (bound to this browser by a cookie) and build the
+  // provider's authorization URL. Authenticated users link the provider,
+  // everyone else logs in with it.
+  async function beginOAuth(reply, provider, userId, returnUrl) {
+    const pending = await oauthStateService.create({
+      provider: provider,
+      action: userId ? 'link' : 'login',
+      userId: userId,
+      returnUrl: returnUrl
+    });
+
+    const authUrl = await oauthService.buildAuthUrl(provider, pending);
+    
+    reply.setCookie('oauth_state', pending.state, { 
+      ...COOKIE_OPTIONS,
+      maxAge: Math.floor(oauthStateService.ttl / 1000)
+    });
+
+    return authUrl;
+  }
+
+  // OAuth initiation - redirects to provider (linking if the request carries an access token)
+  fastify.get('/auth/oauth/:provider', { schema: schemas.oauthStart, preHandler: fastify.authenticate({ requireAuth: false }) }, async function (request, reply) {
     const { provider } = request.params;
+
+    if (!oauthService.hasProvider(provider)) {
+      return reply.sendError('AUTH_PROVIDER_UNKNOWN');
+    }
     
     try {
-      const state = oauthService.generateState();
-      
-      // Check if user is authenticated for linking
-      const authHeader = request.headers.authorization;
-      const tokenParam = request.query.token; // Fallback for frontend
-      let isAuthenticated = false;
-      let userId = null;
-      
-      // Try header first, then query parameter
-      let token = null;
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
-      } else if (tokenParam) {
-        token = tokenParam;
-      }
-      
-      if (token) {
-        try {
-          const userData = userService.verifyJWT(token);
-          isAuthenticated = true;
-          userId = userData.id;
-        } catch (error) {
-          // Token invalid, proceed as guest
+      const userId = request.user ? request.user.id : null;
+      const returnUrl = safeReturnUrl(request.query.returnTo);
+
+      // Linking a provider is a sensitive action: require a verified address
+      if (userId) {
+        const linkUser = await userService.getUserById(userId);
+        if (!linkUser || !linkUser.emailVerified) {
+          return frontendRedirect(reply, { error: 'email_not_verified' }, returnUrl);
         }
       }
       
-      // ONLY allow OAuth if user is authenticated (for linking) OR if user is unauthenticated but provider exists
-      if (!isAuthenticated) {
-        // For unauthenticated users, we'll handle this in the callback
-        // but we need to set up the state properly
-      }
-      
-      const authUrl = oauthService.buildAuthUrl(provider, state);
-      
-      // Store state for verification
-      reply.setCookie('oauth_state', state, { 
-        ...COOKIE_OPTIONS,
-        maxAge: 600000 // 10 minutes
-      });
-      
-      // Store if this is for linking (authenticated user)
-      if (isAuthenticated) {
-        reply.setCookie('oauth_link_user', userId, {
-          ...COOKIE_OPTIONS,
-          maxAge: 600000 // 10 minutes
-        });
-      }
-      
-      return reply.redirect(authUrl);
+      return reply.redirect(await beginOAuth(reply, provider, userId, returnUrl));
     } catch (error) {
-      return reply.code(400).send({ error: error.message });
+      return reply.sendError(error);
+    }
+  })
+
+  // Start linking a provider from the browser: a top-level navigation cannot
+  // carry the Authorization header, so the frontend calls this and then
+  // navigates to the returned URL
+  fastify.post('/auth/oauth/:provider/link', { schema: schemas.oauthLink, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const { provider } = request.params;
+
+    if (!oauthService.hasProvider(provider)) {
+      return reply.sendError('AUTH_PROVIDER_UNKNOWN');
     }
+
+    const user = await userService.getUserById(request.user.id);
+    if (!user) {
+      return reply.sendError('AUTH_TOKEN_INVALID');
+    }
+    if (!user.emailVerified) {
+      return reply.sendError('AUTH_EMAIL_NOT_VERIFIED');
+    }
+
+    const url = await beginOAuth(reply, provider, user.id, safeReturnUrl(request.body.returnTo));
+
+    return { url };
   })
 
   // OAuth callback - handles provider response
-  fastify.get('/auth/oauth/:provider/callback', async function (request, reply) {
+  fastify.get('/auth/oauth/:provider/callback', { schema: schemas.oauthCallback }, async function (request, reply) {
     const { provider } = request.params;
     const { code, state, error } = request.query;
+
+    if (!oauthService.hasProvider(provider)) {
+      return reply.sendError('AUTH_PROVIDER_UNKNOWN');
+    }
     
-    console.log('=== OAuth callback received ===');
-    console.log('Provider:', provider);
-    console.log('Has code:', !!code);
-    console.log('Has state:', !!state);
-    console.log('Error:', error);
-    
+    const storedState = request.cookies.oauth_state;
+    reply.clearCookie('oauth_state', COOKIE_OPTIONS);
+
+    // Take the pending authorization (once) before anything else
+    let pending;
+    try {
+      pending = await oauthStateService.consume(state, provider);
+    } catch (stateError) {
+      if (stateError instanceof OAuthStateError) {
+        request.log.warn({ provider: provider, reason: stateError.code }, 'OAuth callback with a rejected state');
+        return frontendRedirect(reply, { error: error || stateError.code });
+      }
+      request.log.error({ err: stateError }, 'OAuth state check failed');
+      return frontendRedirect(reply, { error: 'oauth_error' });
+    }
+
     // Check if there was an OAuth error
     if (error) {
-      return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?error=${error}`);
+      request.log.info({ provider: provider, error: error }, 'OAuth provider returned an error');
+      return frontendRedirect(reply, { error: error }, pending.returnUrl);
     }
     
-    // Verify state parameter
-    const storedState = request.cookies.oauth_state;
-    reply.clearCookie('oauth_state', COOKIE_OPTIONS);
+    // The callback must come back to the browser that started the flow
     if (!storedState || storedState !== state) {
-      console.log('State mismatch:', { stored: storedState, received: state });
-      return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?error=invalid_state`);
+      request.log.warn({ provider: provider }, 'OAuth callback from another browser than the one that started the flow');
+      return frontendRedirect(reply, { error: 'invalid_state' }, pending.returnUrl);
     }
 
     try {
-      // Exchange code for access token
-      const tokens = await oauthService.exchangeCodeForTokens(provider, code);
-      console.log('Token exchange successful');
+      // Exchange code for access token (with the PKCE verifier)
+      const tokens = await oauthService.exchangeCodeForTokens(provider, code, pending);
       
       // Get user info from provider
       const userInfo = await oauthService.getUserInfo(provider, tokens.access_token);
-      console.log('User info:', { providerId: userInfo.providerId, username: userInfo.username });
       
       // Check if this provider account is linked to ANY user
-      const existingUser = oauthService.getUserByProvider(provider, userInfo.providerId);
-      console.log('Existing user found:', !!existingUser);
+      const existingUser = await oauthService.getUserByProvider(provider, userInfo.providerId);
+      const flow = { provider: provider, providerId: userInfo.providerId, action: pending.action };
       
-      // Check if this is a LINKING request (user provided a link token)
-      const linkUserId = request.cookies.oauth_link_user;
-      console.log('Link user ID from cookie:', linkUserId);
-      reply.clearCookie('oauth_link_user', COOKIE_OPTIONS);
-      if (linkUserId) {
-        console.log('=== LINKING FLOW ===');
-        // Verify the link user actually exists
-        const linkUser = userService.getUserById(linkUserId);
+      // Check if this is a LINKING request (started by an authenticated user)
+      if (pending.action === 'link') {
+        // Verify the link user still exists
+        const linkUser = await userService.getUserById(pending.userId);
         if (!linkUser) {
-          console.log('Link user not found, clearing cookie and treating as login');
-          // Fall through to login logic
-        } else {
-          console.log('Valid link user found:', linkUser.id);
-          
-          // Check if provider is already linked to THIS user
-          const userProviders = userService.getLinkedProviders(linkUser.id);
-          const alreadyLinkedToThisUser = userProviders.some(p => p.provider === provider);
-          
-          if (alreadyLinkedToThisUser) {
-            console.log('Provider already linked to this user');
-            return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?error=provider_already_linked_to_you`);
-          }
-          
-          // Check if provider is linked to a DIFFERENT user
-          if (existingUser && existingUser.id !== linkUser.id) {
-            console.log('Provider linked to different user');
-            return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?error=provider_linked_to_different_user`);
-          }
-          
-          // Link the provider to the user
-          console.log('Linking provider to user');
-          const updatedUser = oauthService.linkProviderToUser(linkUser.id, userInfo);
-          oauthService.storeUserTokens(linkUser.id, provider, tokens);
-          
-          // Check if user has 2FA enabled for linking flow
-          if (userService.requires2FA(updatedUser)) {
-            // Generate temporary token and redirect to 2FA verification page
-            const tempToken = userService.generateTempJWT(updatedUser);
-            return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?requiresTwoFactor=true&tempToken=${tempToken}&linked=${provider}`);
-          }
-          
-          const authToken = userService.generateJWT(updatedUser, true);
-          
-          return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?token=${authToken}&linked=${provider}`);
+          request.log.warn({ ...flow, userId: pending.userId }, 'OAuth link for a user that no longer exists');
+          return frontendRedirect(reply, { error: 'link_failed' }, pending.returnUrl);
+        }
+        
+        // Check if provider is already linked to THIS user
+        const userProviders = await userService.getLinkedProviders(linkUser.id);
+        const alreadyLinkedToThisUser = userProviders.some(p => p.provider === provider);
+        
+        if (alreadyLinkedToThisUser) {
+          request.log.info({ ...flow, userId: linkUser.id }, 'OAuth link refused: provider already linked to this user');
+          return frontendRedirect(reply, { error: 'provider_already_linked_to_you' }, pending.returnUrl);
         }
+        
+        // Check if provider is linked to a DIFFERENT user
+        if (existingUser && existingUser.id !== linkUser.id) {
+          request.log.warn({ ...flow, userId: linkUser.id }, 'OAuth link refused: provider account linked to another user');
+          return frontendRedirect(reply, { error: 'provider_linked_to_different_user' }, pending.returnUrl);
+        }
+        
+        // Link the provider to the user
+        const updatedUser = await oauthService.linkProviderToUser(linkUser.id, userInfo);
+        await oauthService.storeUserTokens(linkUser.id, provider, tokens);
+        await request.logSecurityEvent('provider_link', { userId: linkUser.id, details: { provider } });
+        request.log.info({ ...flow, userId: linkUser.id }, 'OAuth provider linked');
+        
+        // Tokens (or the 2FA step) are handed out through /auth/oauth/exchange
+        return redirectWithLoginCode(reply, updatedUser, provider, 'link', pending.returnUrl);
       }
       
-      console.log('=== LOGIN FLOW ===');
-      
       if (existingUser) {
-        console.log('Provider is linked to user, logging in:', existingUser.id);
+        request.log.info({ ...flow, userId: existingUser.id }, 'OAuth sign-in');
         // LOGIN: Provider is linked to a user
-        oauthService.storeUserTokens(existingUser.id, provider, tokens);
-        
-        // Check if user has 2FA enabled
-        if (userService.requires2FA(existingUser)) {
-          // Generate temporary token and redirect to 2FA verification page
-          const tempToken = userService.generateTempJWT(existingUser);
-          return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?requiresTwoFactor=true&tempToken=${tempToken}`);
-        }
+        await oauthService.storeUserTokens(existingUser.id, provider, tokens);
         
-        const authToken = userService.generateJWT(existingUser, true);
-        return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?token=${authToken}`);
+        return redirectWithLoginCode(reply, existingUser, provider, 'login', pending.returnUrl);
       } else {
-        console.log('Provider not linked to any user, rejecting login');
-        // REJECT: Provider not linked to any user
-        return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?error=account_not_found`);
+        request.log.info(flow, 'OAuth sign-in of an unknown provider account, offering sign-up');
+        // SIGN UP: the user creates an account or attaches this identity to an
+        // existing one, with the link token from /auth/oauth/exchange
+        const linkToken = userService.generateLinkToken(userInfo, tokenVault.seal(tokens));
+        return redirectWithLoginCode(reply, null, provider, 'signup', pending.returnUrl, linkToken);
+      }
+
+    } catch (error) {
+      request.log.error({ err: error, provider: provider }, 'OAuth callback failed');
+      return frontendRedirect(reply, { error: 'oauth_error' }, pending.returnUrl);
+    }
+  })
+
+  // Exchange the one-time code from the OAuth callback redirect for tokens,
+  // or for a temp token when the account needs a second factor
+  fastify.post('/auth/oauth/exchange', { schema: schemas.oauthExchange }, async function (request, reply) {
+    const { code } = request.body || {};
+
+    const binding = request.cookies[LOGIN_CODE_COOKIE];
+    reply.clearCookie(LOGIN_CODE_COOKIE, REFRESH_COOKIE_OPTIONS);
+
+    try {
+      const grant = await loginCodeService.consume(code, binding);
+
+      if (grant.action === 'signup') {
+        const linkData = verifyLinkToken(grant.linkToken);
+        return {
+          requiresSignup: true,
+          linkToken: grant.linkToken,
+          ...await linkTokenInfo(linkData),
+          message: 'No account is linked to this provider account yet'
+        };
+      }
+
+      const user = await userService.getUserById(grant.userId);
+      if (!user || !user.isActive) {
+        throw new AuthError('AUTH_LOGIN_CODE_INVALID');
+      }
+
+      const linked = grant.action === 'link' ? grant.provider : undefined;
+
+      if (userService.requires2FA(user)) {
+        return {
+          requiresTwoFactor: true,
+          tempToken: userService.generateTempJWT(user),
+          methods: userService.get2FAMethods(user),
+          linked: linked,
+          message: 'Please provide your 2FA code'
+        };
       }
 
+      const { token, refreshToken } = await startSession(request, reply, user, true);
+      await request.logSecurityEvent('login', { userId: user.id, details: { method: grant.provider, secondFactor: null } });
+
+      return {
+        user: user,
+        token: token,
+        refreshToken: refreshToken,
+        linked: linked,
+        message: linked ? `${linked} account linked successfully` : 'Login successful'
+      };
     } catch (error) {
-      console.error('OAuth callback error:', error);
-      reply.clearCookie('oauth_state', COOKIE_OPTIONS);
-      reply.clearCookie('oauth_link_user', COOKIE_OPTIONS);
-      return reply.redirect(`${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/?error=oauth_error`);
+      return reply.sendError(error);
     }
   })
 
-  // Link provider to existing user account
-  fastify.post('/auth/link-provider', async function (request, reply) {
-    const { linkToken, email, password } = request.body;
+  // Create an account for a provider identity (link token from /auth/oauth/exchange).
+  // The username defaults to one derived from the provider profile; the email
+  // is the one the provider verified (none: AUTH_PROVIDER_EMAIL_MISSING).
+  // Addresses that belong to an account are refused: the owner attaches the
+  // identity with /auth/link-provider (password) instead.
+  fastify.post('/auth/oauth/signup', { schema: schemas.oauthSignup }, async function (request, reply) {
+    const { linkToken, username } = request.body || {};
+
+    try {
+      const linkData = verifyLinkToken(linkToken);
+      const { providerData } = linkData;
+
+      // Only the address the provider verified: an address typed here would
+      // hold off its real owner
+      const accountEmail = providerData.email;
+      if (!accountEmail) {
+        return reply.sendError('AUTH_PROVIDER_EMAIL_MISSING');
+      }
+      if (await userService.getUserByEmail(accountEmail)) {
+        return reply.sendError(new AuthError(
+          'AUTH_EMAIL_IN_USE',
+          'An account with this email already exists. Sign in with its password to link this provider.',
+          { emailInUse: true }
+        ));
+      }
+
+      if (await oauthService.isProviderLinked(linkData.provider, providerData.providerId)) {
+        return reply.sendError('AUTH_PROVIDER_ALREADY_LINKED');
+      }
+
+      const accountUsername = username || await userService.suggestUsername(
+        providerData.username || accountEmail.split('@')[0]
+      );
+
+      // The address is verified by mail like any other, whatever the provider says
+      const user = await userService.createOAuthUser({ email: accountEmail, username: accountUsername });
+      const updatedUser = await linkFromToken(user.id, linkData);
+      await sendVerificationEmail(request, updatedUser);
+      await request.logSecurityEvent('register', { userId: user.id, details: { method: linkData.provider } });
+
+      const { token, refreshToken } = await startSession(request, reply, updatedUser, false);
 
-    if (!linkToken || !email || !password) {
-      return reply.code(400).send({ error: 'Link token, email, and password are required' });
+      return {
+        user: updatedUser,
+        token: token,
+        refreshToken: refreshToken,
+        message: `Account created with ${linkData.provider}. Check your inbox to verify your email address.`
+      };
+    } catch (error) {
+      return reply.sendError(error);
     }
+  })
+
+  // Attach a provider identity (link token) to an existing account, proven
+  // with its password and, when enabled, a 2FA code
+  fastify.post('/auth/link-provider', { schema: schemas.linkProvider }, async function (request, reply) {
+    const { linkToken, email, password, twoFactorCode } = request.body;
 
     try {
       // Verify link token
-      const linkData = jwt.verify(linkToken, process.env.JWT_SECRET);
-      
-      if (linkData.type !== 'link_token') {
-        return reply.code(400).send({ error: 'Invalid link token' });
+      const linkData = verifyLinkToken(linkToken);
+
+      const linkKeys = throttleService.keys('link', { account: await throttleAccount(email), ip: request.ip });
+      const retryAfter = await throttleService.attempt(linkKeys);
+      if (retryAfter) {
+        return tooManyAttempts(reply, retryAfter);
       }
 
       // Authenticate user with email/password
-      const user = await userService.authenticateUser(email, password);
-      
-      // Check if provider is already linked to another user
-      if (oauthService.isProviderLinked(linkData.provider, linkData.providerData.providerId)) {
-        return reply.code(400).send({ error: 'This provider account is already linked to another user' });
+      let user;
+      try {
+        user = await userService.authenticateUser(email, password);
+      } catch (error) {
+        await logFailedPasswordLogin(request, email, error, { provider: linkData.provider });
+        throw error;
       }
+      await throttleService.recordSuccess(linkKeys);
 
-      // Link the provider to the authenticated user
-      const updatedUser = oauthService.linkProviderToUser(user.id, linkData.providerData);
-      
-      // Store OAuth tokens
-      oauthService.storeUserTokens(user.id, linkData.provider, linkData.tokens);
+      if (!user.emailVerified) {
+        return reply.sendError(new AuthError('AUTH_EMAIL_NOT_VERIFIED', 'Email address must be verified before linking a provider'));
+      }
+
+      // The password alone must not be enough to change a 2FA-protected account
+      const twoFactorRequired = userService.requires2FA(user);
+      if (twoFactorRequired) {
+        if (!twoFactorCode) {
+          return {
+            requiresTwoFactor: true,
+            methods: userService.get2FAMethods(user),
+            message: 'Please provide your 2FA code'
+          };
+        }
+
+        const twoFactorKeys = throttleService.keys('twoFactor', { account: user.id, ip: request.ip });
+        const twoFactorRetryAfter = await throttleService.attempt(twoFactorKeys);
+        if (twoFactorRetryAfter) {
+          return tooManyAttempts(reply, twoFactorRetryAfter);
+        }
+
+        try {
+          await userService.verify2FA(user.id, twoFactorCode);
+        } catch (error) {
+          await request.logSecurityEvent('two_factor', { outcome: 'failure', userId: user.id, details: { method: userService.twoFactorCodeMethod(twoFactorCode) } });
+          return reply.sendError(error);
+        }
+        await throttleService.recordSuccess(twoFactorKeys);
+      }
+
+      // Link the provider to the authenticated user and store its tokens
+      const updatedUser = await linkFromToken(user.id, linkData);
+      await request.logSecurityEvent('provider_link', { userId: user.id, details: { provider: linkData.provider } });
       
       // Generate new JWT with updated user info
-      const authToken = userService.generateJWT(updatedUser);
+      const { token: authToken, refreshToken } = await startSession(request, reply, updatedUser, twoFactorRequired);
       
       return { 
         user: updatedUser,
         token: authToken,
+        refreshToken: refreshToken,
         message: `${linkData.provider} account linked successfully`
       };
     } catch (error) {
-      if (error.message === 'Invalid token' || error.name === 'TokenExpiredError') {
-        return reply.code(400).send({ error: 'Link token has expired or is invalid' });
-      }
-      return reply.code(400).send({ error: error.message });
+      return reply.sendError(error);
     }
   })
 
   // Get link token info (for frontend to display provider info)
-  fastify.post('/auth/link-info', async function (request, reply) {
+  fastify.post('/auth/link-info', { schema: schemas.linkInfo }, async function (request, reply) {
     const { linkToken } = request.body;
 
-    if (!linkToken) {
-      return reply.code(400).send({ error: 'Link token is required' });
+    try {
+      return await linkTokenInfo(verifyLinkToken(linkToken));
+    } catch (error) {
+      return reply.sendError(error);
     }
+  })
+
+  // ===== EMAIL VERIFICATION ENDPOINTS =====
+
+  // Confirm an email address with the token from the verification email
+  fastify.post('/auth/verify-email', { schema: schemas.verifyEmail }, async function (request, reply) {
+    const { token } = request.body;
 
     try {
-      const linkData = jwt.verify(linkToken, process.env.JWT_SECRET);
-      
-      if (linkData.type !== 'link_token') {
-        return reply.code(400).send({ error: 'Invalid link token' });
+      const { user, previousEmail } = await userService.verifyEmail(token);
+      await request.logSecurityEvent('email_verify', { userId: user.id });
+      if (previousEmail) {
+        await request.logSecurityEvent('email_change', {
+          userId: user.id,
+          details: { from: previousEmail, to: user.email }
+        });
       }
 
       return {
-        provider: linkData.provider,
-        username: linkData.providerData.username,
-        email: linkData.providerData.email,
-        avatar: linkData.providerData.avatar
+        user: user,
+        message: 'Email verified successfully'
       };
     } catch (error) {
-      if (error.message === 'Invalid token' || error.name === 'TokenExpiredError') {
-        return reply.code(400).send({ error: 'Link token has expired or is invalid' });
-      }
-      return reply.code(400).send({ error: 'Invalid link token' });
+      return reply.sendError(error);
     }
   })
 
-  // Unlink provider from user account
-  fastify.post('/auth/unlink-provider', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    const { provider } = request.body;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
+  // Send a new verification email to the primary address, or to another
+  // address of the account given as { email }
+  fastify.post('/auth/resend-verification', { schema: schemas.resendVerification, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const user = await userService.getUserById(request.user.id);
+    if (!user) {
+      return reply.sendError('AUTH_TOKEN_INVALID');
     }
 
-    if (!provider) {
-      return reply.code(400).send({ error: 'Provider is required' });
+    const email = request.body && request.body.email ? request.body.email.toLowerCase() : user.email;
+    const address = (await userService.listEmails(user.id)).find(entry => entry.email === email);
+    if (!address) {
+      return reply.sendError('AUTH_EMAIL_NOT_FOUND');
     }
-    
-    const token = authHeader.substring(7);
-    
-    try {
-      const userData = userService.verifyJWT(token);
-      const updatedUser = userService.unlinkProvider(userData.id, provider);
-      
-      return { 
-        user: updatedUser,
-        message: `${provider} account unlinked successfully`
-      };
-    } catch (error) {
-      return reply.code(400).send({ error: error.message });
+    if (address.verified) {
+      return reply.sendError('AUTH_EMAIL_ALREADY_VERIFIED');
     }
-  })
 
-  // Get user's linked providers
-  fastify.get('/auth/linked-providers', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
-    }
-    
-    const token = authHeader.substring(7);
-    
-    try {
-      const userData = userService.verifyJWT(token);
-      const providers = userService.getLinkedProviders(userData.id);
-      
-      return { providers };
-    } catch (error) {
-      return reply.code(401).send({ error: 'Invalid token' });
+    if (!await sendVerificationEmail(request, user, email)) {
+      return reply.sendError('MAIL_DELIVERY_FAILED');
     }
+
+    return { message: 'Verification email sent' };
   })
 
-  // Token validation endpoint
-  fastify.get('/auth/validate', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
-    }
-    
-    const token = authHeader.substring(7);
-    
+  // ===== END EMAIL VERIFICATION ENDPOINTS =====
+
+  // ===== EMAIL ADDRESS ENDPOINTS =====
+
+  // The account's addresses, primary first
+  fastify.get('/auth/emails', { schema: schemas.emails, preHandler: fastify.authenticate() }, async function (request, reply) {
+    return { emails: await userService.listEmails(request.user.id) };
+  })
+
+  // Add an address; it can sign in and become primary once verified
+  fastify.post('/auth/emails', { schema: schemas.addEmail, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
+    const email = request.body.email.toLowerCase();
+
     try {
-      const decoded = userService.verifyJWT(token);
-      return { valid: true, user: decoded };
+      const emails = await userService.addEmail(request.user.id, email);
+      await request.logSecurityEvent('email_add', { userId: request.user.id, details: { email: email } });
+
+      const user = await userService.getUserById(request.user.id);
+      await sendVerificationEmail(request, user, email);
+
+      return reply.code(201).send({ emails: emails });
     } catch (error) {
-      return reply.code(401).send({ error: 'Invalid token' });
+      return reply.sendError(error);
     }
   })
 
-  // Get current user info
-  fastify.get('/auth/me', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
-    }
-    
-    const token = authHeader.substring(7);
-    
+  // Make a verified address the primary one (notifications go there)
+  fastify.post('/auth/emails/primary', { schema: schemas.primaryEmail, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
     try {
-      const userData = userService.verifyJWT(token);
-      const user = userService.getUserById(userData.id);
-      
-      if (!user) {
-        return reply.code(404).send({ error: 'User not found' });
+      const previous = await userService.getUserById(request.user.id);
+      const user = await userService.setPrimaryEmail(request.user.id, request.body.email);
+      if (user.email !== previous.email) {
+        await request.logSecurityEvent('email_primary', {
+          userId: user.id,
+          details: { from: previous.email, to: user.email }
+        });
       }
-      
-      return { user };
+
+      return {
+        user: user,
+        emails: await userService.listEmails(user.id)
+      };
     } catch (error) {
-      return reply.code(401).send({ error: 'Invalid token' });
+      return reply.sendError(error);
     }
   })
 
-  // ===== 2FA ENDPOINTS =====
+  // Remove a secondary address
+  fastify.delete('/auth/emails/:email', { schema: schemas.removeEmail, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
+    const email = request.params.email.toLowerCase();
 
-  // Setup 2FA - Generate QR code and secret
-  fastify.post('/auth/2fa/setup', async function (request, reply) {
-    const authHeader = request.headers.authorization;
+    try {
+      const emails = await userService.removeEmail(request.user.id, email);
+      await request.logSecurityEvent('email_remove', { userId: request.user.id, details: { email: email } });
+
+      return { emails: emails };
+    } catch (error) {
+      return reply.sendError(error);
+    }
+  })
+
+  // ===== END EMAIL ADDRESS ENDPOINTS =====
+
+  // Unlink provider from user account
+  fastify.post('/auth/unlink-provider', { schema: schemas.unlinkProvider, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const { provider } = request.body;
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
+    try {
+      // Removing the last provider takes away a way to sign in
+      const user = await userService.getUserById(request.user.id);
+      const linked = user ? Object.keys(user.providers) : [];
+      if (linked.length === 1 && linked[0] === provider) {
+        request.requireRecentAuth();
+      }
+
+      const updatedUser = await userService.unlinkProvider(request.user.id, provider);
+      await oauthService.revokeProviderTokens(request.user.id, provider);
+      await request.logSecurityEvent('provider_unlink', { userId: request.user.id, details: { provider } });
+      
+      return { 
+        user: updatedUser,
+        message: `${provider} account unlinked successfully`
+      };
+    } catch (error) {
+      return reply.sendError(error);
     }
+  })
+
+  // Get user's linked providers
+  fastify.get('/auth/linked-providers', { schema: schemas.linkedProviders, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const providers = await userService.getLinkedProviders(request.user.id);
     
-    const token = authHeader.substring(7);
+    return { providers };
+  })
+
+  // Token validation endpoint
+  fastify.get('/auth/validate', { schema: schemas.validate, preHandler: fastify.authenticate() }, async function (request, reply) {
+    return { valid: true, user: request.user };
+  })
+
+  // Get current user info
+  fastify.get('/auth/me', { schema: schemas.me, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const user = await userService.getUserById(request.user.id);
     
+    if (!user) {
+      return reply.sendError('AUTH_TOKEN_INVALID');
+    }
+    
+    return { user };
+  })
+
+  // Look up an account by its current or a previous username (e.g. a name
+  // shown in an old match record)
+  fastify.get('/auth/users/:username', { schema: schemas.userByUsername, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const found = await userService.findByUsername(request.params.username);
+    if (!found) {
+      return reply.sendError('AUTH_USER_NOT_FOUND');
+    }
+
+    return {
+      id: found.user.id,
+      username: found.user.username,
+      resolvedFrom: found.resolvedFrom
+    };
+  })
+
+  // ===== RE-AUTHENTICATION =====
+
+  // Start a passkey re-authentication
+  fastify.post('/auth/reauth/options', { schema: schemas.reauthOptions, preHandler: fastify.authenticate() }, async function (request, reply) {
+    // Used alone, the passkey must verify the user (PIN, biometrics)
+    return webAuthnService.generateAuthenticationOptions(request.user.id, { passwordless: true });
+  })
+
+  // Confirm the user's identity and issue a reauth token for sensitive
+  // changes (sent back in X-Reauth-Token, valid 5 minutes, this session only).
+  // A passkey is enough on its own; otherwise the password, plus a TOTP or
+  // backup code when TOTP is on. Accounts with neither sign in again instead.
+  fastify.post('/auth/reauth', { schema: schemas.reauth, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const { password, twoFactorCode, challengeId, response } = request.body;
+
+    const user = await userService.getUserById(request.user.id);
+    if (!user) {
+      return reply.sendError('AUTH_TOKEN_INVALID');
+    }
+
+    let method;
+    if (challengeId) {
+      try {
+        await webAuthnService.verifyAuthentication(challengeId, response, { passwordless: true, expectedUserId: user.id });
+      } catch (error) {
+        await request.logSecurityEvent('reauthentication', { outcome: 'failure', userId: user.id, details: { reason: 'invalid_passkey' } });
+        return reply.sendError(error);
+      }
+      method = 'passkey';
+    } else if (user.hasPassword) {
+      if (!await checkPassword(request, reply, user, password)) {
+        return reply;
+      }
+      if (user.twoFactor.enabled) {
+        if (!await checkTwoFactorCode(request, reply, user, twoFactorCode)) {
+          return reply;
+        }
+      } else if (userService.requires2FA(user)) {
+        // The only second factor is a passkey, which is enough on its own
+        return reply.sendError('AUTH_2FA_REQUIRED', { requiresTwoFactor: true, methods: ['webauthn'] });
+      }
+      method = 'password';
+    } else if (user.twoFactor.enabled) {
+      if (!await checkTwoFactorCode(request, reply, user, twoFactorCode)) {
+        return reply;
+      }
+      method = 'totp';
+    } else if (user.webauthn.enabled) {
+      return reply.sendError('AUTH_2FA_REQUIRED', { requiresTwoFactor: true, methods: ['webauthn'] });
+    } else {
+      // Provider sign-in only: a session that just started counts
+      const session = await sessionService.getSession(request.user.sid);
+      if (!session || Date.now() - session.createdAt.getTime() > RECENT_LOGIN_MS) {
+        return reply.sendError('AUTH_RECENT_LOGIN_REQUIRED');
+      }
+      method = 'recent_login';
+    }
+
+    await request.logSecurityEvent('reauthentication', { userId: user.id, details: { method } });
+
+    return {
+      reauthToken: userService.generateReauthToken(request.user, method),
+      expiresIn: userService.reauthTokenTtl / 1000,
+      method: method
+    };
+  })
+
+  // ===== END RE-AUTHENTICATION =====
+
+  // ===== 2FA ENDPOINTS =====
+
+  // Setup 2FA - Generate QR code and secret
+  fastify.post('/auth/2fa/setup', { schema: schemas.twoFactorSetup, preHandler: fastify.authenticate() }, async function (request, reply) {
     try {
-      const userData = userService.verifyJWT(token);
-      const setupData = await userService.setup2FA(userData.id);
+      const user = await userService.getUserById(request.user.id);
+      if (user && !user.emailVerified) {
+        return reply.sendError(new AuthError('AUTH_EMAIL_NOT_VERIFIED', 'Email address must be verified before enabling 2FA'));
+      }
+
+      const setupData = await userService.setup2FA(request.user.id);
       
       return setupData;
     } catch (error) {
-      return reply.code(400).send({ error: error.message });
+      return reply.sendError(error);
     }
   })
 
   // Verify 2FA setup and enable it
-  fastify.post('/auth/2fa/verify-setup', async function (request, reply) {
-    const authHeader = request.headers.authorization;
+  fastify.post('/auth/2fa/verify-setup', { schema: schemas.twoFactorVerifySetup, preHandler: fastify.authenticate() }, async function (request, reply) {
     const { token: twoFactorCode } = request.body;
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
-    }
-
-    if (!twoFactorCode) {
-      return reply.code(400).send({ error: '2FA code is required' });
-    }
-    
-    const token = authHeader.substring(7);
-    
     try {
-      const userData = userService.verifyJWT(token);
-      const result = await userService.verify2FASetup(userData.id, twoFactorCode);
+      const result = await userService.verify2FASetup(request.user.id, twoFactorCode);
+      await request.logSecurityEvent('two_factor_enable', { userId: request.user.id, details: { method: 'totp' } });
       
       return {
         ...result,
         message: '2FA enabled successfully. Save these backup codes in a secure location.'
       };
     } catch (error) {
-      return reply.code(400).send({ error: error.message });
+      return reply.sendError(error);
     }
   })
 
   // Verify 2FA for temporary token (complete login)
-  fastify.post('/auth/2fa/verify', async function (request, reply) {
+  fastify.post('/auth/2fa/verify', { schema: schemas.twoFactorVerify }, async function (request, reply) {
     const { tempToken, twoFactorCode } = request.body;
     
-    if (!tempToken || !twoFactorCode) {
-      return reply.code(400).send({ error: 'Temporary token and 2FA code are required' });
-    }
-    
     try {
-      const userData = userService.verifyJWT(tempToken);
-      
-      if (!userData.temp2FA) {
-        return reply.code(400).send({ error: 'Invalid temporary token' });
+      const userData = verifyTempToken(tempToken);
+
+      const twoFactorKeys = throttleService.keys('twoFactor', { account: userData.id, ip: request.ip });
+      const retryAfter = await throttleService.attempt(twoFactorKeys);
+      if (retryAfter) {
+        return tooManyAttempts(reply, retryAfter);
       }
       
       // Verify 2FA code
-      await userService.verify2FA(userData.id, twoFactorCode);
+      let secondFactor;
+      try {
+        ({ method: secondFactor } = await userService.verify2FA(userData.id, twoFactorCode));
+      } catch (error) {
+        await request.logSecurityEvent('two_factor', { outcome: 'failure', userId: userData.id, details: { method: userService.twoFactorCodeMethod(twoFactorCode) } });
+        throw error;
+      }
+      await throttleService.recordSuccess(twoFactorKeys);
       
-      // Get fresh user data
-      const user = userService.getUserById(userData.id);
-      if (!user) {
-        return reply.code(404).send({ error: 'User not found' });
+      // Get fresh user data: the account may have been deactivated since the
+      // password step
+      const user = await userService.getUserById(userData.id);
+      if (!user || !user.isActive) {
+        return reply.sendError('AUTH_TEMP_TOKEN_INVALID');
       }
       
       // Generate full access token
-      const authToken = userService.generateJWT(user, true);
+      const { token: authToken, refreshToken } = await startSession(request, reply, user, true);
+      await request.logSecurityEvent('login', { userId: user.id, details: { secondFactor: secondFactor } });
       
       return {
         user: user,
         token: authToken,
+        refreshToken: refreshToken,
         message: 'Login successful'
       };
     } catch (error) {
-      return reply.code(401).send({ error: error.message });
+      return reply.sendError(error);
     }
   })
 
   // Get 2FA status
-  fastify.get('/auth/2fa/status', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
-    }
-    
-    const token = authHeader.substring(7);
-    
-    try {
-      const userData = userService.verifyJWT(token);
-      const status = userService.get2FAStatus(userData.id);
-      
-      return status;
-    } catch (error) {
-      return reply.code(401).send({ error: 'Invalid token' });
-    }
+  fastify.get('/auth/2fa/status', { schema: schemas.twoFactorStatus, preHandler: fastify.authenticate() }, async function (request, reply) {
+    return userService.get2FAStatus(request.user.id);
   })
 
   // Disable 2FA
-  fastify.post('/auth/2fa/disable', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    const { currentPassword, twoFactorCode } = request.body;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
-    }
-
-    if (!currentPassword || !twoFactorCode) {
-      return reply.code(400).send({ error: 'Current password and 2FA code are required' });
-    }
-    
-    const token = authHeader.substring(7);
-    
+  fastify.post('/auth/2fa/disable', { schema: schemas.twoFactorDisable, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
     try {
-      const userData = userService.verifyJWT(token);
-      await userService.disable2FA(userData.id, currentPassword, twoFactorCode);
+      await userService.disable2FA(request.user.id);
+      await request.logSecurityEvent('two_factor_disable', { userId: request.user.id, details: { method: 'totp' } });
       
       return { message: '2FA disabled successfully' };
     } catch (error) {
-      return reply.code(400).send({ error: error.message });
+      await request.logSecurityEvent('two_factor_disable', { outcome: 'failure', userId: request.user.id, details: { reason: error.message } });
+      return reply.sendError(error);
     }
   })
 
   // Regenerate backup codes
-  fastify.post('/auth/2fa/regenerate-backup-codes', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    const { currentPassword, twoFactorCode } = request.body;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
-    }
-
-    if (!currentPassword || !twoFactorCode) {
-      return reply.code(400).send({ error: 'Current password and 2FA code are required' });
-    }
-    
-    const token = authHeader.substring(7);
-    
+  fastify.post('/auth/2fa/regenerate-backup-codes', { schema: schemas.regenerateBackupCodes, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
     try {
-      const userData = userService.verifyJWT(token);
-      const result = await userService.regenerateBackupCodes(userData.id, currentPassword, twoFactorCode);
+      const result = await userService.regenerateBackupCodes(request.user.id);
+      await request.logSecurityEvent('backup_codes_regenerate', { userId: request.user.id });
       
       return {
         ...result,
         message: 'Backup codes regenerated successfully. Save these new codes in a secure location.'
       };
     } catch (error) {
-      return reply.code(400).send({ error: error.message });
+      await request.logSecurityEvent('backup_codes_regenerate', { outcome: 'failure', userId: request.user.id, details: { reason: error.message } });
+      return reply.sendError(error);
     }
   })
 
   // ===== END 2FA ENDPOINTS =====
 
-  // Logout endpoint
-  fastify.post('/auth/logout', async function (request, reply) {
-    const authHeader = request.headers.authorization;
+  // ===== PASSKEY (WEBAUTHN) ENDPOINTS =====
+
+  // Start registering a passkey for the current user
+  fastify.post('/auth/webauthn/register/options', { schema: schemas.passkeyRegisterOptions, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
+    try {
+      const user = await userService.getUserById(request.user.id);
+      if (!user) {
+        return reply.sendError('AUTH_TOKEN_INVALID');
+      }
+
+      if (!user.emailVerified) {
+        return reply.sendError(new AuthError('AUTH_EMAIL_NOT_VERIFIED', 'Email address must be verified before adding a passkey'));
+      }
+
+      return await webAuthnService.generateRegistrationOptions(user);
+    } catch (error) {
+      return reply.sendError(error);
+    }
+  })
+
+  // Finish registering a passkey
+  fastify.post('/auth/webauthn/register/verify', { schema: schemas.passkeyRegisterVerify, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
+    const { challengeId, response, name } = request.body;
+
+    try {
+      const credential = await webAuthnService.verifyRegistration(request.user.id, challengeId, response, name);
+      await request.logSecurityEvent('passkey_add', { userId: request.user.id, details: { credentialId: credential.id, name: credential.name } });
+
+      return {
+        credential: credential,
+        message: 'Passkey registered successfully'
+      };
+    } catch (error) {
+      return reply.sendError(error);
+    }
+  })
+
+  // List the current user's passkeys
+  fastify.get('/auth/webauthn/credentials', { schema: schemas.passkeys, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const credentials = await webAuthnService.listCredentials(request.user.id);
     
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
+    return { credentials };
+  })
+
+  // Remove one of the current user's passkeys
+  fastify.delete('/auth/webauthn/credentials/:credentialId', { schema: schemas.passkeyRemove, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const { credentialId } = request.params;
+
+    try {
+      // Removing the last passkey takes away a way to sign in (and a second factor)
+      const credentials = await webAuthnService.listCredentials(request.user.id);
+      if (credentials.length === 1 && credentials[0].id === credentialId) {
+        request.requireRecentAuth();
+      }
+
+      await webAuthnService.removeCredential(request.user.id, credentialId);
+      await request.logSecurityEvent('passkey_remove', { userId: request.user.id, details: { credentialId } });
       
-      try {
-        // Verify and decode the JWT to get user info
-        const userData = userService.verifyJWT(token);
-        
-        // Revoke OAuth tokens with the provider
-        const revocationResult = await oauthService.revokeTokens(userData.id);
-        
-        if (revocationResult.success) {
-          return { 
-            message: 'Logged out successfully and tokens revoked',
-            revoked: true 
-          };
-        } else {
-          return { 
-            message: 'Logged out successfully but token revocation failed',
-            revoked: false,
-            reason: revocationResult.reason
-          };
+      return { message: 'Passkey removed successfully' };
+    } catch (error) {
+      return reply.sendError(error);
+    }
+  })
+
+  // Start a passkey login: second factor (with tempToken) or passwordless (optionally with email)
+  fastify.post('/auth/webauthn/login/options', { schema: schemas.passkeyLoginOptions }, async function (request, reply) {
+    const { tempToken, email } = request.body || {};
+
+    try {
+      if (tempToken) {
+        const userData = verifyTempToken(tempToken);
+        return await webAuthnService.generateAuthenticationOptions(userData.id);
+      }
+
+      // Unknown emails and users without passkeys get discoverable options,
+      // so the answer doesn't reveal whether an account exists
+      let userId = null;
+      if (email) {
+        const user = await userService.getUserByEmail(email);
+        if (user && user.webauthn.enabled) {
+          userId = user.id;
         }
+      }
+
+      return await webAuthnService.generateAuthenticationOptions(userId, { passwordless: true });
+    } catch (error) {
+      return reply.sendError(error);
+    }
+  })
+
+  // Finish a passkey login and start a session
+  fastify.post('/auth/webauthn/login/verify', { schema: schemas.passkeyLoginVerify }, async function (request, reply) {
+    const { challengeId, response, tempToken } = request.body;
+
+    try {
+      let expectedUserId = null;
+      if (tempToken) {
+        expectedUserId = verifyTempToken(tempToken).id;
+      }
+
+      const throttleKeys = expectedUserId
+        ? throttleService.keys('twoFactor', { account: expectedUserId, ip: request.ip })
+        : throttleService.keys('login', { ip: request.ip });
+      const retryAfter = await throttleService.attempt(throttleKeys);
+      if (retryAfter) {
+        return tooManyAttempts(reply, retryAfter);
+      }
+
+      let result;
+      try {
+        result = await webAuthnService.verifyAuthentication(challengeId, response, {
+          passwordless: !expectedUserId,
+          expectedUserId: expectedUserId
+        });
       } catch (error) {
-        console.error('Logout error:', error);
-        return { 
-          message: 'Logged out successfully but token cleanup failed',
-          revoked: false 
-        };
+        await request.logSecurityEvent(expectedUserId ? 'two_factor' : 'login', {
+          outcome: 'failure',
+          userId: expectedUserId,
+          details: { method: 'passkey', reason: error.message }
+        });
+        throw error;
       }
+      await throttleService.recordSuccess(throttleKeys);
+
+      const user = await userService.getUserById(result.userId);
+      if (!user || !user.isActive) {
+        return reply.sendError('AUTH_INVALID_CREDENTIALS');
+      }
+
+      // A verified passkey is both possession and user verification
+      const { token: authToken, refreshToken } = await startSession(request, reply, user, true);
+      await request.logSecurityEvent('login', {
+        userId: user.id,
+        details: expectedUserId ? { secondFactor: 'passkey' } : { method: 'passkey', secondFactor: null }
+      });
+
+      return {
+        user: user,
+        token: authToken,
+        refreshToken: refreshToken,
+        message: 'Login successful'
+      };
+    } catch (error) {
+      return reply.sendError(error);
     }
-    
-    // No token provided, just confirm logout
-    return { message: 'Logged out successfully' };
   })
 
-  // Manual token revocation endpoint
-  fastify.post('/auth/revoke', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
+  // ===== END PASSKEY (WEBAUTHN) ENDPOINTS =====
+
+  // Exchange a refresh token for a new access token (rotates the refresh token)
+  fastify.post('/auth/refresh', { schema: schemas.refresh }, async function (request, reply) {
+    const refreshToken = request.body?.refreshToken || request.cookies[REFRESH_COOKIE];
+
+    if (!refreshToken) {
+      return reply.sendError(new AuthError('AUTH_REFRESH_TOKEN_INVALID', 'No refresh token provided'));
     }
-    
-    const token = authHeader.substring(7);
-    
+
     try {
-      const userData = userService.verifyJWT(token);
-      const revocationResult = await oauthService.revokeTokens(userData.id);
-      
+      // Sessions of OIDC clients are refreshed at /auth/oidc/token, for a
+      // client-bound token
+      const current = await sessionService.getActiveSessionByRefreshToken(refreshToken);
+      if (current && current.clientId) {
+        throw new AuthError('AUTH_REFRESH_TOKEN_INVALID');
+      }
+
+      const { session, refreshToken: newRefreshToken } = await sessionService.rotateRefreshToken(refreshToken);
+
+      const user = await userService.getUserById(session.userId);
+      if (!user || !user.isActive) {
+        await sessionService.revokeSession(session.id, 'user_inactive');
+        throw new AuthError('AUTH_REFRESH_TOKEN_INVALID');
+      }
+      await sessionService.touchSession(session.id, { ip: request.ip });
+
+      reply.setCookie(REFRESH_COOKIE, newRefreshToken, {
+        ...REFRESH_COOKIE_OPTIONS,
+        maxAge: Math.floor(sessionService.refreshTokenTtl / 1000)
+      });
+
       return {
-        success: revocationResult.success,
-        message: revocationResult.success 
-          ? 'Tokens revoked successfully' 
-          : `Token revocation failed: ${revocationResult.reason}`
+        token: userService.generateJWT(user, session.twoFactorVerified, session.id),
+        refreshToken: newRefreshToken
       };
     } catch (error) {
-      return reply.code(401).send({ error: 'Invalid token' });
+      reply.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+      if (error.code === 'AUTH_REFRESH_TOKEN_REUSED') {
+        const session = await sessionService.getSession(await sessionService.getSessionIdByRefreshToken(refreshToken));
+        await request.logSecurityEvent('refresh_token_reuse', {
+          outcome: 'failure',
+          userId: session ? session.userId : null,
+          details: { sessionId: session ? session.id : null }
+        });
+      }
+      return reply.sendError(error);
     }
   })
 
-  // Update user profile
-  fastify.put('/auth/profile', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    const { username, email } = request.body;
+  // Logout endpoint
+  fastify.post('/auth/logout', { schema: schemas.logout, preHandler: fastify.authenticate({ requireAuth: false }) }, async function (request, reply) {
+    const refreshToken = request.body?.refreshToken || request.cookies[REFRESH_COOKIE];
+
+    reply.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+
+    // Revoke the session behind the refresh token, even if the access token already expired
+    if (refreshToken) {
+      try {
+        const sessionId = await sessionService.getSessionIdByRefreshToken(refreshToken);
+        if (sessionId) {
+          await sessionService.revokeSession(sessionId, 'logout');
+        }
+      } catch (error) {
+        request.log.error({ err: error }, 'Session revocation failed');
+      }
+    }
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
+    // Provider tokens stay in the vault: other devices are still signed in.
+    // They are revoked on unlink and account deletion.
+    if (request.user) {
+      try {
+        // Invalidate the session so the access token stops working right away
+        await sessionService.revokeSession(request.user.sid, 'logout');
+        await request.logSecurityEvent('logout', { userId: request.user.id, details: { sessionId: request.user.sid } });
+      } catch (error) {
+        request.log.error({ err: error }, 'Session revocation failed');
+      }
     }
+
+    return { message: 'Logged out successfully' };
+  })
+
+  // ===== SESSION ENDPOINTS =====
+
+  // List the current user's active sessions (devices)
+  fastify.get('/auth/sessions', { schema: schemas.sessions, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const sessions = await sessionService.listActiveSessions(request.user.id);
+
+    return {
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        clientId: session.clientId,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session.id === request.user.sid
+      }))
+    };
+  })
+
+  // Sign out every other device
+  fastify.post('/auth/sessions/revoke-others', { schema: schemas.revokeOtherSessions, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const revoked = await sessionService.revokeOtherSessions(request.user.id, request.user.sid);
+    await request.logSecurityEvent('session_revoke', { userId: request.user.id, details: { scope: 'others', count: revoked } });
+
+    return {
+      revoked: revoked,
+      message: 'Signed out of all other sessions'
+    };
+  })
+
+  // Sign out a single device
+  fastify.delete('/auth/sessions/:sessionId', { schema: schemas.revokeSession, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const { sessionId } = request.params;
+
+    const revoked = await sessionService.revokeUserSession(request.user.id, sessionId);
+    if (!revoked) {
+      return reply.sendError('AUTH_SESSION_NOT_FOUND');
+    }
+    await request.logSecurityEvent('session_revoke', { userId: request.user.id, details: { sessionId } });
+
+    if (sessionId === request.user.sid) {
+      reply.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+    }
+
+    return {
+      current: sessionId === request.user.sid,
+      message: 'Session revoked'
+    };
+  })
+
+  // ===== END SESSION ENDPOINTS =====
+
+  // Recent security events of the current user (sign-ins, failed attempts,
+  // 2FA and password changes...), newest first; ?limit= (max 100), ?offset=
+  fastify.get('/auth/security/events', { schema: schemas.securityEvents, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const { limit, offset } = request.query;
+    const { events, total } = await fastify.securityLog.list({ userId: request.user.id, limit, offset });
+
+    return {
+      events: events.map(event => ({
+        id: event.id,
+        type: event.type,
+        outcome: event.outcome,
+        ip: event.ip,
+        userAgent: event.userAgent,
+        details: event.details,
+        byAdmin: !!event.actorId && event.actorId !== request.user.id,
+        createdAt: event.createdAt
+      })),
+      total: total,
+      limit: limit,
+      offset: offset
+    };
+  })
+
+  // Manual token revocation endpoint
+  fastify.post('/auth/revoke', { schema: schemas.revokeProviderTokens, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const revocationResult = await oauthService.revokeTokens(request.user.id);
     
-    const token = authHeader.substring(7);
+    return {
+      success: revocationResult.success,
+      message: revocationResult.success 
+        ? 'Tokens revoked successfully' 
+        : `Token revocation failed: ${revocationResult.reason}`,
+      providers: revocationResult.results
+    };
+  })
+
+  // Update user profile (an email change requires a recent re-authentication)
+  fastify.put('/auth/profile', { schema: schemas.profile, preHandler: fastify.authenticate() }, async function (request, reply) {
+    const { username, email } = request.body;
     
     try {
-      const userData = userService.verifyJWT(token);
       const updates = {};
       
       if (username !== undefined) updates.username = username;
-      if (email !== undefined) updates.email = email;
+      if (email !== undefined) {
+        // The address receives reset links: changing it is a sensitive action
+        request.requireRecentAuth();
+        updates.email = email;
+      }
       
-      const updatedUser = await userService.updateUser(userData.id, updates);
+      const previous = await userService.getUserById(request.user.id);
+      const updatedUser = await userService.updateUser(request.user.id, updates);
+
+      if (updatedUser.username !== previous.username) {
+        await request.logSecurityEvent('username_change', {
+          userId: request.user.id,
+          details: { from: previous.username, to: updatedUser.username }
+        });
+      }
+
+      // A verified address of the account is primary right away; any other
+      // gets a link that makes it primary once followed
+      if (updatedUser.email !== previous.email) {
+        await request.logSecurityEvent('email_change', {
+          userId: request.user.id,
+          details: { from: previous.email, to: updatedUser.email }
+        });
+      }
+      const pendingEmail = email !== undefined && email.toLowerCase() !== updatedUser.email ? email.toLowerCase() : null;
+      if (pendingEmail) {
+        await sendVerificationEmail(request, updatedUser, pendingEmail, { primary: true });
+        return {
+          user: updatedUser,
+          pendingEmail: pendingEmail,
+          message: 'Verification email sent: the address becomes primary once verified'
+        };
+      }
       
       return { 
         user: updatedUser,
         message: 'Profile updated successfully'
       };
     } catch (error) {
-      return reply.code(400).send({ error: error.message });
+      return reply.sendError(error);
     }
   })
 
-  // Change password
-  fastify.put('/auth/password', async function (request, reply) {
-    const authHeader = request.headers.authorization;
-    const { currentPassword, newPassword } = request.body;
+  // Change (or set a first) password after a recent re-authentication
+  fastify.put('/auth/password', { schema: schemas.changePassword, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
+    const { newPassword } = request.body;
+
+    const user = await userService.getUserById(request.user.id);
+    await userService.checkPasswordPolicy(newPassword, user);
+    await userService.setPassword(user.id, newPassword);
+    await request.logSecurityEvent('password_change', { userId: request.user.id });
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return reply.code(401).send({ error: 'No token provided' });
+    return { message: 'Password changed successfully' };
+  })
+
+  // The rules new passwords must follow
+  fastify.get('/auth/password/policy', { schema: schemas.passwordPolicy }, async function (request, reply) {
+    return userService.passwordPolicy.describe();
+  })
+
+  // Request a password reset link (same answer whether or not the account exists)
+  fastify.post('/auth/password/forgot', { schema: schemas.forgotPassword }, async function (request, reply) {
+    const { email } = request.body;
+
+    const resetKeys = throttleService.keys('passwordReset', { account: await throttleAccount(email), ip: request.ip });
+    const retryAfter = await throttleService.attempt(resetKeys);
+    if (retryAfter) {
+      return tooManyAttempts(reply, retryAfter);
+    }
+
+    try {
+      const reset = await passwordResetService.requestReset(email);
+      if (reset) {
+        await mailService.sendPasswordReset(reset.user, reset.token);
+        await request.logSecurityEvent('password_reset_request', { userId: reset.user.id });
+      }
+    } catch (error) {
+      request.log.error({ err: error }, 'Password reset request failed');
     }
 
-    if (!currentPassword || !newPassword) {
-      return reply.code(400).send({ error: 'Current password and new password are required' });
+    return { message: 'If an account exists for this email, a reset link has been sent' };
+  })
+
+  // Set a new password with a reset token; signs the user out everywhere
+  fastify.post('/auth/password/reset', { schema: schemas.resetPassword }, async function (request, reply) {
+    const { token, newPassword, twoFactorCode } = request.body;
+
+    try {
+      const { reset, user } = await passwordResetService.findReset(token);
+
+      // A reset link alone must not get past 2FA
+      if (user.twoFactor.enabled) {
+        const onFailure = () => passwordResetService.recordTwoFactorFailure(reset.id);
+        if (!await checkTwoFactorCode(request, reply, user, twoFactorCode, { onFailure })) {
+          return reply;
+        }
+      }
+
+      await passwordResetService.completeReset(reset, user, newPassword);
+      await sessionService.revokeAllSessions(user.id, 'password_reset');
+      reply.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+      await request.logSecurityEvent('password_reset', { userId: user.id });
+
+      return { message: 'Password reset successfully. Please log in with your new password.' };
+    } catch (error) {
+      return reply.sendError(error);
     }
+  })
 
-    if (newPassword.length < 8) {
-      return reply.code(400).send({ error: 'New password must be at least 8 characters long' });
+  // ===== ACCOUNT DELETION & DATA EXPORT =====
+
+  // Delete the account after a grace period (recent re-authentication required).
+  // The account is deactivated at once: sessions and provider tokens are revoked.
+  fastify.post('/auth/account/delete', { schema: schemas.deleteAccount, preHandler: fastify.authenticate({ requireRecentAuth: true }) }, async function (request, reply) {
+    const user = await userService.getUserById(request.user.id);
+    if (!user) {
+      return reply.sendError('AUTH_TOKEN_INVALID');
     }
-    
-    const token = authHeader.substring(7);
-    
+
+    const deletion = await accountDeletionService.schedule(user.id);
+    await request.logSecurityEvent('account_delete_request', { userId: user.id, details: { scheduledFor: deletion.scheduledFor } });
+    await oauthService.revokeTokens(user.id);
+    await sessionService.revokeAllSessions(user.id, 'account_deleted');
+    reply.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+
     try {
-      const userData = userService.verifyJWT(token);
-      await userService.changePassword(userData.id, currentPassword, newPassword);
-      
-      return { message: 'Password changed successfully' };
+      await mailService.sendAccountDeletionScheduled(user, deletion.scheduledFor, deletion.cancelToken);
     } catch (error) {
-      return reply.code(400).send({ error: error.message });
+      request.log.error({ err: error }, 'Failed to send account deletion email');
+    }
+
+    return {
+      scheduledFor: deletion.scheduledFor,
+      message: 'Your account has been deactivated and will be deleted at the end of the grace period.'
+    };
+  })
+
+  // The answer to a cancelled deletion: the account stays deactivated when a
+  // moderator deactivated it too
+  async function deletionCancelled(userId) {
+    const user = await userService.getUserById(userId);
+    if (!user || !user.isActive) {
+      return { message: 'Account deletion cancelled. The account remains deactivated by a moderator.' };
     }
+    return { message: 'Account deletion cancelled. You can sign in again.' };
+  }
+
+  // Cancel a pending deletion during the grace period. The account is inactive,
+  // so this takes the mailed link's token, or credentials, instead of an
+  // access token.
+  fastify.post('/auth/account/delete/cancel', { schema: schemas.cancelAccountDeletion }, async function (request, reply) {
+    const { token, email, password, twoFactorCode, challengeId, response } = request.body || {};
+
+    if (token) {
+      const userId = await accountDeletionService.cancelWithToken(token);
+      if (!userId) {
+        return reply.sendError('AUTH_CANCEL_TOKEN_INVALID');
+      }
+      await request.logSecurityEvent('account_delete_cancel', { userId: userId, details: { method: 'link' } });
+      return deletionCancelled(userId);
+    }
+
+    const user = await userService.getUserByEmail(email);
+    const deletion = user ? await accountDeletionService.getPending(user.id) : null;
+    if (!deletion) {
+      // Same answer as a wrong password: don't tell which accounts exist
+      return reply.sendError('AUTH_INVALID_CREDENTIALS');
+    }
+
+    if (!await reauthenticate(request, reply, user, { password, twoFactorCode, challengeId, response })) {
+      return reply;
+    }
+
+    await accountDeletionService.cancel(user.id);
+    await request.logSecurityEvent('account_delete_cancel', { userId: user.id });
+
+    return deletionCancelled(user.id);
+  })
+
+  // Everything we store about the user, as a JSON download
+  fastify.get('/auth/account/export', { schema: schemas.exportAccount, preHandler: fastify.authenticate({ require2FAVerified: true }) }, async function (request, reply) {
+    const user = request.account;
+
+    const { profile, providers } = await userService.exportUser(user.id);
+    await request.logSecurityEvent('account_export', { userId: user.id });
+    const sessions = await sessionService.listSessions(user.id);
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: profile,
+      emails: await userService.listEmails(user.id),
+      usernameHistory: await userService.usernames.history(user.id),
+      providers: providers,
+      twoFactor: {
+        ...await userService.get2FAStatus(user.id),
+        methods: userService.get2FAMethods(user),
+        passkeys: await webAuthnService.listCredentials(user.id)
+      },
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        clientId: session.clientId,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        revokedAt: session.revokedAt,
+        revokedReason: session.revokedReason
+      })),
+      gameHistory: await gameHistoryService.listForUser(user.id)
+    };
+
+    return reply
+      .header('Content-Type', 'application/json; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="account-export-${user.id}.json"`)
+      .header('Cache-Control', 'no-store')
+      .send(JSON.stringify(archive, null, 2));
   })
 }
@@ -0,0 +1,72 @@
+'use strict'
+
+const MockOAuthServer = require('../services/mockOAuth');
+const { MockOAuthError, mockOAuthEnabled } = require('../services/mockOAuth');
+
+// Built-in mock OAuth provider (MOCK_OAUTH_ENABLED=true, never in production),
+// so the login, link, 2FA and revocation flows can be tested without reaching
+// Discord or GitHub. It shows up as the `mock` provider.
+module.exports = async function (fastify, opts) {
+  if (!mockOAuthEnabled()) return;
+
+  const mockServer = opts.mockOAuthServer || new MockOAuthServer();
+  fastify.log.warn('Mock OAuth provider enabled at /auth/mock-oauth');
+
+  fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, function (request, body, done) {
+    done(null, Object.fromEntries(new URLSearchParams(body)));
+  });
+
+  function sendMockError(reply, error) {
+    if (!(error instanceof MockOAuthError)) {
+      throw error;
+    }
+    return reply.code(error.statusCode).send({ error: error.code, error_description: error.message });
+  }
+
+  // Signs in straight away as the identity given by mock_user / mock_username /
+  // mock_email (or fails with mock_error) and redirects back with a code
+  fastify.get('/auth/mock-oauth/authorize', async function (request, reply) {
+    try {
+      return reply.redirect(mockServer.authorize(request.query));
+    } catch (error) {
+      return sendMockError(reply, error);
+    }
+  })
+
+  fastify.post('/auth/mock-oauth/token', async function (request, reply) {
+    try {
+      return mockServer.token(request.body || {});
+    } catch (error) {
+      return sendMockError(reply, error);
+    }
+  })
+
+  fastify.get('/auth/mock-oauth/userinfo', async function (request, reply) {
+    const authHeader = request.headers.authorization || '';
+
+    try {
+      return mockServer.userinfo(authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+    } catch (error) {
+      return sendMockError(reply, error);
+    }
+  })
+
+  fastify.post('/auth/mock-oauth/revoke', async function (request, reply) {
+    try {
+      mockServer.revoke(request.body || {});
+      return {};
+    } catch (error) {
+      return sendMockError(reply, error);
+    }
+  })
+
+  // Test helpers: issued/revoked tokens, and a clean slate between tests
+  fastify.get('/auth/mock-oauth/state', async function (request, reply) {
+    return mockServer.inspect();
+  })
+
+  fastify.post('/auth/mock-oauth/reset', async function (request, reply) {
+    mockServer.reset();
+    return { success: true };
+  })
+}
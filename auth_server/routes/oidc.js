@@ -0,0 +1,284 @@
+'use strict'
+
+const UserService = require('../services/user');
+const SessionService = require('../services/session');
+const OidcService = require('../services/oidc');
+const { OidcError } = require('../services/oidc');
+const schemas = require('../schemas/oidc');
+
+const REFRESH_COOKIE = 'refresh_token';
+const ACCESS_TOKEN_EXPIRES_IN = 15 * 60; // seconds, matches OidcService's ACCESS_TOKEN_TTL
+
+module.exports = async function (fastify, opts) {
+  const userService = new UserService(fastify.db, fastify.keys);
+  const sessionService = new SessionService(fastify.db);
+  const oidcService = new OidcService(fastify.db, fastify.keys);
+
+  for (const client of OidcService.clientsFromEnv()) {
+    await oidcService.registerClient(client);
+  }
+
+  // The token endpoint takes form-encoded bodies (RFC 6749)
+  fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, function (request, body, done) {
+    done(null, Object.fromEntries(new URLSearchParams(body)));
+  });
+
+  function sendOidcError(reply, error) {
+    if (!(error instanceof OidcError)) {
+      reply.request.log.error({ err: error }, 'OIDC request failed');
+      error = new OidcError('server_error', 'Internal server error', 500);
+    }
+    if (error.statusCode === 401) {
+      reply.header('WWW-Authenticate', error.code === 'invalid_token' ? `Bearer error="${error.code}"` : 'Basic');
+    }
+    return reply
+      .code(error.statusCode)
+      .header('Cache-Control', 'no-store')
+      .send({ error: error.code, error_description: error.message });
+  }
+
+  // Schema violations, in the OAuth error format
+  function invalidRequest(reply, error) {
+    return sendOidcError(reply, new OidcError('invalid_request', error.message));
+  }
+
+  // client_secret_basic or client_secret_post
+  function clientCredentials(request) {
+    const authHeader = request.headers.authorization;
+    if (authHeader && authHeader.startsWith('Basic ')) {
+      const decoded = Buffer.from(authHeader.substring(6), 'base64').toString();
+      const separator = decoded.indexOf(':');
+      if (separator === -1) {
+        return { clientId: null, clientSecret: null };
+      }
+      return {
+        clientId: decodeURIComponent(decoded.substring(0, separator)),
+        clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+      };
+    }
+    const body = request.body || {};
+    return { clientId: body.client_id, clientSecret: body.client_secret };
+  }
+
+  // Browser session from the refresh cookie. Sessions still waiting for their
+  // second factor don't count as signed in.
+  async function currentSession(request) {
+    const refreshToken = request.cookies[REFRESH_COOKIE];
+    if (!refreshToken) return null;
+
+    const session = await sessionService.getActiveSessionByRefreshToken(refreshToken);
+    if (!session) return null;
+
+    const user = await userService.getUserById(session.userId);
+    if (!user || !user.isActive) return null;
+    if (userService.requires2FA(user) && !session.twoFactorVerified) return null;
+
+    return { session, user };
+  }
+
+  function tokenResponse(user, client, grant, session, refreshToken) {
+    const response = {
+      access_token: oidcService.generateAccessToken(user, client, session, grant.scope),
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_EXPIRES_IN,
+      scope: grant.scope,
+      id_token: oidcService.generateIdToken(user, client, grant)
+    };
+    if (oidcService.hasScope(grant.scope, 'offline_access')) {
+      response.refresh_token = refreshToken;
+    }
+    return response;
+  }
+
+  // ===== DISCOVERY =====
+
+  const discovery = async function (request, reply) {
+    reply.header('Cache-Control', 'public, max-age=300');
+    return oidcService.discovery();
+  };
+
+  fastify.get('/.well-known/openid-configuration', { schema: schemas.discovery }, discovery);
+  fastify.get('/auth/.well-known/openid-configuration', { schema: schemas.discovery }, discovery);
+
+  // ===== AUTHORIZATION ENDPOINT =====
+
+  fastify.get('/auth/oidc/authorize', { schema: schemas.authorize, attachValidation: true }, async function (request, reply) {
+    if (request.validationError) {
+      return invalidRequest(reply, request.validationError);
+    }
+    const query = request.query;
+
+    let client, redirectUri;
+    try {
+      ({ client, redirectUri } = await oidcService.resolveClientRedirect(query));
+    } catch (error) {
+      return sendOidcError(reply, error);
+    }
+
+    const redirectError = (code, description) => reply.redirect(oidcService.redirectUrl(redirectUri, {
+      error: code,
+      error_description: description,
+      state: query.state,
+      iss: oidcService.issuer
+    }));
+
+    let authRequest;
+    try {
+      authRequest = oidcService.validateAuthorizationRequest(query);
+    } catch (error) {
+      return redirectError(error.code, error.message);
+    }
+
+    const current = await currentSession(request);
+    const maxAgeExceeded = current && query.max_age !== undefined &&
+      Date.now() - current.session.createdAt.getTime() > Number(query.max_age) * 1000;
+
+    if (!current || query.prompt === 'login' || maxAgeExceeded) {
+      if (query.prompt === 'none') {
+        return redirectError('login_required', 'The user is not signed in');
+      }
+
+      // Sign in on the frontend, then come back here (without prompt=login,
+      // which would loop; the new session satisfies max_age)
+      const returnParams = new URLSearchParams(query);
+      returnParams.delete('prompt');
+      const returnTo = `/auth/oidc/authorize?${returnParams.toString()}`;
+      const frontendUrl = process.env.FRONTEND_URL || 'https://localhost:8443';
+      return reply.redirect(`${frontendUrl}/?oidcReturnTo=${encodeURIComponent(returnTo)}`);
+    }
+
+    // Registered clients are our own services, so no consent screen
+    const code = await oidcService.createAuthorizationCode({
+      client: client,
+      redirectUri: redirectUri,
+      userId: current.user.id,
+      session: current.session,
+      request: authRequest
+    });
+
+    return reply.redirect(oidcService.redirectUrl(redirectUri, {
+      code: code,
+      state: query.state,
+      iss: oidcService.issuer
+    }));
+  })
+
+  // ===== TOKEN ENDPOINT =====
+
+  fastify.post('/auth/oidc/token', { schema: schemas.token, attachValidation: true }, async function (request, reply) {
+    if (request.validationError) {
+      return invalidRequest(reply, request.validationError);
+    }
+    const body = request.body;
+
+    try {
+      const client = await oidcService.authenticateClient(clientCredentials(request));
+
+      if (body.grant_type === 'authorization_code') {
+        let grant;
+        try {
+          grant = await oidcService.redeemAuthorizationCode({
+            code: body.code,
+            client: client,
+            redirectUri: body.redirect_uri,
+            codeVerifier: body.code_verifier
+          });
+        } catch (error) {
+          // A replayed code may have been intercepted: kill what it was exchanged for
+          if (error.sessionId) {
+            await sessionService.revokeSession(error.sessionId, 'authorization_code_reuse');
+          }
+          throw error;
+        }
+
+        const user = await userService.getUserById(grant.userId);
+        if (!user || !user.isActive) {
+          throw new OidcError('invalid_grant', 'User is not active');
+        }
+
+        const { session, refreshToken } = await sessionService.createSession(user.id, {
+          twoFactorVerified: grant.twoFactorVerified,
+          userAgent: request.headers['user-agent'],
+          ip: request.ip,
+          clientId: client.id,
+          scope: grant.scope
+        });
+        await oidcService.attachSession(grant.id, session.id);
+
+        reply.header('Cache-Control', 'no-store');
+        return tokenResponse(user, client, grant, session, refreshToken);
+      }
+
+      if (body.grant_type === 'refresh_token') {
+        // Check ownership before rotating, so a client can't burn another client's token
+        const current = body.refresh_token
+          ? await sessionService.getActiveSessionByRefreshToken(body.refresh_token)
+          : null;
+        if (current && current.clientId !== client.id) {
+          throw new OidcError('invalid_grant', 'Refresh token was issued to another client');
+        }
+
+        let rotated;
+        try {
+          rotated = await sessionService.rotateRefreshToken(body.refresh_token || '');
+        } catch (error) {
+          throw new OidcError('invalid_grant', error.message);
+        }
+        const { session, refreshToken } = rotated;
+
+        const user = await userService.getUserById(session.userId);
+        if (!user || !user.isActive) {
+          await sessionService.revokeSession(session.id, 'user_inactive');
+          throw new OidcError('invalid_grant', 'User is not active');
+        }
+
+        reply.header('Cache-Control', 'no-store');
+        return tokenResponse(user, client, {
+          scope: session.scope,
+          nonce: null,
+          authTime: session.createdAt
+        }, session, refreshToken);
+      }
+
+      throw new OidcError('unsupported_grant_type', 'Supported grant types: authorization_code, refresh_token');
+    } catch (error) {
+      return sendOidcError(reply, error);
+    }
+  })
+
+  // ===== USERINFO ENDPOINT =====
+
+  const userinfo = async function (request, reply) {
+    if (request.validationError) {
+      return invalidRequest(reply, request.validationError);
+    }
+    const authHeader = request.headers.authorization;
+
+    try {
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new OidcError('invalid_token', 'No token provided', 401);
+      }
+
+      const decoded = oidcService.verifyAccessToken(authHeader.substring(7));
+      if (!await sessionService.touchSession(decoded.sid, { ip: request.ip })) {
+        throw new OidcError('invalid_token', 'Session revoked', 401);
+      }
+
+      const session = await sessionService.getSession(decoded.sid);
+      if (!session || session.clientId !== decoded.client_id) {
+        throw new OidcError('invalid_token', 'Session was started by another client', 401);
+      }
+      const user = await userService.getUserById(decoded.sub);
+      if (!user || !user.isActive) {
+        throw new OidcError('invalid_token', 'User is not active', 401);
+      }
+
+      return oidcService.claims(user, session.scope);
+    } catch (error) {
+      return sendOidcError(reply, error);
+    }
+  };
+
+  fastify.get('/auth/oidc/userinfo', { schema: schemas.userinfo, attachValidation: true }, userinfo);
+  fastify.post('/auth/oidc/userinfo', { schema: schemas.userinfo, attachValidation: true }, userinfo);
+}
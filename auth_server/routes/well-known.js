@@ -0,0 +1,15 @@
+'use strict'
+
+const schemas = require('../schemas/well-known');
+
+module.exports = async function (fastify, opts) {
+  // Public signing keys, for services that verify our JWTs (Pong server, SQLite gateway)
+  const jwks = async function (request, reply) {
+    reply.header('Cache-Control', 'public, max-age=300');
+    return fastify.keys.jwks();
+  };
+
+  fastify.get('/.well-known/jwks.json', { schema: schemas.jwks }, jwks);
+  // Same document under the /auth prefix nginx already forwards
+  fastify.get('/auth/.well-known/jwks.json', { schema: schemas.jwks }, jwks);
+}
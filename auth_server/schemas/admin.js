@@ -0,0 +1,138 @@
+const { ROLES } = require('../services/user');
+const { OUTCOMES } = require('../services/securityLog');
+const {
+  object,
+  anyObject,
+  nullable,
+  arrayOf,
+  route,
+  id,
+  isoDate,
+  pagination,
+  dateTime,
+  message,
+  user,
+  securityEvent
+} = require('./common');
+
+// Schemas of the routes in routes/admin.js
+
+const DEFAULT_PAGE_SIZE = 50;
+
+const userParams = object({ id }, ['id']);
+const userMessage = object({ user: user, message: message });
+
+function page(name, items) {
+  return object({
+    [name]: arrayOf(items),
+    total: { type: 'integer' },
+    limit: { type: 'integer' },
+    offset: { type: 'integer' }
+  });
+}
+
+module.exports = {
+  searchUsers: route({
+    querystring: object({
+      q: { type: 'string', maxLength: 256 },
+      role: { type: 'string', enum: ROLES },
+      active: { type: 'boolean' },
+      ...pagination(DEFAULT_PAGE_SIZE)
+    }),
+    response: { 200: page('users', user) }
+  }),
+
+  getUser: route({
+    params: userParams,
+    response: {
+      200: object({
+        user: user,
+        pendingDeletion: nullable(object({
+          requestedAt: dateTime,
+          scheduledFor: dateTime
+        })),
+        activeSessions: { type: 'integer' }
+      })
+    }
+  }),
+
+  deactivate: route({
+    params: userParams,
+    body: object({ reason: { type: 'string', maxLength: 500 } }),
+    response: { 200: userMessage }
+  }),
+
+  reactivate: route({
+    params: userParams,
+    body: object({}),
+    response: { 200: userMessage }
+  }),
+
+  setRole: route({
+    params: userParams,
+    body: object({ role: { type: 'string', enum: ROLES } }, ['role']),
+    response: { 200: userMessage }
+  }),
+
+  forcePasswordReset: route({
+    params: userParams,
+    body: object({}),
+    response: { 200: object({ emailSent: { type: 'boolean' }, message: message }) }
+  }),
+
+  reset2FA: route({
+    params: userParams,
+    body: object({}),
+    response: { 200: userMessage }
+  }),
+
+  unlinkProvider: route({
+    params: object({ id, provider: { type: 'string', minLength: 1, maxLength: 64 } }, ['id', 'provider']),
+    response: {
+      200: object({
+        user: user,
+        revocation: object({
+          provider: { type: 'string' },
+          success: { type: 'boolean' },
+          reason: { type: 'string' }
+        }),
+        message: message
+      })
+    }
+  }),
+
+  securityEvents: route({
+    querystring: object({
+      userId: id,
+      actorId: id,
+      type: { type: 'string', maxLength: 64 },
+      outcome: { type: 'string', enum: OUTCOMES },
+      ip: { type: 'string', maxLength: 64 },
+      since: isoDate,
+      until: isoDate,
+      ...pagination(DEFAULT_PAGE_SIZE)
+    }),
+    response: { 200: page('events', securityEvent) }
+  }),
+
+  audit: route({
+    querystring: object({
+      actorId: id,
+      targetUserId: id,
+      action: { type: 'string', maxLength: 64 },
+      ...pagination(DEFAULT_PAGE_SIZE)
+    }),
+    response: {
+      200: page('entries', object({
+        id: { type: 'string' },
+        actorId: { type: 'string' },
+        actorRole: { type: 'string' },
+        action: { type: 'string' },
+        targetUserId: nullable({ type: 'string' }),
+        details: nullable(anyObject),
+        ip: nullable({ type: 'string' }),
+        createdAt: dateTime
+      }))
+    }
+  })
+};
@@ -0,0 +1,463 @@
+const {
+  object,
+  anyObject,
+  nullable,
+  arrayOf,
+  route,
+  email,
+  password,
+  newPassword,
+  username,
+  twoFactorCode,
+  token,
+  id,
+  pagination,
+  dateTime,
+  message,
+  user,
+  securityEvent
+} = require('./common');
+
+// Schemas of the routes in routes/auth.js
+
+const noBody = object({});
+
+// Path on the frontend to come back to after an OAuth flow
+const returnTo = { type: 'string', maxLength: 2048 };
+
+const twoFactorMethods = arrayOf({ type: 'string', enum: ['totp', 'webauthn'] });
+
+// What the frontend shows when offering to create or attach an account
+const linkInfo = {
+  provider: { type: 'string' },
+  username: nullable({ type: 'string' }),
+  email: nullable({ type: 'string' }),
+  avatar: nullable({ type: 'string' }),
+  suggestedUsername: { type: 'string' },
+  emailInUse: { type: 'boolean' }
+};
+
+// A started session, or what is missing to start one (second factor, sign-up)
+const signIn = object({
+  user: user,
+  token: { type: 'string' },
+  refreshToken: { type: 'string' },
+  requiresTwoFactor: { type: 'boolean' },
+  tempToken: { type: 'string' },
+  methods: twoFactorMethods,
+  requiresSignup: { type: 'boolean' },
+  linkToken: { type: 'string' },
+  ...linkInfo,
+  linked: { type: 'string' },
+  message: message
+});
+
+const userMessage = object({ user: user, message: message });
+
+// See UserService.listEmails (primary first)
+const emailAddresses = arrayOf(object({
+  email: { type: 'string' },
+  primary: { type: 'boolean' },
+  verified: { type: 'boolean' },
+  verifiedAt: nullable(dateTime),
+  source: { type: 'string' },
+  createdAt: dateTime
+}));
+const messageOnly = object({ message: message });
+
+const passkeyOptions = object({
+  challengeId: { type: 'string' },
+  options: anyObject
+});
+
+const passkey = object({
+  id: { type: 'string' },
+  name: { type: 'string' },
+  deviceType: nullable({ type: 'string' }),
+  backedUp: { type: 'boolean' },
+  createdAt: dateTime,
+  lastUsedAt: nullable(dateTime)
+});
+
+const session = object({
+  id: { type: 'string' },
+  userAgent: nullable({ type: 'string' }),
+  ip: nullable({ type: 'string' }),
+  clientId: nullable({ type: 'string' }),
+  createdAt: dateTime,
+  lastSeenAt: nullable(dateTime),
+  current: { type: 'boolean' }
+});
+
+const revocation = object({
+  provider: { type: 'string' },
+  success: { type: 'boolean' },
+  reason: { type: 'string' }
+});
+
+const provider = object({ provider: { type: 'string', minLength: 1, maxLength: 64 } }, ['provider']);
+
+module.exports = {
+  healthcheck: route({
+    response: { 200: object({ status: { type: 'string' } }) }
+  }),
+
+  register: route({
+    body: object({ email, password: newPassword, username }, ['email', 'password', 'username']),
+    response: { 200: signIn }
+  }),
+
+  login: route({
+    body: object({ email, password, twoFactorCode }, ['email', 'password']),
+    response: { 200: signIn }
+  }),
+
+  oauthProviders: route({
+    response: {
+      200: object({
+        providers: arrayOf(object({ name: { type: 'string' }, displayName: { type: 'string' } }))
+      })
+    }
+  }),
+
+  // Redirects to the provider
+  oauthStart: route({
+    params: provider,
+    querystring: object({ returnTo })
+  }),
+
+  oauthLink: route({
+    params: provider,
+    body: object({ returnTo }),
+    response: { 200: object({ url: { type: 'string' } }) }
+  }),
+
+  // Redirects to the frontend. Providers add parameters of their own.
+  oauthCallback: route({
+    params: provider,
+    querystring: {
+      type: 'object',
+      properties: {
+        code: { type: 'string' },
+        state: { type: 'string' },
+        error: { type: 'string' }
+      },
+      additionalProperties: true
+    }
+  }),
+
+  oauthExchange: route({
+    body: object({ code: token }, ['code']),
+    response: { 200: signIn }
+  }),
+
+  oauthSignup: route({
+    body: object({ linkToken: token, username }, ['linkToken']),
+    response: { 200: signIn }
+  }),
+
+  linkProvider: route({
+    body: object({ linkToken: token, email, password, twoFactorCode }, ['linkToken', 'email', 'password']),
+    response: { 200: signIn }
+  }),
+
+  linkInfo: route({
+    body: object({ linkToken: token }, ['linkToken']),
+    response: { 200: object(linkInfo) }
+  }),
+
+  verifyEmail: route({
+    body: object({ token }, ['token']),
+    response: { 200: userMessage }
+  }),
+
+  resendVerification: route({
+    body: object({ email }),
+    response: { 200: messageOnly }
+  }),
+
+  emails: route({
+    response: { 200: object({ emails: emailAddresses }) }
+  }),
+
+  addEmail: route({
+    body: object({ email }, ['email']),
+    response: { 201: object({ emails: emailAddresses }) }
+  }),
+
+  primaryEmail: route({
+    body: object({ email }, ['email']),
+    response: {
+      200: object({ user: user, emails: emailAddresses })
+    }
+  }),
+
+  removeEmail: route({
+    params: object({ email }, ['email']),
+    response: { 200: object({ emails: emailAddresses }) }
+  }),
+
+  unlinkProvider: route({
+    body: provider,
+    response: { 200: userMessage }
+  }),
+
+  linkedProviders: route({
+    response: {
+      200: object({
+        providers: arrayOf(object({
+          provider: { type: 'string' },
+          username: nullable({ type: 'string' }),
+          avatar: nullable({ type: 'string' }),
+          linkedAt: nullable(dateTime)
+        }))
+      })
+    }
+  }),
+
+  // The claims of the access token
+  validate: route({
+    response: { 200: object({ valid: { type: 'boolean' }, user: anyObject }) }
+  }),
+
+  me: route({
+    response: { 200: object({ user }) }
+  }),
+
+  userByUsername: route({
+    params: object({ username }, ['username']),
+    response: {
+      200: object({
+        id: { type: 'string' },
+        username: { type: 'string' },
+        resolvedFrom: nullable({ type: 'string' })
+      })
+    }
+  }),
+
+  reauthOptions: route({
+    body: noBody,
+    response: { 200: passkeyOptions }
+  }),
+
+  // A passkey assertion (challengeId and response), or the password and/or 2FA code
+  reauth: route({
+    body: {
+      ...object({ password, twoFactorCode, challengeId: id, response: anyObject }),
+      dependencies: { challengeId: ['response'] }
+    },
+    response: {
+      200: object({
+        reauthToken: { type: 'string' },
+        expiresIn: { type: 'integer' },
+        method: { type: 'string' }
+      })
+    }
+  }),
+
+  twoFactorSetup: route({
+    body: noBody,
+    response: {
+      200: object({
+        secret: { type: 'string' },
+        qrCode: { type: 'string' },
+        manualEntryKey: { type: 'string' }
+      })
+    }
+  }),
+
+  twoFactorVerifySetup: route({
+    body: object({ token: twoFactorCode }, ['token']),
+    response: {
+      200: object({
+        enabled: { type: 'boolean' },
+        backupCodes: arrayOf({ type: 'string' }),
+        message: message
+      })
+    }
+  }),
+
+  twoFactorVerify: route({
+    body: object({ tempToken: token, twoFactorCode }, ['tempToken', 'twoFactorCode']),
+    response: { 200: signIn }
+  }),
+
+  twoFactorStatus: route({
+    response: {
+      200: object({
+        enabled: { type: 'boolean' },
+        backupCodesRemaining: { type: 'integer' },
+        passkeys: { type: 'integer' }
+      })
+    }
+  }),
+
+  twoFactorDisable: route({
+    body: noBody,
+    response: { 200: messageOnly }
+  }),
+
+  regenerateBackupCodes: route({
+    body: noBody,
+    response: {
+      200: object({ backupCodes: arrayOf({ type: 'string' }), message: message })
+    }
+  }),
+
+  passkeyRegisterOptions: route({
+    body: noBody,
+    response: { 200: passkeyOptions }
+  }),
+
+  passkeyRegisterVerify: route({
+    body: object({
+      challengeId: id,
+      response: anyObject,
+      name: { type: 'string', minLength: 1, maxLength: 64 }
+    }, ['challengeId', 'response']),
+    response: {
+      200: object({
+        credential: object({ id: { type: 'string' }, name: { type: 'string' } }),
+        message: message
+      })
+    }
+  }),
+
+  passkeys: route({
+    response: { 200: object({ credentials: arrayOf(passkey) }) }
+  }),
+
+  passkeyRemove: route({
+    params: object({ credentialId: id }, ['credentialId']),
+    response: { 200: messageOnly }
+  }),
+
+  passkeyLoginOptions: route({
+    body: object({ tempToken: token, email }),
+    response: { 200: passkeyOptions }
+  }),
+
+  passkeyLoginVerify: route({
+    body: object({ challengeId: id, response: anyObject, tempToken: token }, ['challengeId', 'response']),
+    response: { 200: signIn }
+  }),
+
+  // The refresh token may come from the cookie instead
+  refresh: route({
+    body: object({ refreshToken: token }),
+    response: {
+      200: object({ token: { type: 'string' }, refreshToken: { type: 'string' } })
+    }
+  }),
+
+  logout: route({
+    body: object({ refreshToken: token }),
+    response: {
+      200: messageOnly
+    }
+  }),
+
+  sessions: route({
+    response: { 200: object({ sessions: arrayOf(session) }) }
+  }),
+
+  revokeOtherSessions: route({
+    body: noBody,
+    response: { 200: object({ revoked: { type: 'integer' }, message: message }) }
+  }),
+
+  revokeSession: route({
+    params: object({ sessionId: id }, ['sessionId']),
+    response: { 200: object({ current: { type: 'boolean' }, message: message }) }
+  }),
+
+  securityEvents: route({
+    querystring: object(pagination(20)),
+    response: {
+      200: object({
+        events: arrayOf(securityEvent),
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' }
+      })
+    }
+  }),
+
+  revokeProviderTokens: route({
+    body: noBody,
+    response: {
+      200: object({ success: { type: 'boolean' }, message: message, providers: arrayOf(revocation) })
+    }
+  }),
+
+  // pendingEmail: a new address, primary once verified
+  profile: route({
+    body: object({ username, email }),
+    response: { 200: object({ user: user, pendingEmail: { type: 'string' }, message: message }) }
+  }),
+
+  changePassword: route({
+    body: object({ newPassword }, ['newPassword']),
+    response: { 200: messageOnly }
+  }),
+
+  passwordPolicy: route({
+    response: {
+      200: object({
+        minLength: { type: 'integer' },
+        minCharacterClasses: { type: 'integer' },
+        rejectSimilar: { type: 'boolean' },
+        history: { type: 'integer' },
+        rejectBreached: { type: 'boolean' }
+      })
+    }
+  }),
+
+  forgotPassword: route({
+    body: object({ email }, ['email']),
+    response: { 200: messageOnly }
+  }),
+
+  resetPassword: route({
+    body: object({ token, newPassword, twoFactorCode }, ['token', 'newPassword']),
+    response: { 200: messageOnly }
+  }),
+
+  deleteAccount: route({
+    body: noBody,
+    response: { 200: object({ scheduledFor: dateTime, message: message }) }
+  }),
+
+  // The email with a passkey assertion, or with the password (and 2FA code)
+  // Either the token of the mailed link, or the email with credentials
+  cancelAccountDeletion: route({
+    body: {
+      ...object({ token, email, password, twoFactorCode, challengeId: id, response: anyObject }),
+      oneOf: [{ required: ['token'] }, { required: ['email'] }],
+      dependencies: { challengeId: ['response'] }
+    },
+    response: { 200: messageOnly }
+  }),
+
+  // The archive is sent as a pre-serialised JSON download: the 200 schema
+  // documents it, it isn't used to serialise it
+  exportAccount: route({
+    querystring: object({}),
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          exportedAt: dateTime,
+          profile: anyObject,
+          emails: arrayOf(anyObject),
+          usernameHistory: arrayOf(anyObject),
+          providers: arrayOf(anyObject),
+          twoFactor: anyObject,
+          sessions: arrayOf(anyObject),
+          gameHistory: arrayOf(anyObject)
+        },
+        required: ['exportedAt', 'profile', 'emails', 'usernameHistory', 'providers', 'twoFactor', 'sessions', 'gameHistory']
+      }
+    }
+  })
+};
@@ -0,0 +1,131 @@
+const { ERRORS } = require('../services/errors');
+
+// Building blocks of the route schemas. Request bodies, query strings and
+// params reject unknown fields (removeAdditional is off, see app.js); responses
+// only ever contain the documented fields.
+
+// { error, code, ...details } (see services/errors.js)
+const errorResponse = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    code: { type: 'string', enum: Object.keys(ERRORS) }
+  },
+  required: ['error', 'code'],
+  additionalProperties: true
+};
+
+function object(properties, required = []) {
+  return { type: 'object', properties: properties, required: required, additionalProperties: false };
+}
+
+// Free-form JSON (WebAuthn options and responses, event details...)
+const anyObject = { type: 'object', additionalProperties: true };
+
+function nullable(schema) {
+  return { ...schema, type: [schema.type, 'null'] };
+}
+
+function arrayOf(items) {
+  return { type: 'array', items: items };
+}
+
+// The schema of a route: its request parts and responses, plus the error responses
+function route({ response = {}, ...request }) {
+  return {
+    ...request,
+    response: { ...response, '4xx': errorResponse, '5xx': errorResponse }
+  };
+}
+
+// ===== REQUEST FIELDS =====
+
+const email = { type: 'string', format: 'email', maxLength: 254 };
+const password = { type: 'string', minLength: 1, maxLength: 1024 };
+// The password policy (services/passwordPolicy.js) checks the rest
+const newPassword = { type: 'string', minLength: 1, maxLength: 1024 };
+// UsernameRegistry (services/usernames.js) checks the rules
+const username = { type: 'string', minLength: 1, maxLength: 64 };
+const twoFactorCode = { type: 'string', minLength: 1, maxLength: 32 };
+const token = { type: 'string', minLength: 1, maxLength: 4096 };
+const id = { type: 'string', minLength: 1, maxLength: 256 };
+
+// Either a day (2024-05-01) or a full timestamp
+const isoDate = { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] };
+
+function pagination(defaultLimit) {
+  return {
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: defaultLimit },
+    offset: { type: 'integer', minimum: 0, default: 0 }
+  };
+}
+
+// ===== RESPONSE FIELDS =====
+
+const dateTime = { type: 'string', format: 'date-time' };
+const message = { type: 'string' };
+
+// See UserService.sanitizeUser
+const user = object({
+  id: { type: 'string' },
+  email: { type: 'string' },
+  username: { type: 'string' },
+  createdAt: dateTime,
+  lastLogin: nullable(dateTime),
+  emailVerified: { type: 'boolean' },
+  isActive: { type: 'boolean' },
+  role: { type: 'string' },
+  hasPassword: { type: 'boolean' },
+  mustResetPassword: { type: 'boolean' },
+  twoFactor: object({
+    enabled: { type: 'boolean' },
+    backupCodesRemaining: { type: 'integer' }
+  }),
+  webauthn: object({
+    enabled: { type: 'boolean' },
+    credentials: { type: 'integer' }
+  }),
+  providers: {
+    type: 'object',
+    additionalProperties: object({
+      username: nullable({ type: 'string' }),
+      avatar: nullable({ type: 'string' }),
+      linkedAt: nullable(dateTime)
+    })
+  }
+});
+
+const securityEvent = object({
+  id: { type: 'string' },
+  type: { type: 'string' },
+  outcome: { type: 'string' },
+  userId: nullable({ type: 'string' }),
+  actorId: nullable({ type: 'string' }),
+  ip: nullable({ type: 'string' }),
+  userAgent: nullable({ type: 'string' }),
+  details: nullable(anyObject),
+  byAdmin: { type: 'boolean' },
+  createdAt: dateTime
+});
+
+module.exports = {
+  errorResponse,
+  object,
+  anyObject,
+  nullable,
+  arrayOf,
+  route,
+  email,
+  password,
+  newPassword,
+  username,
+  twoFactorCode,
+  token,
+  id,
+  isoDate,
+  pagination,
+  dateTime,
+  message,
+  user,
+  securityEvent
+};
@@ -0,0 +1,107 @@
+const { anyObject, id, token } = require('./common');
+
+// Schemas of the routes in routes/oidc.js. OAuth 2.0 says unknown request
+// parameters are ignored, so these accept extra fields. Errors use the OAuth
+// format, { error, error_description }: the routes attach validation failures
+// (attachValidation) and answer them as invalid_request.
+
+function params(properties, required = []) {
+  return { type: 'object', properties: properties, required: required, additionalProperties: true };
+}
+
+const oidcError = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    error_description: { type: 'string' }
+  },
+  required: ['error']
+};
+
+function route({ response = {}, ...request }) {
+  return {
+    ...request,
+    response: { ...response, '4xx': oidcError, '5xx': oidcError }
+  };
+}
+
+const value = { type: 'string', maxLength: 2048 };
+const strings = { type: 'array', items: { type: 'string' } };
+const scope = { type: 'string', maxLength: 1024 };
+
+module.exports = {
+  authorize: route({
+    querystring: params({
+      client_id: id,
+      redirect_uri: value,
+      response_type: value,
+      scope: scope,
+      state: value,
+      nonce: value,
+      code_challenge: value,
+      code_challenge_method: value,
+      prompt: value,
+      max_age: { type: 'integer', minimum: 0 }
+    })
+  }),
+
+  // Form-encoded. Client credentials come here or in the Basic header.
+  token: route({
+    body: params({
+      grant_type: { type: 'string', minLength: 1, maxLength: 64 },
+      code: token,
+      redirect_uri: value,
+      code_verifier: { type: 'string', minLength: 1, maxLength: 256 },
+      refresh_token: token,
+      client_id: id,
+      client_secret: { type: 'string', maxLength: 1024 }
+    }, ['grant_type']),
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          access_token: { type: 'string' },
+          token_type: { type: 'string' },
+          expires_in: { type: 'integer' },
+          scope: { type: 'string' },
+          id_token: { type: 'string' },
+          refresh_token: { type: 'string' }
+        },
+        required: ['access_token', 'token_type', 'expires_in']
+      }
+    }
+  }),
+
+  // The claims depend on the token's scopes (OidcService.claims)
+  userinfo: route({
+    headers: params({ authorization: token }),
+    response: { 200: anyObject }
+  }),
+
+  // OpenID Connect Discovery 1.0 metadata (OidcService.discovery)
+  discovery: route({
+    querystring: params({}),
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          issuer: { type: 'string' },
+          authorization_endpoint: { type: 'string' },
+          token_endpoint: { type: 'string' },
+          userinfo_endpoint: { type: 'string' },
+          jwks_uri: { type: 'string' },
+          scopes_supported: strings,
+          response_types_supported: strings,
+          grant_types_supported: strings,
+          subject_types_supported: strings,
+          id_token_signing_alg_values_supported: strings,
+          token_endpoint_auth_methods_supported: strings,
+          code_challenge_methods_supported: strings,
+          claims_supported: strings,
+          prompt_values_supported: strings
+        },
+        required: ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri', 'response_types_supported', 'subject_types_supported', 'id_token_signing_alg_values_supported']
+      }
+    }
+  })
+};
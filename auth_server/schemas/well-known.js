@@ -0,0 +1,23 @@
+const { object, arrayOf, route } = require('./common');
+
+// Schemas of the routes in routes/well-known.js
+
+// A public key as a JWK (RFC 7517): EC keys have crv, x and y, RSA keys n and e
+const jwk = object({
+  kty: { type: 'string' },
+  kid: { type: 'string' },
+  alg: { type: 'string' },
+  use: { type: 'string' },
+  crv: { type: 'string' },
+  x: { type: 'string' },
+  y: { type: 'string' },
+  n: { type: 'string' },
+  e: { type: 'string' }
+}, ['kty', 'kid', 'alg', 'use']);
+
+module.exports = {
+  jwks: route({
+    querystring: object({}),
+    response: { 200: object({ keys: arrayOf(jwk) }, ['keys']) }
+  })
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = 30;
+
+// Self-service account deletion with a grace period. A scheduled account is
+// deactivated right away (no login, no tokens) and deleted for good once the
+// grace period is over; until then the owner can cancel with their password
+// or passkey, or with the link mailed when the deletion was scheduled (the
+// only way for accounts that sign in with a provider alone).
+// Deleting the user row removes everything tied to it (ON DELETE CASCADE).
+class AccountDeletionService {
+  constructor(db, userService, graceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || DEFAULT_GRACE_DAYS)) {
+    this.db = db;
+    this.userService = userService;
+    this.gracePeriod = graceDays * DAY;
+  }
+
+  toDeletion(row) {
+    return {
+      userId: row.user_id,
+      requestedAt: new Date(row.requested_at),
+      scheduledFor: new Date(row.scheduled_for)
+    };
+  }
+
+  // Cancel tokens are opaque; only their SHA-256 is stored
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Returns the pending deletion, with the token of its cancel link when it
+  // was scheduled by this call
+  async schedule(userId) {
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + this.gracePeriod);
+    const cancelToken = crypto.randomBytes(32).toString('base64url');
+
+    const result = await this.db.run(
+      `INSERT INTO account_deletions (user_id, requested_at, scheduled_for, cancel_token_hash) VALUES (?, ?, ?, ?)
+      ON CONFLICT (user_id) DO NOTHING`,
+      [userId, now.toISOString(), scheduledFor.toISOString(), this.hashToken(cancelToken)]
+    );
+    await this.userService.setActive(userId, false);
+
+    const deletion = await this.getPending(userId);
+    return result.changes ? { ...deletion, cancelToken: cancelToken } : deletion;
+  }
+
+  async getPending(userId) {
+    const row = await this.db.get('SELECT * FROM account_deletions WHERE user_id = ?', [userId]);
+    return row ? this.toDeletion(row) : null;
+  }
+
+  // Returns false when no deletion was pending. The account is reactivated
+  // unless a moderator deactivated it too.
+  async cancel(userId) {
+    const result = await this.db.run('DELETE FROM account_deletions WHERE user_id = ?', [userId]);
+    if (!result.changes) return false;
+
+    await this.userService.reactivateAfterDeletion(userId);
+    return true;
+  }
+
+  // Cancel with the mailed link. Returns the account's id, or null when the
+  // link matches no pending deletion.
+  async cancelWithToken(token) {
+    const row = await this.db.get(
+      'SELECT user_id FROM account_deletions WHERE cancel_token_hash = ?',
+      [this.hashToken(token)]
+    );
+    if (!row || !await this.cancel(row.user_id)) return null;
+    return row.user_id;
+  }
+
+  // Delete the accounts whose grace period is over (run periodically)
+  async purgeDue() {
+    const rows = await this.db.all(
+      'SELECT user_id FROM account_deletions WHERE scheduled_for <= ?',
+      [new Date().toISOString()]
+    );
+
+    for (const row of rows) {
+      await this.userService.deleteUser(row.user_id);
+    }
+    return rows.length;
+  }
+}
+
+module.exports = AccountDeletionService;
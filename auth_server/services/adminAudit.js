@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Trail of what moderators and admins did through the admin API.
+// Entries are never updated or deleted, and keep the ids of deleted accounts.
+class AdminAuditService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // actor: the (sanitized) user acting; details: any JSON-serialisable context
+  async record({ actor, action, targetUserId = null, details = null, ip = null }) {
+    await this.db.run(
+      `INSERT INTO admin_audit_log (id, actor_id, actor_role, action, target_user_id, details, ip, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        crypto.randomUUID(),
+        actor.id,
+        actor.role,
+        action,
+        targetUserId,
+        details ? JSON.stringify(details) : null,
+        ip,
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  // Newest first
+  async list({ actorId = null, targetUserId = null, action = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (actorId) {
+      conditions.push('actor_id = ?');
+      params.push(actorId);
+    }
+    if (targetUserId) {
+      conditions.push('target_user_id = ?');
+      params.push(targetUserId);
+    }
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM admin_audit_log ${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM admin_audit_log ${where} ORDER BY created_at DESC, id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      entries: rows.map(row => ({
+        id: row.id,
+        actorId: row.actor_id,
+        actorRole: row.actor_role,
+        action: row.action,
+        targetUserId: row.target_user_id,
+        details: row.details ? JSON.parse(row.details) : null,
+        ip: row.ip,
+        createdAt: new Date(row.created_at)
+      })),
+      total: total
+    };
+  }
+}
+
+module.exports = AdminAuditService;
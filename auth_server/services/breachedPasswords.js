@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+const PREFIX_LENGTH = 5;
+
+// file -> Promise<Map<prefix, Set<suffix>>>, so the list is read once per process
+const loaded = new Map();
+
+// Offline list of breached passwords, looked up the way the Have I Been Pwned
+// range API works (k-anonymity): a password is reduced to its SHA-1 hash, only
+// the first 5 hex characters select a range, and the rest of the hash is
+// compared within it. The list itself never holds a password, and another
+// source of ranges (e.g. the online API) can replace `range()`.
+class BreachedPasswords {
+  constructor(file = process.env.BREACHED_PASSWORDS_FILE || DEFAULT_FILE) {
+    this.file = file;
+  }
+
+  static hash(password) {
+    return crypto.createHash('sha1').update(String(password), 'utf8').digest('hex').toUpperCase();
+  }
+
+  // One `HASH` or `HASH:COUNT` per line; `#` starts a comment
+  async load() {
+    if (!loaded.has(this.file)) {
+      loaded.set(this.file, fs.promises.readFile(this.file, 'utf8').then(text => {
+        const ranges = new Map();
+        for (const line of text.split('\n')) {
+          const hash = line.split(':')[0].trim().toUpperCase();
+          if (!/^[0-9A-F]{40}$/.test(hash)) continue;
+          const prefix = hash.slice(0, PREFIX_LENGTH);
+          if (!ranges.has(prefix)) ranges.set(prefix, new Set());
+          ranges.get(prefix).add(hash.slice(PREFIX_LENGTH));
+        }
+        return ranges;
+      }).catch(error => {
+        loaded.delete(this.file);
+        throw error;
+      }));
+    }
+    return loaded.get(this.file);
+  }
+
+  // Hash suffixes of the breached passwords whose hash starts with `prefix`
+  async range(prefix) {
+    const ranges = await this.load();
+    return ranges.get(prefix) || new Set();
+  }
+
+  async isBreached(password) {
+    const hash = BreachedPasswords.hash(password);
+    const suffixes = await this.range(hash.slice(0, PREFIX_LENGTH));
+    return suffixes.has(hash.slice(PREFIX_LENGTH));
+  }
+}
+
+module.exports = BreachedPasswords;
@@ -0,0 +1,88 @@
+const axios = require('axios');
+
+// `ALTER TABLE <table> ADD COLUMN <column> ...`
+const ADD_COLUMN = /^\s*ALTER\s+TABLE\s+(\w+)\s+ADD\s+COLUMN\s+(\w+)/i;
+
+// Thin client for the SQLite service's /query endpoint.
+// The service runs every statement on its own (no transactions), so callers
+// must keep multi-statement writes idempotent or order them safely.
+class Database {
+  constructor(options = {}) {
+    const host = options.host || process.env.SQLITE_HOST || 'sqlite';
+    const port = options.port || process.env.SQLITE_PORT || 7000;
+
+    this.baseUrl = options.url || process.env.SQLITE_URL || `http://${host}:${port}`;
+    this.apiToken = options.apiToken || process.env.SQLITE_API_TOKEN;
+  }
+
+  // Send a statement to the SQLite service
+  async query(sql, params = []) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/query`, { sql, params }, {
+        headers: this.apiToken ? { 'Authorization': `Bearer ${this.apiToken}` } : {}
+      });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      throw new Error(`Database query failed: ${message}`);
+    }
+  }
+
+  // Run a read statement and return every row
+  async all(sql, params = []) {
+    const rows = await this.query(sql, params);
+    return Array.isArray(rows) ? rows : [];
+  }
+
+  // Run a read statement and return the first row (or null)
+  async get(sql, params = []) {
+    const rows = await this.all(sql, params);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  // Run a write statement and return { changes, lastInsertRowid }
+  async run(sql, params = []) {
+    return this.query(sql, params);
+  }
+
+  async hasColumn(table, column) {
+    const row = await this.get('SELECT 1 AS found FROM pragma_table_info(?) WHERE name = ?', [table, column]);
+    return !!row;
+  }
+
+  // Apply every migration that is not yet recorded in schema_migrations.
+  // Without transactions a migration that failed partway is run again from
+  // its first statement on the next boot, so columns it already added are
+  // skipped (every other statement is written to be re-runnable).
+  async migrate(migrations) {
+    await this.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )`);
+
+    const rows = await this.all('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.version));
+    const pending = migrations
+      .filter(migration => !applied.has(migration.version))
+      .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      for (const sql of migration.statements) {
+        const addColumn = sql.match(ADD_COLUMN);
+        if (addColumn && await this.hasColumn(addColumn[1], addColumn[2])) {
+          continue;
+        }
+        await this.run(sql);
+      }
+      await this.run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    }
+
+    return pending.map(migration => migration.version);
+  }
+}
+
+module.exports = Database;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Temporary development keys by variable name, so every service of the
+// process opens what the others sealed
+const temporaryKeys = new Map();
+
+// Authenticated encryption (AES-256-GCM) for secrets stored in the database.
+// Values are encoded as `<keyId>.<iv>.<tag>.<ciphertext>` (base64url), where
+// keyId identifies the key that sealed them. New values always use the
+// current key; previous keys are only used to open older values, so a key
+// can be rotated without rewriting everything at once.
+class Encryptor {
+  // keys: [currentKey, ...previousKeys], each 32 bytes (Buffer, hex or base64)
+  constructor(keys) {
+    this.keys = new Map(); // keyId -> Buffer
+    this.currentKeyId = null;
+
+    for (const value of keys) {
+      const key = Encryptor.parseKey(value);
+      const keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+      if (!this.currentKeyId) {
+        this.currentKeyId = keyId;
+      }
+      this.keys.set(keyId, key);
+    }
+
+    if (!this.currentKeyId) {
+      throw new Error('An encryption key is required');
+    }
+  }
+
+  static parseKey(value) {
+    if (Buffer.isBuffer(value)) return Encryptor.checkLength(value);
+
+    const text = String(value).trim();
+    if (/^[0-9a-f]{64}$/i.test(text)) {
+      return Buffer.from(text, 'hex');
+    }
+    return Encryptor.checkLength(Buffer.from(text, 'base64'));
+  }
+
+  static checkLength(key) {
+    if (key.length !== 32) {
+      throw new Error('Encryption keys must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+  }
+
+  static generateKey() {
+    return crypto.randomBytes(32).toString('base64');
+  }
+
+  // Build from <NAME> (current key) and <NAME>_PREVIOUS (comma-separated old keys).
+  // Outside production a missing key is replaced by a random one, which means
+  // values sealed before a restart can't be opened anymore.
+  static fromEnv(name, env = process.env) {
+    let current = env[name];
+    if (!current) {
+      if (env.NODE_ENV === 'production') {
+        throw new Error(`${name} must be set in production`);
+      }
+      if (!temporaryKeys.has(name)) {
+        console.warn(`${name} is not set; using a temporary key (encrypted data will not survive a restart)`);
+        temporaryKeys.set(name, Encryptor.generateKey());
+      }
+      current = temporaryKeys.get(name);
+    }
+
+    const previous = (env[`${name}_PREVIOUS`] || '').split(',').map(key => key.trim()).filter(Boolean);
+    return new Encryptor([current, ...previous]);
+  }
+
+  encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined) return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.currentKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [
+      this.currentKeyId,
+      iv.toString('base64url'),
+      cipher.getAuthTag().toString('base64url'),
+      ciphertext.toString('base64url')
+    ].join('.');
+  }
+
+  decrypt(sealed) {
+    if (sealed === null || sealed === undefined) return null;
+
+    const [keyId, iv, tag, ciphertext] = String(sealed).split('.');
+    const key = this.keys.get(keyId);
+    if (!key || !iv || !tag || ciphertext === undefined) {
+      throw new Error('Cannot decrypt value: unknown key');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64url')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  // True when the value was sealed with an older key and should be re-encrypted
+  needsRotation(sealed) {
+    return !!sealed && String(sealed).split('.')[0] !== this.currentKeyId;
+  }
+}
+
+module.exports = Encryptor;
@@ -0,0 +1,100 @@
+// Error codes of the auth API. Every error response is
+// { error: <message>, code: <code>, ...details } with the status below, so
+// clients can switch on `code` (messages are for humans and may change).
+const ERRORS = {
+  // Generic
+  VALIDATION_FAILED: [400, 'Invalid request'],
+  NOT_FOUND: [404, 'Not found'],
+  PAYLOAD_TOO_LARGE: [413, 'Request body is too large'],
+  UNSUPPORTED_MEDIA_TYPE: [415, 'Unsupported content type'],
+  INTERNAL_ERROR: [500, 'Internal server error'],
+  MAIL_DELIVERY_FAILED: [502, 'Failed to send email'],
+
+  // Tokens and sessions
+  AUTH_TOKEN_MISSING: [401, 'No token provided'],
+  AUTH_TOKEN_INVALID: [401, 'Invalid token'],
+  AUTH_REFRESH_TOKEN_INVALID: [401, 'Invalid or expired refresh token'],
+  AUTH_REFRESH_TOKEN_REUSED: [401, 'Refresh token reuse detected'],
+  AUTH_SESSION_NOT_FOUND: [404, 'Session not found'],
+
+  // Sign-in
+  AUTH_INVALID_CREDENTIALS: [401, 'Invalid credentials'],
+  AUTH_PASSWORD_RESET_REQUIRED: [401, 'Password reset required. Use "Forgot password" to choose a new one.'],
+  AUTH_NO_PASSWORD: [400, 'This account has no password yet. Set one with a password reset first.'],
+  AUTH_PASSWORD_POLICY: [400, 'The password does not meet the password policy'],
+  AUTH_REAUTH_REQUIRED: [403, 'Confirm your identity first (POST /auth/reauth)'],
+  AUTH_RECENT_LOGIN_REQUIRED: [401, 'Sign in again to confirm your identity'],
+  AUTH_TOO_MANY_ATTEMPTS: [429, 'Too many attempts. Please try again later.'],
+  AUTH_LOGIN_CODE_INVALID: [400, 'Invalid or expired login code'],
+
+  // Second factor
+  AUTH_2FA_REQUIRED: [401, '2FA code is required'],
+  AUTH_2FA_INVALID: [401, 'Invalid 2FA code'],
+  AUTH_2FA_CODE_REUSED: [401, 'This 2FA code was already used. Wait for the next one.'],
+  AUTH_2FA_NOT_VERIFIED: [403, '2FA verification required'],
+  AUTH_2FA_ALREADY_ENABLED: [409, '2FA is already enabled'],
+  AUTH_2FA_NOT_ENABLED: [400, '2FA is not enabled'],
+  AUTH_2FA_SETUP_NOT_STARTED: [400, '2FA setup not initiated'],
+  AUTH_TEMP_TOKEN_INVALID: [401, 'Invalid or expired temporary token'],
+
+  // Account and email
+  AUTH_EMAIL_IN_USE: [409, 'Email already registered'],
+  AUTH_USERNAME_TAKEN: [409, 'Username already taken'],
+  AUTH_USERNAME_UNAVAILABLE: [409, 'Could not find a free username'],
+  AUTH_USERNAME_INVALID: [400, 'Usernames are 3 to 20 letters of one script or digits, optionally separated by single _ or -'],
+  AUTH_USERNAME_RESERVED: [400, 'This username is reserved'],
+  AUTH_USERNAME_CHANGE_TOO_SOON: [409, 'You changed your username recently; try again later'],
+  AUTH_USER_NOT_FOUND: [404, 'User not found'],
+  AUTH_EMAIL_NOT_VERIFIED: [403, 'Email address must be verified first'],
+  AUTH_EMAIL_ALREADY_VERIFIED: [400, 'Email already verified'],
+  AUTH_EMAIL_ALREADY_ADDED: [409, 'This address is already on your account'],
+  AUTH_EMAIL_LIMIT_REACHED: [400, 'Too many email addresses on this account'],
+  AUTH_EMAIL_PRIMARY: [400, 'The primary email address cannot be removed'],
+  AUTH_EMAIL_NOT_FOUND: [404, 'Email address not found on this account'],
+  AUTH_VERIFICATION_TOKEN_INVALID: [400, 'Invalid or expired verification token'],
+  AUTH_RESET_TOKEN_INVALID: [400, 'Invalid or expired reset token'],
+  AUTH_ACCOUNT_DELETION_PENDING: [409, 'Account deletion is pending for this user'],
+  AUTH_CANCEL_TOKEN_INVALID: [400, 'Invalid or expired cancellation link'],
+
+  // Providers
+  AUTH_PROVIDER_UNKNOWN: [404, 'Unknown provider'],
+  AUTH_PROVIDER_EMAIL_MISSING: [400, 'The provider did not share a verified email address; register with your email, then link the provider'],
+  AUTH_PROVIDER_ALREADY_LINKED: [409, 'This provider account is already linked to another user'],
+  AUTH_PROVIDER_NOT_LINKED: [404, 'Provider not linked to this user'],
+  AUTH_LAST_SIGN_IN_METHOD: [409, 'Cannot unlink your only sign-in method. Set a password first.'],
+  AUTH_LINK_TOKEN_INVALID: [400, 'Link token has expired or is invalid'],
+
+  // Passkeys
+  AUTH_PASSKEY_CHALLENGE_INVALID: [400, 'Invalid or expired challenge'],
+  AUTH_PASSKEY_INVALID: [401, 'Passkey verification failed'],
+  AUTH_PASSKEY_REGISTRATION_FAILED: [400, 'Passkey registration failed'],
+  AUTH_PASSKEY_ALREADY_REGISTERED: [409, 'This passkey is already registered'],
+  AUTH_PASSKEY_NOT_FOUND: [404, 'Passkey not found'],
+  AUTH_NO_PASSKEYS: [400, 'No passkeys registered'],
+
+  // Admin API
+  AUTH_FORBIDDEN: [403, 'Insufficient permissions'],
+  ADMIN_USER_NOT_FOUND: [404, 'User not found'],
+  ADMIN_SELF_ACTION: [400, 'Use your account settings to change your own account']
+};
+
+// An error with a code from the catalogue; `details` are extra response fields
+// (e.g. { requiresTwoFactor, methods } or { retryAfter })
+class AuthError extends Error {
+  constructor(code, message = null, details = null) {
+    if (!ERRORS[code]) {
+      throw new Error(`Unknown error code: ${code}`);
+    }
+    super(message || ERRORS[code][1]);
+    this.code = code;
+    this.statusCode = ERRORS[code][0];
+    this.details = details;
+  }
+
+  toResponse() {
+    return { error: this.message, code: this.code, ...this.details };
+  }
+}
+
+module.exports = AuthError;
+module.exports.ERRORS = ERRORS;
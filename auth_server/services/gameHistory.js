@@ -0,0 +1,25 @@
+// Finished matches of a user (table game_history, filled by the game server)
+class GameHistoryService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async listForUser(userId) {
+    const rows = await this.db.all(
+      'SELECT * FROM game_history WHERE user_id = ? ORDER BY played_at DESC',
+      [userId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      opponentId: row.opponent_id,
+      mode: row.mode,
+      score: row.score,
+      opponentScore: row.opponent_score,
+      result: row.result,
+      playedAt: new Date(row.played_at)
+    }));
+  }
+}
+
+module.exports = GameHistoryService;
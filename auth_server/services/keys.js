@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest lifetime of any token we sign (email verification links, 24h).
+// A retired key stays published until every token it signed has expired.
+const MAX_TOKEN_TTL_MS = DAY;
+const VERIFY_GRACE_MS = 60 * 60 * 1000; // clock skew / in-flight requests
+
+const ALGORITHMS = {
+  ES256: () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+  RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+};
+
+// Asymmetric JWT signing keys with rotation.
+// Private keys stay on the auth server's disk (one JSON file per key in
+// JWT_KEYS_DIR) so other services only ever see the public half through
+// /.well-known/jwks.json: they can verify tokens but not mint them.
+// Keys are held in memory so signing and verifying stay synchronous.
+class KeyService {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys');
+    this.algorithm = options.algorithm || process.env.JWT_ALGORITHM || 'ES256';
+    this.rotationMs = (options.rotationDays || Number(process.env.JWT_KEY_ROTATION_DAYS) || 30) * DAY;
+    this.keys = new Map(); // kid -> key
+
+    if (!ALGORITHMS[this.algorithm]) {
+      throw new Error(`JWT algorithm ${this.algorithm} not supported`);
+    }
+  }
+
+  // ===== KEY STORE =====
+
+  keyPath(kid) {
+    return path.join(this.directory, `${kid}.json`);
+  }
+
+  load() {
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+    this.keys.clear();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+      const stored = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      this.keys.set(stored.kid, {
+        kid: stored.kid,
+        alg: stored.alg,
+        privateKey: crypto.createPrivateKey(stored.privateKey),
+        publicKey: crypto.createPublicKey(stored.privateKey),
+        createdAt: new Date(stored.createdAt),
+        retiredAt: stored.retiredAt ? new Date(stored.retiredAt) : null,
+        verifyUntil: stored.verifyUntil ? new Date(stored.verifyUntil) : null
+      });
+    }
+  }
+
+  save(key) {
+    fs.writeFileSync(this.keyPath(key.kid), JSON.stringify({
+      kid: key.kid,
+      alg: key.alg,
+      privateKey: key.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      createdAt: key.createdAt,
+      retiredAt: key.retiredAt,
+      verifyUntil: key.verifyUntil
+    }, null, 2), { mode: 0o600 });
+  }
+
+  // ===== ROTATION =====
+
+  // Key currently used for signing (newest non-retired key)
+  activeKey() {
+    let active = null;
+    for (const key of this.keys.values()) {
+      if (!key.retiredAt && (!active || key.createdAt > active.createdAt)) {
+        active = key;
+      }
+    }
+    return active;
+  }
+
+  // Start signing with a new key; previous keys remain valid for verification
+  // until the tokens they signed have expired
+  rotate() {
+    const now = new Date();
+
+    for (const key of this.keys.values()) {
+      if (!key.retiredAt) {
+        key.retiredAt = now;
+        key.verifyUntil = new Date(now.getTime() + MAX_TOKEN_TTL_MS + VERIFY_GRACE_MS);
+        this.save(key);
+      }
+    }
+
+    const { privateKey, publicKey } = ALGORITHMS[this.algorithm]();
+    const key = {
+      kid: crypto.randomUUID(),
+      alg: this.algorithm,
+      privateKey: privateKey,
+      publicKey: publicKey,
+      createdAt: now,
+      retiredAt: null,
+      verifyUntil: null
+    };
+    this.save(key);
+    this.keys.set(key.kid, key);
+
+    return key;
+  }
+
+  // Drop retired keys nobody can hold a valid token for anymore
+  prune() {
+    const now = new Date();
+    for (const key of this.keys.values()) {
+      if (key.verifyUntil && key.verifyUntil <= now) {
+        fs.rmSync(this.keyPath(key.kid), { force: true });
+        this.keys.delete(key.kid);
+      }
+    }
+  }
+
+  // Reload from disk, rotate when the signing key is missing, of another
+  // algorithm or older than the rotation period. Returns the new key, if any.
+  ensureKeys() {
+    this.load();
+    this.prune();
+
+    const active = this.activeKey();
+    if (!active || active.alg !== this.algorithm || Date.now() - active.createdAt.getTime() >= this.rotationMs) {
+      return this.rotate();
+    }
+    return null;
+  }
+
+  // ===== SIGN / VERIFY =====
+
+  sign(payload, options = {}) {
+    const key = this.activeKey();
+    if (!key) {
+      throw new Error('No signing key available');
+    }
+
+    return jwt.sign(payload, key.privateKey, {
+      ...options,
+      algorithm: key.alg,
+      keyid: key.kid
+    });
+  }
+
+  // Same contract as jwt.verify; the key is picked by the token's kid header
+  verify(token, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && decoded.header.kid ? this.keys.get(decoded.header.kid) : null;
+    if (!key || (key.verifyUntil && key.verifyUntil <= new Date())) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, {
+      ...options,
+      algorithms: [key.alg]
+    });
+  }
+
+  // ===== JWKS =====
+
+  // Public keys still accepted for verification, as a JSON Web Key Set
+  jwks() {
+    const now = new Date();
+    const keys = [];
+
+    for (const key of this.keys.values()) {
+      if (key.verifyUntil && key.verifyUntil <= now) continue;
+      keys.push({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      });
+    }
+
+    return { keys };
+  }
+}
+
+module.exports = KeyService;
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const AuthError = require('./errors');
+
+const LOGIN_CODE_TTL_MS = 60 * 1000; // 1 minute
+
+// One-time codes handed to the frontend at the end of a provider login, in
+// place of tokens in the redirect URL. The frontend POSTs the code to get its
+// tokens. A code is bound to the browser that completed the callback (through
+// an httpOnly cookie), expires quickly and works once. Sign-up codes (an
+// unknown provider identity) have no user and carry the link token instead.
+class LoginCodeService {
+  constructor(db) {
+    this.db = db;
+    this.ttl = LOGIN_CODE_TTL_MS;
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  // Returns { code, binding }: the code goes in the redirect, the binding in a cookie
+  async create({ userId = null, provider, action, linkToken = null }) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    const binding = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    await this.db.run(
+      'DELETE FROM oauth_login_codes WHERE expires_at < ?',
+      [now.toISOString()]
+    );
+    await this.db.run(
+      `INSERT INTO oauth_login_codes (code_hash, user_id, provider, action, link_token, binding_hash, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        this.hash(code),
+        userId,
+        provider,
+        action,
+        linkToken,
+        this.hash(binding),
+        now.toISOString(),
+        new Date(now.getTime() + this.ttl).toISOString()
+      ]
+    );
+
+    return { code, binding };
+  }
+
+  // Redeem a code once; returns { userId, provider, action, linkToken }
+  async consume(code, binding) {
+    const row = code ? await this.db.get(
+      'SELECT * FROM oauth_login_codes WHERE code_hash = ?',
+      [this.hash(code)]
+    ) : null;
+    if (!row || row.used_at || new Date(row.expires_at) <= new Date()) {
+      throw new AuthError('AUTH_LOGIN_CODE_INVALID');
+    }
+
+    const expected = Buffer.from(row.binding_hash, 'hex');
+    const actual = Buffer.from(this.hash(binding || ''), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      throw new AuthError('AUTH_LOGIN_CODE_INVALID');
+    }
+
+    const result = await this.db.run(
+      'UPDATE oauth_login_codes SET used_at = ? WHERE code_hash = ? AND used_at IS NULL',
+      [new Date().toISOString(), row.code_hash]
+    );
+    if (!result.changes) {
+      throw new AuthError('AUTH_LOGIN_CODE_INVALID');
+    }
+
+    // The link token isn't needed once handed out
+    await this.db.run(
+      'UPDATE oauth_login_codes SET link_token = NULL WHERE code_hash = ?',
+      [row.code_hash]
+    );
+
+    return { userId: row.user_id, provider: row.provider, action: row.action, linkToken: row.link_token };
+  }
+}
+
+module.exports = LoginCodeService;
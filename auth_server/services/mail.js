@@ -0,0 +1,120 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// A transport is any object with an async send({ from, to, subject, text }) method.
+
+// Prints messages to stdout (local development)
+class ConsoleTransport {
+  async send(message) {
+    console.log('=== Outgoing email ===');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('======================');
+  }
+}
+
+// Writes one JSON file per message (local testing, inspect the outbox directory)
+class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.writeFile(
+      path.join(this.directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  }
+}
+
+// transport name -> factory
+const transports = new Map([
+  ['console', () => new ConsoleTransport()],
+  ['file', () => new FileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox'))]
+]);
+
+class MailService {
+  constructor(transport) {
+    this.transport = transport || MailService.createTransport(process.env.MAIL_TRANSPORT || 'console');
+    this.from = process.env.MAIL_FROM || 'Transcendence <no-reply@localhost>';
+    this.frontendUrl = process.env.FRONTEND_URL || 'https://localhost:8443';
+  }
+
+  // Plug in another transport (e.g. SMTP) without touching the callers
+  static registerTransport(name, factory) {
+    transports.set(name, factory);
+  }
+
+  static createTransport(name) {
+    const factory = transports.get(name);
+    if (!factory) {
+      throw new Error(`Mail transport ${name} not supported`);
+    }
+    return factory();
+  }
+
+  async send({ to, subject, text }) {
+    await this.transport.send({ from: this.from, to, subject, text });
+  }
+
+  async sendEmailVerification(user, token) {
+    const link = `${this.frontendUrl}/?verifyEmail=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        link,
+        '',
+        'The link expires in 24 hours. If you did not request this, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  async sendPasswordReset(user, token) {
+    const link = `${this.frontendUrl}/?resetPassword=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password of your account. Open the link below to choose a new one:',
+        link,
+        '',
+        'The link expires in 1 hour and can only be used once. Resetting your password signs you out everywhere.',
+        'If you did not request this, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  async sendAccountDeletionScheduled(user, scheduledFor, cancelToken) {
+    const link = `${this.frontendUrl}/?cancelDeletion=${encodeURIComponent(cancelToken)}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Your account will be deleted',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        `Your account has been deactivated and will be deleted for good on ${scheduledFor.toUTCString()}.`,
+        'Until then you can cancel the deletion by opening the link below:',
+        link,
+        '',
+        'If you did not request this, cancel the deletion and change your password.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+
+const CODE_TTL_MS = 60 * 1000;
+const DEFAULT_TOKEN_TTL = 3600; // seconds
+
+// Protocol error from the mock provider, sent as { error, error_description }
+class MockOAuthError extends Error {
+  constructor(code, description, statusCode = 400) {
+    super(description);
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Whether the built-in mock provider is on (never in production)
+function mockOAuthEnabled(env = process.env) {
+  return env.MOCK_OAUTH_ENABLED === 'true' && env.NODE_ENV !== 'production';
+}
+
+// The client our own OAuth code uses to talk to the mock
+function mockOAuthClient(env = process.env) {
+  return {
+    clientId: env.MOCK_OAUTH_CLIENT_ID || 'mock-client',
+    clientSecret: env.MOCK_OAUTH_CLIENT_SECRET || 'mock-secret'
+  };
+}
+
+// In-memory OAuth 2.0 authorization server for tests: authorization codes
+// (PKCE checked when a challenge was sent), access/refresh tokens, userinfo
+// and RFC 7009 revocation. There is no login page; the identity to sign in
+// as is passed to the authorize endpoint (see identityFromQuery).
+class MockOAuthServer {
+  constructor({ clientId, clientSecret, tokenTtl = DEFAULT_TOKEN_TTL } = mockOAuthClient()) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.tokenTtl = tokenTtl;
+
+    this.codes = new Map(); // code -> grant
+    this.accessTokens = new Map(); // token -> { profile, scope, expiresAt }
+    this.refreshTokens = new Map(); // token -> { profile, scope }
+    this.revoked = []; // { token, tokenType, providerId, revokedAt }
+  }
+
+  // Identity for an authorization request: mock_user (provider id),
+  // mock_username, mock_email (empty string = no email) and
+  // mock_email_verified ('false' for an unverified address)
+  identityFromQuery(query) {
+    const id = query.mock_user || 'mock-user';
+    return {
+      id: String(id),
+      username: query.mock_username || String(id),
+      email: query.mock_email !== undefined ? (query.mock_email || null) : `${id}@mock.example`,
+      email_verified: query.mock_email_verified !== 'false',
+      avatar_url: null
+    };
+  }
+
+  // Returns the URL to send the browser back to. Errors that can't be
+  // reported to the client's redirect URI are thrown.
+  authorize(query) {
+    if (query.client_id !== this.clientId) {
+      throw new MockOAuthError('invalid_request', 'Unknown client_id');
+    }
+    if (!query.redirect_uri) {
+      throw new MockOAuthError('invalid_request', 'redirect_uri is required');
+    }
+
+    let redirect;
+    try {
+      redirect = new URL(query.redirect_uri);
+    } catch (error) {
+      throw new MockOAuthError('invalid_request', 'redirect_uri is not a valid URL');
+    }
+    if (query.state) {
+      redirect.searchParams.set('state', query.state);
+    }
+
+    // Simulate the user denying access (or any other provider error)
+    if (query.mock_error) {
+      redirect.searchParams.set('error', query.mock_error);
+      return redirect.toString();
+    }
+    if (query.response_type !== 'code') {
+      redirect.searchParams.set('error', 'unsupported_response_type');
+      return redirect.toString();
+    }
+    if (query.code_challenge && query.code_challenge_method !== 'S256') {
+      redirect.searchParams.set('error', 'invalid_request');
+      return redirect.toString();
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    this.codes.set(code, {
+      redirectUri: query.redirect_uri,
+      codeChallenge: query.code_challenge || null,
+      scope: query.scope || '',
+      profile: this.identityFromQuery(query),
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    redirect.searchParams.set('code', code);
+    return redirect.toString();
+  }
+
+  authenticateClient(clientId, clientSecret) {
+    if (clientId !== this.clientId || clientSecret !== this.clientSecret) {
+      throw new MockOAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+  }
+
+  // Token endpoint (authorization_code and refresh_token grants)
+  token(body) {
+    this.authenticateClient(body.client_id, body.client_secret);
+
+    if (body.grant_type === 'authorization_code') {
+      const grant = this.codes.get(body.code);
+      this.codes.delete(body.code);
+
+      if (!grant || grant.expiresAt <= Date.now()) {
+        throw new MockOAuthError('invalid_grant', 'Invalid or expired authorization code');
+      }
+      if (grant.redirectUri !== body.redirect_uri) {
+        throw new MockOAuthError('invalid_grant', 'redirect_uri mismatch');
+      }
+      if (grant.codeChallenge) {
+        const challenge = crypto.createHash('sha256').update(body.code_verifier || '').digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+          throw new MockOAuthError('invalid_grant', 'PKCE verification failed');
+        }
+      }
+
+      return this.issueTokens(grant.profile, grant.scope);
+    }
+
+    if (body.grant_type === 'refresh_token') {
+      const grant = this.refreshTokens.get(body.refresh_token);
+      if (!grant) {
+        throw new MockOAuthError('invalid_grant', 'Invalid refresh token');
+      }
+
+      // Rotate the refresh token like most real providers
+      this.refreshTokens.delete(body.refresh_token);
+      return this.issueTokens(grant.profile, grant.scope);
+    }
+
+    throw new MockOAuthError('unsupported_grant_type', 'Supported grant types: authorization_code, refresh_token');
+  }
+
+  issueTokens(profile, scope) {
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    const refreshToken = crypto.randomBytes(24).toString('base64url');
+
+    this.accessTokens.set(accessToken, {
+      profile: profile,
+      scope: scope,
+      expiresAt: Date.now() + this.tokenTtl * 1000
+    });
+    this.refreshTokens.set(refreshToken, { profile: profile, scope: scope });
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: this.tokenTtl,
+      scope: scope
+    };
+  }
+
+  userinfo(accessToken) {
+    const grant = this.accessTokens.get(accessToken);
+    if (!grant || grant.expiresAt <= Date.now()) {
+      throw new MockOAuthError('invalid_token', 'Invalid or expired access token', 401);
+    }
+    return grant.profile;
+  }
+
+  // RFC 7009: unknown tokens are not an error
+  revoke(body) {
+    this.authenticateClient(body.client_id, body.client_secret);
+
+    for (const [tokenType, store] of [['access_token', this.accessTokens], ['refresh_token', this.refreshTokens]]) {
+      const grant = store.get(body.token);
+      if (grant) {
+        store.delete(body.token);
+        this.revoked.push({
+          token: body.token,
+          tokenType: tokenType,
+          providerId: grant.profile.id,
+          revokedAt: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // What tests can assert on
+  inspect() {
+    return {
+      activeAccessTokens: this.accessTokens.size,
+      activeRefreshTokens: this.refreshTokens.size,
+      revoked: this.revoked
+    };
+  }
+
+  reset() {
+    this.codes.clear();
+    this.accessTokens.clear();
+    this.refreshTokens.clear();
+    this.revoked = [];
+  }
+}
+
+module.exports = MockOAuthServer;
+module.exports.MockOAuthError = MockOAuthError;
+module.exports.mockOAuthEnabled = mockOAuthEnabled;
+module.exports.mockOAuthClient = mockOAuthClient;
@@ -1,93 +1,61 @@
-const axios = require('axios');
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
+const { createProvider, loadProviderConfigs } = require('./oauthProviders');
+
+const REFRESH_MARGIN_MS = 5 * 60 * 1000; // refresh provider tokens this long before they expire
 
 class OAuthService {
-  constructor(userService) {
+  // tokenVault: where provider tokens are kept (see TokenVault)
+  constructor(userService, tokenVault, providerConfigs = loadProviderConfigs()) {
     this.userService = userService;
-    this.providers = {
-      discord: {
-        authUrl: 'https://discord.com/api/oauth2/authorize',
-        tokenUrl: 'https://discord.com/api/oauth2/token',
-        revokeUrl: 'https://discord.com/api/oauth2/token/revoke',
-        userUrl: 'https://discord.com/api/users/@me',
-        scope: 'identify email',
-        clientId: process.env.DISCORD_CLIENT_ID,
-        clientSecret: process.env.DISCORD_CLIENT_SECRET
-      },
-      github: {
-        authUrl: 'https://github.com/login/oauth/authorize',
-        tokenUrl: 'https://github.com/login/oauth/access_token',
-        revokeUrl: 'https://api.github.com/applications/{client_id}/grant', // Different for GitHub
-        userUrl: 'https://api.github.com/user',
-        scope: 'user:email',
-        clientId: process.env.GITHUB_CLIENT_ID,
-        clientSecret: process.env.GITHUB_CLIENT_SECRET
-      }
-    };
+    this.tokenVault = tokenVault;
 
-    // Store tokens for revocation (in production, use a database)
-    this.userTokens = new Map(); // userId -> { provider, accessToken, refreshToken }
+    // provider name -> OAuthProvider (see oauthProviders.js)
+    this.providers = new Map();
+    for (const config of providerConfigs) {
+      this.providers.set(config.name, createProvider(config));
+    }
   }
 
-  generateState() {
-    return crypto.randomBytes(32).toString('hex');
+  hasProvider(name) {
+    return this.providers.has(name);
   }
 
-  buildAuthUrl(provider, state) {
-    const config = this.providers[provider];
-    if (!config) {
-      throw new Error(`Provider ${provider} not supported`);
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Provider ${name} not supported`);
     }
+    return provider;
+  }
 
-    // Use external URL for OAuth callbacks (Discord needs to reach this)
-    const redirectUri = `${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/auth/oauth/${provider}/callback`;
-    
-    const params = new URLSearchParams({
-      client_id: config.clientId,
-      redirect_uri: redirectUri,
-      scope: config.scope,
-      state: state,
-      response_type: 'code'
-    });
+  // Enabled providers, for the frontend's login/link buttons
+  listProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName
+    }));
+  }
 
-    return `${config.authUrl}?${params.toString()}`;
+  // Use external URL for OAuth callbacks (the provider redirects the browser here)
+  callbackUrl(provider) {
+    return `${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/auth/oauth/${provider}/callback`;
   }
 
-  async exchangeCodeForTokens(provider, code) {
-    const config = this.providers[provider];
-    if (!config) {
-      throw new Error(`Provider ${provider} not supported`);
-    }
+  // pending: { state, codeChallenge, nonce } (see OAuthStateService)
+  async buildAuthUrl(provider, pending) {
+    return this.getProvider(provider).buildAuthUrl({
+      redirectUri: this.callbackUrl(provider),
+      state: pending.state,
+      pending: pending
+    });
+  }
 
-    const redirectUri = `${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/auth/oauth/${provider}/callback`;
-    
-    const tokenData = {
-      client_id: config.clientId,
-      client_secret: config.clientSecret,
-      code: code,
-      redirect_uri: redirectUri,
-      grant_type: 'authorization_code'
-    };
+  // pending: the consumed pending authorization ({ codeVerifier, nonce })
+  async exchangeCodeForTokens(provider, code, pending) {
+    const config = this.getProvider(provider);
 
     try {
-      console.log(`Exchanging code for tokens with ${provider}:`, {
-        tokenUrl: config.tokenUrl,
-        redirectUri: redirectUri,
-        hasClientId: !!config.clientId,
-        hasClientSecret: !!config.clientSecret,
-        hasCode: !!code
-      });
-      
-      const response = await axios.post(config.tokenUrl, tokenData, {
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      });
-
-      console.log('Token exchange successful:', { hasAccessToken: !!response.data.access_token });
-      return response.data;
+      const tokens = await config.exchangeCode(code, this.callbackUrl(provider), pending);
+      return tokens;
     } catch (error) {
       console.error('Token exchange error:', {
         provider: provider,
@@ -100,79 +68,12 @@ class OAuthService {
     }
   }
 
+  // Normalized profile: { provider, providerId, username, email, avatar, raw }
   async getUserInfo(provider, accessToken) {
-    const config = this.providers[provider];
-    if (!config) {
-      throw new Error(`Provider ${provider} not supported`);
-    }
+    const config = this.getProvider(provider);
 
     try {
-      console.log(`Fetching user info from ${provider} with token`);
-      
-      const response = await axios.get(config.userUrl, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'User-Agent': 'OAuth-App'
-        }
-      });
-
-      console.log('User info response received:', {
-        hasId: !!response.data.id,
-        hasUsername: !!(response.data.login || response.data.username),
-        hasEmail: !!response.data.email
-      });
-
-      // Normalize user data across providers
-      const userData = response.data;
-      let normalizedUser = {
-        provider: provider,
-        providerId: userData.id.toString(),
-        username: userData.login || userData.username,
-        email: userData.email,
-        avatar: userData.avatar_url,
-        raw: userData
-      };
-
-      // Handle GitHub specific fields and email retrieval
-      if (provider === 'github') {
-        // GitHub may not return email in the user endpoint, so fetch it separately
-        if (!userData.email) {
-          try {
-            console.log('Fetching GitHub user emails...');
-            const emailResponse = await axios.get('https://api.github.com/user/emails', {
-              headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'User-Agent': 'OAuth-App'
-              }
-            });
-            
-            // Find the primary email or the first verified email
-            const emails = emailResponse.data;
-            const primaryEmail = emails.find(email => email.primary && email.verified);
-            const verifiedEmail = emails.find(email => email.verified);
-            
-            normalizedUser.email = primaryEmail?.email || verifiedEmail?.email || null;
-            console.log('GitHub emails fetched:', { 
-              totalEmails: emails.length, 
-              foundPrimary: !!primaryEmail,
-              foundVerified: !!verifiedEmail,
-              selectedEmail: normalizedUser.email
-            });
-          } catch (emailError) {
-            console.error('Failed to fetch GitHub emails:', emailError.response?.data || emailError.message);
-          }
-        }
-      }
-
-      // Handle Discord specific fields
-      if (provider === 'discord') {
-        normalizedUser.username = userData.username;
-        normalizedUser.avatar = userData.avatar 
-          ? `https://cdn.discordapp.com/avatars/${userData.id}/${userData.avatar}.png`
-          : null;
-      }
-
-      return normalizedUser;
+      return await config.getProfile(accessToken);
     } catch (error) {
       console.error('User info error:', {
         provider: provider,
@@ -208,74 +109,112 @@ class OAuthService {
     return this.userService.isProviderLinked(provider, providerId);
   }
 
-  // Store tokens for later revocation
-  storeUserTokens(userId, provider, tokens) {
-    this.userTokens.set(userId, {
-      provider: provider,
-      accessToken: tokens.access_token,
-      refreshToken: tokens.refresh_token
-    });
+  // Keep the provider's tokens (one entry per user and provider)
+  async storeUserTokens(userId, provider, tokens) {
+    if (!tokens || !tokens.access_token) return;
+    await this.tokenVault.save(userId, provider, tokens);
   }
 
-  // Revoke OAuth tokens with the provider
-  async revokeTokens(userId) {
-    const tokenData = this.userTokens.get(userId);
-    if (!tokenData) {
-      console.log('No tokens found for user:', userId);
-      return { success: false, reason: 'No tokens found' };
+  // A usable access token for calling the provider on the user's behalf,
+  // refreshed first if it is about to expire. Null if we hold none.
+  async getAccessToken(userId, provider) {
+    let tokens = await this.tokenVault.get(userId, provider);
+    if (!tokens) return null;
+
+    if (this.isExpiring(tokens)) {
+      tokens = await this.refreshUserTokens(tokens);
     }
+    return tokens.accessToken;
+  }
 
-    const config = this.providers[tokenData.provider];
-    if (!config || !config.revokeUrl) {
-      console.log('Token revocation not supported for provider:', tokenData.provider);
-      return { success: false, reason: 'Revocation not supported' };
+  isExpiring(tokens, now = Date.now()) {
+    return !!tokens.expiresAt && tokens.expiresAt.getTime() - now < REFRESH_MARGIN_MS;
+  }
+
+  // Refresh one vault entry; returns the stored tokens afterwards
+  async refreshUserTokens(tokens) {
+    if (!tokens.refreshToken || !this.providers.has(tokens.provider)) {
+      return tokens;
     }
 
     try {
-      if (tokenData.provider === 'discord') {
-        await this.revokeDiscordToken(config, tokenData.accessToken);
-      } else if (tokenData.provider === 'github') {
-        await this.revokeGitHubToken(config, tokenData.accessToken);
+      const refreshed = await this.getProvider(tokens.provider).refreshToken(tokens.refreshToken);
+      await this.tokenVault.save(tokens.userId, tokens.provider, refreshed);
+      return await this.tokenVault.get(tokens.userId, tokens.provider);
+    } catch (error) {
+      console.error('Token refresh error:', {
+        provider: tokens.provider,
+        userId: tokens.userId,
+        status: error.response?.status,
+        data: error.response?.data,
+        message: error.message
+      });
+
+      // A rejected refresh token won't start working again
+      if (error.response?.data?.error === 'invalid_grant') {
+        await this.tokenVault.delete(tokens.userId, tokens.provider);
       }
+      return tokens;
+    }
+  }
 
-      // Remove tokens from storage
-      this.userTokens.delete(userId);
-      
-      console.log('Successfully revoked tokens for user:', userId);
-      return { success: true };
-    } catch (error) {
-      console.error('Failed to revoke tokens:', error);
-      return { success: false, reason: error.message };
+  // Refresh every stored token that is about to expire (run periodically)
+  async refreshExpiringTokens() {
+    const expiring = await this.tokenVault.listExpiring(new Date(Date.now() + REFRESH_MARGIN_MS));
+    for (const tokens of expiring) {
+      await this.refreshUserTokens(tokens);
     }
+    return expiring.length;
   }
 
-  async revokeDiscordToken(config, accessToken) {
-    const revokeData = {
-      client_id: config.clientId,
-      client_secret: config.clientSecret,
-      token: accessToken
-    };
+  // Revoke the user's tokens with one provider and forget them. The local copy
+  // is dropped even if the provider can't revoke, so we stop holding it.
+  async revokeProviderTokens(userId, provider) {
+    const tokens = await this.tokenVault.get(userId, provider);
+    if (!tokens) {
+      return { provider: provider, success: false, reason: 'No tokens found' };
+    }
 
-    await axios.post(config.revokeUrl, revokeData, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
+    let result = { provider: provider, success: true };
+    const providerConfig = this.providers.get(provider);
+    if (!providerConfig) {
+      console.log('Token revocation not supported for provider:', provider);
+      result = { provider: provider, success: false, reason: 'Revocation not supported' };
+    } else {
+      try {
+        await providerConfig.revokeToken(tokens);
+      } catch (error) {
+        console.error('Failed to revoke tokens:', { provider: provider, message: error.message });
+        result = { provider: provider, success: false, reason: error.message };
       }
-    });
+    }
+
+    await this.tokenVault.delete(userId, provider);
+    return result;
   }
 
-  async revokeGitHubToken(config, accessToken) {
-    // GitHub uses DELETE method with Basic Auth
-    const auth = Buffer.from(`${config.clientId}:${config.clientSecret}`).toString('base64');
-    
-    await axios.delete(`https://api.github.com/applications/${config.clientId}/grant`, {
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
-      data: {
-        access_token: accessToken
-      }
-    });
+  // Revoke OAuth tokens with every provider the user has tokens for
+  async revokeTokens(userId) {
+    const stored = await this.tokenVault.list(userId);
+    if (stored.length === 0) {
+      console.log('No tokens found for user:', userId);
+      return { success: false, reason: 'No tokens found', results: [] };
+    }
+
+    const results = [];
+    for (const tokens of stored) {
+      results.push(await this.revokeProviderTokens(userId, tokens.provider));
+    }
+
+    const failed = results.filter(result => !result.success);
+    if (failed.length === 0) {
+      console.log('Successfully revoked tokens for user:', userId);
+    }
+    return {
+      success: failed.length === 0,
+      reason: failed.length ? failed.map(result => `${result.provider}: ${result.reason}`).join('; ') : undefined,
+      results: results
+    };
   }
 }
 
@@ -0,0 +1,498 @@
+const axios = require('axios');
+const { mockOAuthEnabled, mockOAuthClient } = require('./mockOAuth');
+
+// x-www-form-urlencoded body, skipping unset values
+function formBody(params) {
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      body.set(key, value);
+    }
+  }
+  return body.toString();
+}
+
+// OAuth providers we can log in / link with.
+// A provider knows its endpoints and how to build the authorization URL,
+// exchange a code, turn the provider's profile into our shape
+// ({ providerId, username, email, avatar }) and revoke tokens.
+// New kinds of providers register a class with registerProviderType();
+// instances are created from configuration (see loadProviderConfigs).
+
+class OAuthProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.displayName = config.displayName || config.name;
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.authUrl = config.authUrl;
+    this.tokenUrl = config.tokenUrl;
+    this.userUrl = config.userUrl;
+    this.revokeUrl = config.revokeUrl || null;
+    this.scope = config.scope;
+    this.pkce = config.pkce !== false; // send a PKCE challenge (S256) unless disabled
+  }
+
+  // Hook for providers that discover their endpoints (OIDC)
+  async resolveEndpoints() {}
+
+  // Extra authorization request parameters
+  authParams({ codeChallenge }) {
+    return this.pkce ? { code_challenge: codeChallenge, code_challenge_method: 'S256' } : {};
+  }
+
+  // pending: { codeChallenge, nonce } from the pending authorization (see OAuthStateService)
+  async buildAuthUrl({ redirectUri, state, pending = {} }) {
+    await this.resolveEndpoints();
+
+    const query = formBody({
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scope,
+      state: state,
+      response_type: 'code',
+      ...this.authParams(pending)
+    });
+
+    return `${this.authUrl}?${query}`;
+  }
+
+  // Returns the provider's token response (access_token, refresh_token, expires_in, ...)
+  // pending: { codeVerifier, nonce } from the pending authorization
+  async exchangeCode(code, redirectUri, pending = {}) {
+    await this.resolveEndpoints();
+
+    const response = await axios.post(this.tokenUrl, formBody({
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      code: code,
+      redirect_uri: redirectUri,
+      grant_type: 'authorization_code',
+      code_verifier: this.pkce ? pending.codeVerifier : undefined
+    }), {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    // Some providers report errors with a 200 status
+    if (response.data.error) {
+      throw new Error(response.data.error_description || response.data.error);
+    }
+
+    return response.data;
+  }
+
+  // Trade a refresh token for a new token response
+  async refreshToken(refreshToken) {
+    await this.resolveEndpoints();
+
+    const response = await axios.post(this.tokenUrl, formBody({
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      refresh_token: refreshToken,
+      grant_type: 'refresh_token'
+    }), {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    if (response.data.error) {
+      throw new Error(response.data.error_description || response.data.error);
+    }
+
+    return response.data;
+  }
+
+  async fetchProfile(accessToken) {
+    await this.resolveEndpoints();
+
+    const response = await axios.get(this.userUrl, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'User-Agent': 'OAuth-App'
+      }
+    });
+    return response.data;
+  }
+
+  // Map the provider's profile to { providerId, username, email, avatar }.
+  // The email only when the provider flags it verified (email_verified, as
+  // in OpenID Connect): providers without the flag share no address.
+  normalizeProfile(profile) {
+    return {
+      providerId: String(profile.id),
+      username: profile.username || profile.login,
+      email: profile.email && profile.email_verified === true ? profile.email : null,
+      avatar: profile.avatar_url || null
+    };
+  }
+
+  async getProfile(accessToken) {
+    const profile = await this.fetchProfile(accessToken);
+    return {
+      provider: this.name,
+      ...this.normalizeProfile(profile),
+      raw: profile
+    };
+  }
+
+  // RFC 7009 token revocation; providers without an endpoint can't revoke
+  async revokeToken(tokens) {
+    await this.resolveEndpoints();
+
+    if (!this.revokeUrl) {
+      throw new Error('Revocation not supported');
+    }
+
+    await axios.post(this.revokeUrl, formBody({
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      token: tokens.accessToken
+    }), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+  }
+}
+
+class DiscordProvider extends OAuthProvider {
+  constructor(config) {
+    super({
+      displayName: 'Discord',
+      authUrl: 'https://discord.com/api/oauth2/authorize',
+      tokenUrl: 'https://discord.com/api/oauth2/token',
+      revokeUrl: 'https://discord.com/api/oauth2/token/revoke',
+      userUrl: 'https://discord.com/api/users/@me',
+      scope: 'identify email',
+      ...config
+    });
+  }
+
+  normalizeProfile(profile) {
+    return {
+      providerId: String(profile.id),
+      username: profile.username,
+      // Only trust addresses Discord has verified
+      email: profile.verified ? profile.email || null : null,
+      avatar: profile.avatar
+        ? `https://cdn.discordapp.com/avatars/${profile.id}/${profile.avatar}.png`
+        : null
+    };
+  }
+}
+
+class GitHubProvider extends OAuthProvider {
+  constructor(config) {
+    super({
+      displayName: 'GitHub',
+      authUrl: 'https://github.com/login/oauth/authorize',
+      tokenUrl: 'https://github.com/login/oauth/access_token',
+      userUrl: 'https://api.github.com/user',
+      scope: 'user:email',
+      ...config
+    });
+    this.apiUrl = config.apiUrl || 'https://api.github.com';
+  }
+
+  async getProfile(accessToken) {
+    const user = await super.getProfile(accessToken);
+
+    // GitHub may not return email in the user endpoint, so fetch it separately
+    if (!user.email) {
+      try {
+        const response = await axios.get(`${this.apiUrl}/user/emails`, {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'User-Agent': 'OAuth-App'
+          }
+        });
+
+        // Find the primary email or the first verified email
+        const emails = response.data;
+        const primaryEmail = emails.find(email => email.primary && email.verified);
+        const verifiedEmail = emails.find(email => email.verified);
+        user.email = primaryEmail?.email || verifiedEmail?.email || null;
+      } catch (error) {
+        console.error('Failed to fetch GitHub emails:', error.response?.data || error.message);
+      }
+    }
+
+    return user;
+  }
+
+  async revokeToken(tokens) {
+    // GitHub uses DELETE method with Basic Auth
+    const auth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+    await axios.delete(`${this.apiUrl}/applications/${this.clientId}/grant`, {
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Accept': 'application/vnd.github.v3+json'
+      },
+      data: {
+        access_token: tokens.accessToken
+      }
+    });
+  }
+}
+
+// 42 Intra (no revocation endpoint)
+class FortyTwoProvider extends OAuthProvider {
+  constructor(config) {
+    super({
+      displayName: '42',
+      authUrl: 'https://api.intra.42.fr/oauth/authorize',
+      tokenUrl: 'https://api.intra.42.fr/oauth/token',
+      userUrl: 'https://api.intra.42.fr/v2/me',
+      scope: 'public',
+      ...config
+    });
+  }
+
+  normalizeProfile(profile) {
+    return {
+      providerId: String(profile.id),
+      username: profile.login,
+      // 42 doesn't say whether the address was verified
+      email: null,
+      avatar: profile.image?.link || null
+    };
+  }
+}
+
+// gitlab.com or a self-hosted instance (baseUrl)
+class GitLabProvider extends OAuthProvider {
+  constructor(config) {
+    const baseUrl = (config.baseUrl || 'https://gitlab.com').replace(/\/$/, '');
+    super({
+      displayName: 'GitLab',
+      authUrl: `${baseUrl}/oauth/authorize`,
+      tokenUrl: `${baseUrl}/oauth/token`,
+      userUrl: `${baseUrl}/api/v4/user`,
+      revokeUrl: `${baseUrl}/oauth/revoke`,
+      scope: 'read_user',
+      ...config
+    });
+  }
+
+  normalizeProfile(profile) {
+    return {
+      providerId: String(profile.id),
+      username: profile.username,
+      // Only trust addresses the user has confirmed on GitLab
+      email: profile.email && profile.confirmed_at ? profile.email : null,
+      avatar: profile.avatar_url || null
+    };
+  }
+}
+
+// Any OpenID Connect issuer; endpoints come from its discovery document
+// unless they are configured explicitly
+class OidcProvider extends OAuthProvider {
+  constructor(config) {
+    super({
+      scope: 'openid profile email',
+      ...config
+    });
+    this.issuer = (config.issuer || '').replace(/\/$/, '');
+    this.discovered = null;
+
+    if (!this.issuer && !this.authUrl) {
+      throw new Error(`OIDC provider ${this.name} needs an issuer`);
+    }
+  }
+
+  async resolveEndpoints() {
+    if (this.discovered || (this.authUrl && this.tokenUrl && this.userUrl)) return;
+
+    const response = await axios.get(`${this.issuer}/.well-known/openid-configuration`);
+    this.discovered = response.data;
+    this.authUrl = this.authUrl || this.discovered.authorization_endpoint;
+    this.tokenUrl = this.tokenUrl || this.discovered.token_endpoint;
+    this.userUrl = this.userUrl || this.discovered.userinfo_endpoint;
+    this.revokeUrl = this.revokeUrl || this.discovered.revocation_endpoint || null;
+  }
+
+  authParams(pending) {
+    return { ...super.authParams(pending), nonce: pending.nonce };
+  }
+
+  // The ID token comes straight from the token endpoint over TLS, so its
+  // signature isn't checked here (OIDC Core 3.1.3.7); the nonce must match.
+  async exchangeCode(code, redirectUri, pending = {}) {
+    const tokens = await super.exchangeCode(code, redirectUri, pending);
+
+    if (tokens.id_token && pending.nonce) {
+      const [, payload] = tokens.id_token.split('.');
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      } catch (error) {
+        throw new Error('Malformed ID token');
+      }
+      if (claims.nonce !== pending.nonce) {
+        throw new Error('ID token nonce mismatch');
+      }
+    }
+
+    return tokens;
+  }
+
+  normalizeProfile(profile) {
+    return {
+      providerId: String(profile.sub),
+      username: profile.preferred_username || profile.nickname || profile.name ||
+        (profile.email ? profile.email.split('@')[0] : null),
+      // Only trust addresses the issuer has verified
+      email: profile.email && profile.email_verified === true ? profile.email : null,
+      avatar: profile.picture || null
+    };
+  }
+}
+
+class GoogleProvider extends OidcProvider {
+  constructor(config) {
+    super({
+      displayName: 'Google',
+      issuer: 'https://accounts.google.com',
+      ...config
+    });
+  }
+}
+
+// The built-in mock provider (see MockOAuthServer). The browser is sent to
+// authUrl through the public URL; the other endpoints are called directly.
+class MockProvider extends OAuthProvider {
+  constructor(config) {
+    const baseUrl = (config.baseUrl || `http://127.0.0.1:${process.env.PORT || 3000}/auth/mock-oauth`).replace(/\/$/, '');
+    super({
+      displayName: 'Mock',
+      authUrl: `${process.env.OAUTH_CALLBACK_URL || 'https://localhost:8443'}/auth/mock-oauth/authorize`,
+      tokenUrl: `${baseUrl}/token`,
+      userUrl: `${baseUrl}/userinfo`,
+      revokeUrl: `${baseUrl}/revoke`,
+      scope: 'profile email',
+      ...config
+    });
+  }
+}
+
+// provider type -> class
+const providerTypes = new Map([
+  ['discord', DiscordProvider],
+  ['github', GitHubProvider],
+  ['42', FortyTwoProvider],
+  ['gitlab', GitLabProvider],
+  ['google', GoogleProvider],
+  ['oidc', OidcProvider],
+  ['mock', MockProvider]
+]);
+
+// Built-in providers enabled by setting <PREFIX>_CLIENT_ID / <PREFIX>_CLIENT_SECRET
+const ENV_PREFIXES = {
+  discord: 'DISCORD',
+  github: 'GITHUB',
+  42: 'FORTYTWO',
+  gitlab: 'GITLAB',
+  google: 'GOOGLE'
+};
+
+// Per-environment endpoint overrides (<PREFIX>_AUTH_URL, <PREFIX>_TOKEN_URL, ...),
+// e.g. to point a provider at a mock server in CI
+const ENDPOINT_OVERRIDES = {
+  authUrl: 'AUTH_URL',
+  tokenUrl: 'TOKEN_URL',
+  userUrl: 'USER_URL',
+  revokeUrl: 'REVOKE_URL',
+  apiUrl: 'API_URL'
+};
+
+function endpointOverrides(env, prefix) {
+  const overrides = {};
+  for (const [key, suffix] of Object.entries(ENDPOINT_OVERRIDES)) {
+    if (env[`${prefix}_${suffix}`]) {
+      overrides[key] = env[`${prefix}_${suffix}`];
+    }
+  }
+  return overrides;
+}
+
+function registerProviderType(type, ProviderClass) {
+  providerTypes.set(type, ProviderClass);
+}
+
+function createProvider(config) {
+  const ProviderClass = providerTypes.get(config.type || config.name);
+  if (!ProviderClass) {
+    throw new Error(`OAuth provider type ${config.type || config.name} not supported`);
+  }
+  return new ProviderClass(config);
+}
+
+// Provider configs from the environment: built-in providers with credentials,
+// plus OAUTH_PROVIDERS, a JSON array of
+// { name, type, clientId, clientSecret, displayName?, scope?, issuer?, baseUrl?, pkce?, authUrl?, ... }
+// (entries with the name of a built-in provider override it)
+function loadProviderConfigs(env = process.env) {
+  const configs = new Map();
+
+  for (const [type, prefix] of Object.entries(ENV_PREFIXES)) {
+    if (env[`${prefix}_CLIENT_ID`]) {
+      configs.set(type, {
+        name: type,
+        type: type,
+        clientId: env[`${prefix}_CLIENT_ID`],
+        clientSecret: env[`${prefix}_CLIENT_SECRET`],
+        baseUrl: env[`${prefix}_URL`],
+        ...endpointOverrides(env, prefix)
+      });
+    }
+  }
+
+  if (mockOAuthEnabled(env)) {
+    configs.set('mock', {
+      name: 'mock',
+      type: 'mock',
+      ...mockOAuthClient(env),
+      baseUrl: env.MOCK_OAUTH_URL,
+      ...endpointOverrides(env, 'MOCK_OAUTH')
+    });
+  }
+
+  if (env.OAUTH_PROVIDERS) {
+    let extra;
+    try {
+      extra = JSON.parse(env.OAUTH_PROVIDERS);
+    } catch (error) {
+      throw new Error(`OAUTH_PROVIDERS is not valid JSON: ${error.message}`);
+    }
+
+    for (const config of extra) {
+      if (!config.name) {
+        throw new Error('OAUTH_PROVIDERS entries need a name');
+      }
+      configs.set(config.name, { ...configs.get(config.name), ...config });
+    }
+  }
+
+  return Array.from(configs.values());
+}
+
+module.exports = {
+  OAuthProvider,
+  DiscordProvider,
+  GitHubProvider,
+  FortyTwoProvider,
+  GitLabProvider,
+  OidcProvider,
+  GoogleProvider,
+  MockProvider,
+  registerProviderType,
+  createProvider,
+  loadProviderConfigs
+};
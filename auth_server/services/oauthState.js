@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+const PENDING_TTL_MS = 10 * 60 * 1000; // 10 minutes to complete the provider login
+const RETENTION_MS = 24 * 60 * 60 * 1000; // keep used/expired entries to recognise replays
+
+// Why a callback's state was rejected; `code` is passed to the frontend as ?error=
+class OAuthStateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Server-side store of pending provider authorizations, keyed by the OAuth
+// `state`. Each entry remembers what the flow is for (login or link, and for
+// whom), the PKCE verifier and OIDC nonce, and where to send the user back.
+// The callback consumes an entry exactly once.
+class OAuthStateService {
+  constructor(db) {
+    this.db = db;
+    this.ttl = PENDING_TTL_MS;
+  }
+
+  // States are stored hashed, like our other one-time tokens
+  hash(state) {
+    return crypto.createHash('sha256').update(state).digest('hex');
+  }
+
+  // options: { provider, action: 'login' | 'link', userId, returnUrl }
+  async create({ provider, action, userId = null, returnUrl = null }) {
+    const state = crypto.randomBytes(32).toString('hex');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const now = new Date();
+
+    await this.db.run(
+      'DELETE FROM oauth_pending_authorizations WHERE expires_at < ?',
+      [new Date(now.getTime() - RETENTION_MS).toISOString()]
+    );
+    await this.db.run(
+      `INSERT INTO oauth_pending_authorizations (
+        state_hash, provider, action, user_id, code_verifier, nonce, return_url, created_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        this.hash(state),
+        provider,
+        action,
+        userId,
+        codeVerifier,
+        nonce,
+        returnUrl,
+        now.toISOString(),
+        new Date(now.getTime() + this.ttl).toISOString()
+      ]
+    );
+
+    return {
+      state: state,
+      codeVerifier: codeVerifier,
+      codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      nonce: nonce
+    };
+  }
+
+  // Take the pending authorization for a callback. Throws OAuthStateError with
+  // invalid_state, state_already_used or state_expired.
+  async consume(state, provider) {
+    const row = state ? await this.db.get(
+      'SELECT * FROM oauth_pending_authorizations WHERE state_hash = ?',
+      [this.hash(state)]
+    ) : null;
+
+    if (!row || row.provider !== provider) {
+      throw new OAuthStateError('invalid_state', 'Unknown OAuth state');
+    }
+    if (row.consumed_at) {
+      throw new OAuthStateError('state_already_used', 'OAuth state has already been used');
+    }
+
+    // Only the first callback gets the entry
+    const result = await this.db.run(
+      'UPDATE oauth_pending_authorizations SET consumed_at = ? WHERE state_hash = ? AND consumed_at IS NULL',
+      [new Date().toISOString(), row.state_hash]
+    );
+    if (!result.changes) {
+      throw new OAuthStateError('state_already_used', 'OAuth state has already been used');
+    }
+
+    if (new Date(row.expires_at) <= new Date()) {
+      throw new OAuthStateError('state_expired', 'OAuth state has expired');
+    }
+
+    return {
+      provider: row.provider,
+      action: row.action,
+      userId: row.user_id,
+      codeVerifier: row.code_verifier,
+      nonce: row.nonce,
+      returnUrl: row.return_url
+    };
+  }
+}
+
+module.exports = OAuthStateService;
+module.exports.OAuthStateError = OAuthStateError;
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+
+const AUTHORIZATION_CODE_TTL_MS = 2 * 60 * 1000; // 2 minutes
+const ID_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_TTL = '15m';
+
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+// OAuth 2.0 / OIDC protocol error, sent as { error, error_description }
+class OidcError extends Error {
+  constructor(code, description, statusCode = 400) {
+    super(description);
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// OpenID Connect provider: registered clients, authorization codes (PKCE
+// required) and the tokens handed out for them. Refresh tokens are the
+// regular session tokens (see SessionService). Access tokens are bound to
+// the client (`aud`) and only accepted at the userinfo endpoint, never by the
+// /auth API. Tokens are signed with the same keys, published through the JWKS.
+class OidcService {
+  constructor(db, keys) {
+    this.db = db;
+    this.keys = keys;
+    this.issuer = (process.env.OIDC_ISSUER || process.env.FRONTEND_URL || 'https://localhost:8443').replace(/\/$/, '');
+    this.codeTtl = AUTHORIZATION_CODE_TTL_MS;
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  // ===== CLIENTS =====
+
+  // Clients come from OIDC_CLIENTS, a JSON array of
+  // { clientId, name, clientSecret?, redirectUris } (no secret = public client)
+  static clientsFromEnv() {
+    if (!process.env.OIDC_CLIENTS) return [];
+
+    try {
+      return JSON.parse(process.env.OIDC_CLIENTS);
+    } catch (error) {
+      throw new Error(`OIDC_CLIENTS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  async registerClient({ clientId, name, clientSecret, redirectUris }) {
+    if (!clientId || !Array.isArray(redirectUris) || redirectUris.length === 0) {
+      throw new Error('OIDC clients need a clientId and at least one redirect URI');
+    }
+
+    await this.db.run(
+      `INSERT INTO oidc_clients (id, name, secret_hash, redirect_uris, created_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        name = excluded.name,
+        secret_hash = excluded.secret_hash,
+        redirect_uris = excluded.redirect_uris`,
+      [
+        clientId,
+        name || clientId,
+        clientSecret ? this.hash(clientSecret) : null,
+        JSON.stringify(redirectUris),
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  async getClient(clientId) {
+    if (!clientId) return null;
+
+    const row = await this.db.get('SELECT * FROM oidc_clients WHERE id = ?', [clientId]);
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      name: row.name,
+      secretHash: row.secret_hash,
+      redirectUris: JSON.parse(row.redirect_uris),
+      isPublic: !row.secret_hash
+    };
+  }
+
+  // Token endpoint client authentication (client_secret_basic, client_secret_post
+  // or none for public clients, which are protected by PKCE alone)
+  async authenticateClient({ clientId, clientSecret }) {
+    const client = await this.getClient(clientId);
+    if (!client) {
+      throw new OidcError('invalid_client', 'Unknown client', 401);
+    }
+
+    if (!client.isPublic) {
+      const expected = Buffer.from(client.secretHash, 'hex');
+      const actual = Buffer.from(this.hash(clientSecret || ''), 'hex');
+      if (!clientSecret || !crypto.timingSafeEqual(expected, actual)) {
+        throw new OidcError('invalid_client', 'Client authentication failed', 401);
+      }
+    }
+
+    return client;
+  }
+
+  // ===== AUTHORIZATION REQUESTS =====
+
+  // Client and redirect URI must be checked before anything is sent back to
+  // the redirect URI; these errors are shown to the user instead
+  async resolveClientRedirect(query) {
+    const client = await this.getClient(query.client_id);
+    if (!client) {
+      throw new OidcError('invalid_request', 'Unknown client_id');
+    }
+
+    const redirectUri = query.redirect_uri || (client.redirectUris.length === 1 ? client.redirectUris[0] : null);
+    if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+      throw new OidcError('invalid_request', 'redirect_uri is not registered for this client');
+    }
+
+    return { client, redirectUri };
+  }
+
+  // Validate the rest of the request; errors here go back to the client
+  validateAuthorizationRequest(query) {
+    if (query.response_type !== 'code') {
+      throw new OidcError('unsupported_response_type', 'Only the authorization code flow is supported');
+    }
+
+    const scopes = String(query.scope || '').split(' ').filter(Boolean);
+    if (!scopes.includes('openid')) {
+      throw new OidcError('invalid_scope', 'The openid scope is required');
+    }
+
+    if (!query.code_challenge || query.code_challenge_method !== 'S256') {
+      throw new OidcError('invalid_request', 'PKCE with code_challenge_method S256 is required');
+    }
+
+    return {
+      scope: scopes.filter(scope => SUPPORTED_SCOPES.includes(scope)).join(' '),
+      nonce: query.nonce || null,
+      codeChallenge: query.code_challenge,
+      codeChallengeMethod: query.code_challenge_method
+    };
+  }
+
+  // Redirect back to the client with query parameters
+  redirectUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+    return url.toString();
+  }
+
+  // ===== AUTHORIZATION CODES =====
+
+  async createAuthorizationCode({ client, redirectUri, userId, session, request }) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    await this.db.run(
+      `INSERT INTO oidc_authorization_codes (
+        id, code_hash, client_id, user_id, redirect_uri, scope, nonce,
+        code_challenge, code_challenge_method, two_factor_verified, auth_time, created_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        crypto.randomUUID(),
+        this.hash(code),
+        client.id,
+        userId,
+        redirectUri,
+        request.scope,
+        request.nonce,
+        request.codeChallenge,
+        request.codeChallengeMethod,
+        session.twoFactorVerified ? 1 : 0,
+        session.createdAt.toISOString(),
+        now.toISOString(),
+        new Date(now.getTime() + this.codeTtl).toISOString()
+      ]
+    );
+
+    return code;
+  }
+
+  // Redeem a code exactly once. A replayed code fails with the id of the
+  // session the first redemption started, so the caller can revoke it.
+  async redeemAuthorizationCode({ code, client, redirectUri, codeVerifier }) {
+    const row = code ? await this.db.get(
+      'SELECT * FROM oidc_authorization_codes WHERE code_hash = ?',
+      [this.hash(code)]
+    ) : null;
+    if (!row) {
+      throw new OidcError('invalid_grant', 'Invalid authorization code');
+    }
+
+    if (row.used_at) {
+      const error = new OidcError('invalid_grant', 'Authorization code has already been used');
+      error.sessionId = row.session_id;
+      throw error;
+    }
+
+    if (new Date(row.expires_at) <= new Date()) {
+      throw new OidcError('invalid_grant', 'Authorization code has expired');
+    }
+    // Checked before the code is consumed, so a wrong client or verifier
+    // can't burn the legitimate client's code
+    if (row.client_id !== client.id || row.redirect_uri !== redirectUri) {
+      throw new OidcError('invalid_grant', 'Authorization code was issued to another client or redirect_uri');
+    }
+    if (!this.verifyCodeChallenge(codeVerifier, row.code_challenge)) {
+      throw new OidcError('invalid_grant', 'PKCE verification failed');
+    }
+
+    const result = await this.db.run(
+      'UPDATE oidc_authorization_codes SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [new Date().toISOString(), row.id]
+    );
+    if (!result.changes) {
+      throw new OidcError('invalid_grant', 'Authorization code has already been used');
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      scope: row.scope,
+      nonce: row.nonce,
+      twoFactorVerified: !!row.two_factor_verified,
+      authTime: new Date(row.auth_time)
+    };
+  }
+
+  async attachSession(codeId, sessionId) {
+    await this.db.run(
+      'UPDATE oidc_authorization_codes SET session_id = ? WHERE id = ?',
+      [sessionId, codeId]
+    );
+  }
+
+  verifyCodeChallenge(codeVerifier, codeChallenge) {
+    if (!codeVerifier || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+      return false;
+    }
+
+    const expected = Buffer.from(codeChallenge);
+    const actual = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // ===== TOKENS & CLAIMS =====
+
+  hasScope(scope, wanted) {
+    // Sessions not started by an OIDC client (scope null) see every claim
+    return !scope || scope.split(' ').includes(wanted);
+  }
+
+  // Standard claims released for the granted scopes
+  claims(user, scope) {
+    const claims = { sub: user.id };
+
+    if (this.hasScope(scope, 'profile')) {
+      claims.preferred_username = user.username;
+      claims.name = user.username;
+    }
+    if (this.hasScope(scope, 'email')) {
+      claims.email = user.email;
+      claims.email_verified = !!user.emailVerified;
+    }
+
+    return claims;
+  }
+
+  // No `id` claim and an audience: fastify.authenticate refuses it
+  generateAccessToken(user, client, session, scope) {
+    const payload = {
+      type: 'oidc_access',
+      sub: user.id,
+      sid: session.id,
+      client_id: client.id,
+      scope: scope
+    };
+
+    return this.keys.sign(payload, {
+      expiresIn: ACCESS_TOKEN_TTL,
+      issuer: this.issuer,
+      audience: client.id
+    });
+  }
+
+  // Claims of an access token from generateAccessToken
+  verifyAccessToken(token) {
+    let claims;
+    try {
+      claims = this.keys.verify(token, { issuer: this.issuer });
+    } catch (error) {
+      throw new OidcError('invalid_token', 'Invalid token', 401);
+    }
+    if (claims.type !== 'oidc_access' || !claims.client_id || claims.aud !== claims.client_id) {
+      throw new OidcError('invalid_token', 'Not an access token for this client', 401);
+    }
+    return claims;
+  }
+
+  generateIdToken(user, client, { scope, nonce, authTime }) {
+    const payload = {
+      ...this.claims(user, scope),
+      auth_time: Math.floor(authTime.getTime() / 1000)
+    };
+    if (nonce) {
+      payload.nonce = nonce;
+    }
+
+    return this.keys.sign(payload, {
+      expiresIn: ID_TOKEN_TTL,
+      issuer: this.issuer,
+      audience: client.id
+    });
+  }
+
+  discovery() {
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/auth/oidc/authorize`,
+      token_endpoint: `${this.issuer}/auth/oidc/token`,
+      userinfo_endpoint: `${this.issuer}/auth/oidc/userinfo`,
+      jwks_uri: `${this.issuer}/.well-known/jwks.json`,
+      scopes_supported: SUPPORTED_SCOPES,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [this.keys.algorithm],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'preferred_username', 'name', 'email', 'email_verified', 'auth_time', 'nonce'],
+      prompt_values_supported: ['none', 'login']
+    };
+  }
+}
+
+module.exports = OidcService;
+module.exports.OidcError = OidcError;
@@ -0,0 +1,147 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const BreachedPasswords = require('./breachedPasswords');
+
+const CHARACTER_CLASSES = [
+  ['lowercase letters', /\p{Ll}/u],
+  ['uppercase letters', /\p{Lu}/u],
+  ['digits', /\p{Nd}/u],
+  ['symbols', /[^\p{Ll}\p{Lu}\p{Nd}]/u]
+];
+
+// Shorter parts of a username or address match too many passwords by chance
+const MIN_ACCOUNT_TERM_LENGTH = 3;
+
+function envNumber(value, fallback) {
+  return value === undefined || value === '' ? fallback : Number(value);
+}
+
+function envFlag(value, fallback) {
+  return value === undefined || value === '' ? fallback : value !== 'false';
+}
+
+// Lower-case letters and digits only, so "J.Doe-42" and "jdoe42" compare equal
+function normalize(value) {
+  return String(value || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// The username, the local part of the address and its pieces (jane.doe -> jane, doe)
+function accountTerms({ email, username }) {
+  const local = String(email || '').split('@')[0];
+  return [username, local, ...local.split(/[._+-]/)]
+    .map(normalize)
+    .filter(term => term.length >= MIN_ACCOUNT_TERM_LENGTH);
+}
+
+// Rules a new password must follow (registration, password change and reset).
+// check() returns every broken rule, not just the first, so clients can show
+// them all at once:
+//   { rule: 'min_length', message: 'Use at least 8 characters', minLength: 8 }
+// The previous password hashes needed by the reuse rule are kept in
+// password_history.
+class PasswordPolicy {
+  constructor(db, options = PasswordPolicy.optionsFromEnv(), breachedPasswords = new BreachedPasswords()) {
+    this.db = db;
+    this.options = options;
+    this.breachedPasswords = breachedPasswords;
+  }
+
+  static optionsFromEnv(env = process.env) {
+    return {
+      minLength: envNumber(env.PASSWORD_MIN_LENGTH, 8),
+      minCharacterClasses: envNumber(env.PASSWORD_MIN_CHARACTER_CLASSES, 2),
+      rejectSimilar: envFlag(env.PASSWORD_REJECT_SIMILAR, true),
+      history: envNumber(env.PASSWORD_HISTORY, 5),
+      rejectBreached: envFlag(env.PASSWORD_REJECT_BREACHED, true)
+    };
+  }
+
+  // The rules in force, for clients to show before the user types (GET /auth/password/policy)
+  describe() {
+    return { ...this.options };
+  }
+
+  // `account` is the user whose password changes ({ email, username } for a
+  // new account). Returns the broken rules, empty when the password is fine.
+  async check(password, account) {
+    const { minLength, minCharacterClasses, rejectSimilar, history, rejectBreached } = this.options;
+    const violations = [];
+
+    if ([...password].length < minLength) {
+      violations.push({ rule: 'min_length', message: `Use at least ${minLength} characters`, minLength: minLength });
+    }
+
+    const classes = CHARACTER_CLASSES.filter(([, pattern]) => pattern.test(password));
+    if (classes.length < minCharacterClasses) {
+      violations.push({
+        rule: 'character_classes',
+        message: `Use at least ${minCharacterClasses} of: ${CHARACTER_CLASSES.map(([name]) => name).join(', ')}`,
+        minCharacterClasses: minCharacterClasses
+      });
+    }
+
+    if (rejectSimilar && this.isSimilarToAccount(password, account)) {
+      violations.push({ rule: 'similar_to_account', message: 'Do not base your password on your username or email address' });
+    }
+
+    if (history > 0 && account.id && await this.wasUsedBefore(password, account)) {
+      violations.push({ rule: 'reused', message: `Do not reuse any of your last ${history} passwords`, history: history });
+    }
+
+    if (rejectBreached && await this.breachedPasswords.isBreached(password)) {
+      violations.push({ rule: 'breached', message: 'This password appears in known data breaches' });
+    }
+
+    return violations;
+  }
+
+  isSimilarToAccount(password, account) {
+    const candidate = normalize(password);
+    return accountTerms(account).some(term =>
+      candidate.includes(term) || (candidate.length >= MIN_ACCOUNT_TERM_LENGTH && term.includes(candidate))
+    );
+  }
+
+  // Compares with the current password and the `history - 1` before it
+  async wasUsedBefore(password, account) {
+    const hashes = await this.previousHashes(account.id);
+    if (account.hasPassword && account.password) {
+      hashes.unshift(account.password);
+    }
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async previousHashes(userId) {
+    const rows = await this.db.all(
+      'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+      [userId, Math.max(this.options.history - 1, 0)]
+    );
+    return rows.map(row => row.password_hash);
+  }
+
+  // Keep the hash of a password that was just replaced, and drop what the
+  // reuse rule no longer looks at
+  async remember(userId, passwordHash) {
+    const keep = Math.max(this.options.history - 1, 0);
+    if (keep > 0) {
+      await this.db.run(
+        'INSERT INTO password_history (id, user_id, password_hash, created_at) VALUES (?, ?, ?, ?)',
+        [crypto.randomUUID(), userId, passwordHash, new Date().toISOString()]
+      );
+    }
+    await this.db.run(
+      `DELETE FROM password_history WHERE user_id = ? AND id NOT IN (
+        SELECT id FROM password_history WHERE user_id = ? ORDER BY created_at DESC LIMIT ?
+      )`,
+      [userId, userId, keep]
+    );
+  }
+}
+
+module.exports = PasswordPolicy;
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const AuthError = require('./errors');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_TWO_FACTOR_FAILURES = 5; // wrong 2FA codes before the link stops working
+
+class PasswordResetService {
+  constructor(db, userService) {
+    this.db = db;
+    this.userService = userService;
+    this.resetTokenTtl = RESET_TOKEN_TTL_MS;
+  }
+
+  // Reset tokens are opaque; only their SHA-256 is stored
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Issue a reset token for the account behind this email.
+  // Returns null for unknown or inactive accounts so callers can't enumerate users.
+  async requestReset(email) {
+    const user = await this.userService.getUserByEmail(email);
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    // Only the most recent link works
+    await this.db.run(
+      'UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+      [now.toISOString(), user.id]
+    );
+    await this.db.run(
+      `INSERT INTO password_resets (id, user_id, token_hash, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)`,
+      [
+        crypto.randomUUID(),
+        user.id,
+        this.hashToken(token),
+        now.toISOString(),
+        new Date(now.getTime() + this.resetTokenTtl).toISOString()
+      ]
+    );
+
+    return { user, token };
+  }
+
+  // The pending reset behind a token: { reset, user }. The caller checks the
+  // 2FA code (throttled) when 2FA is enabled, then calls completeReset.
+  async findReset(token) {
+    const row = await this.db.get(
+      'SELECT * FROM password_resets WHERE token_hash = ?',
+      [this.hashToken(token)]
+    );
+    if (!row || row.used_at || new Date(row.expires_at) <= new Date()) {
+      throw new AuthError('AUTH_RESET_TOKEN_INVALID');
+    }
+
+    const user = await this.userService.getUserById(row.user_id);
+    if (!user || !user.isActive) {
+      throw new AuthError('AUTH_RESET_TOKEN_INVALID');
+    }
+
+    return { reset: { id: row.id, userId: row.user_id }, user };
+  }
+
+  // Count a wrong 2FA code against the link, which is used up after
+  // MAX_TWO_FACTOR_FAILURES of them
+  async recordTwoFactorFailure(resetId) {
+    await this.db.run(
+      `UPDATE password_resets
+      SET failed_attempts = failed_attempts + 1,
+        used_at = CASE WHEN failed_attempts + 1 >= ? THEN ? ELSE used_at END
+      WHERE id = ? AND used_at IS NULL`,
+      [MAX_TWO_FACTOR_FAILURES, new Date().toISOString(), resetId]
+    );
+  }
+
+  // Set the new password and use up the link
+  async completeReset(reset, user, newPassword) {
+    // Before the token is used up, so the user can pick another password
+    await this.userService.checkPasswordPolicy(newPassword, user);
+
+    // Single use: only the first caller gets to consume the token
+    const result = await this.db.run(
+      'UPDATE password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [new Date().toISOString(), reset.id]
+    );
+    if (!result.changes) {
+      throw new AuthError('AUTH_RESET_TOKEN_INVALID');
+    }
+
+    await this.userService.setPassword(user.id, newPassword);
+
+    return user;
+  }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,401 @@
+// Migrations applied in order at boot by plugins/database.js.
+// Applied versions are recorded in schema_migrations; never edit a
+// migration that has shipped, add a new one instead. A migration may be run
+// again after failing partway (the SQLite service has no transactions):
+// statements must be safe to repeat (IF NOT EXISTS, OR IGNORE...);
+// `ALTER TABLE ... ADD COLUMN` is skipped by Database.migrate when the column
+// is already there.
+module.exports = [
+  {
+    version: 1,
+    name: 'users and provider links',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        username TEXT NOT NULL,
+        password TEXT NOT NULL,
+        email_verified INTEGER NOT NULL DEFAULT 0,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        two_factor_enabled INTEGER NOT NULL DEFAULT 0,
+        two_factor_secret TEXT,
+        two_factor_backup_codes TEXT NOT NULL DEFAULT '[]',
+        two_factor_last_used_backup_code TEXT,
+        created_at TEXT NOT NULL,
+        last_login TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_users_username ON users (username)`,
+      `CREATE TABLE IF NOT EXISTS provider_links (
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        provider_id TEXT NOT NULL,
+        username TEXT,
+        email TEXT,
+        avatar TEXT,
+        linked_at TEXT NOT NULL,
+        PRIMARY KEY (provider, provider_id),
+        UNIQUE (user_id, provider)
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'sessions and refresh tokens',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        two_factor_verified INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        revoked_reason TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)`,
+      `CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens (session_id)`
+    ]
+  },
+  {
+    version: 3,
+    name: 'session device details',
+    statements: [
+      `ALTER TABLE sessions ADD COLUMN user_agent TEXT`,
+      `ALTER TABLE sessions ADD COLUMN ip TEXT`,
+      `ALTER TABLE sessions ADD COLUMN last_seen_at TEXT`
+    ]
+  },
+  {
+    version: 4,
+    name: 'password reset tokens',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS password_resets (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets (user_id)`
+    ]
+  },
+  {
+    version: 5,
+    name: 'brute-force attempt counters',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS auth_attempts (
+        key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        first_failure_at TEXT NOT NULL,
+        last_failure_at TEXT NOT NULL,
+        locked_until TEXT
+      )`
+    ]
+  },
+  {
+    version: 6,
+    name: 'webauthn passkeys',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS webauthn_credentials (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        public_key TEXT NOT NULL,
+        counter INTEGER NOT NULL DEFAULT 0,
+        transports TEXT NOT NULL DEFAULT '[]',
+        name TEXT,
+        device_type TEXT,
+        backed_up INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user ON webauthn_credentials (user_id)`,
+      `CREATE TABLE IF NOT EXISTS webauthn_challenges (
+        id TEXT PRIMARY KEY,
+        user_id TEXT REFERENCES users (id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        challenge TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 7,
+    name: 'openid connect clients and authorization codes',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS oidc_clients (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        secret_hash TEXT,
+        redirect_uris TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS oidc_authorization_codes (
+        id TEXT PRIMARY KEY,
+        code_hash TEXT NOT NULL UNIQUE,
+        client_id TEXT NOT NULL REFERENCES oidc_clients (id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        redirect_uri TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        nonce TEXT,
+        code_challenge TEXT NOT NULL,
+        code_challenge_method TEXT NOT NULL,
+        two_factor_verified INTEGER NOT NULL DEFAULT 0,
+        auth_time TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        session_id TEXT
+      )`,
+      // Sessions started through the OIDC token endpoint belong to a client
+      `ALTER TABLE sessions ADD COLUMN client_id TEXT`,
+      `ALTER TABLE sessions ADD COLUMN scope TEXT`
+    ]
+  },
+  {
+    version: 8,
+    name: 'pending oauth authorizations',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS oauth_pending_authorizations (
+        state_hash TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        action TEXT NOT NULL,
+        user_id TEXT REFERENCES users (id) ON DELETE CASCADE,
+        code_verifier TEXT NOT NULL,
+        nonce TEXT NOT NULL,
+        return_url TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        consumed_at TEXT
+      )`
+    ]
+  },
+  {
+    version: 9,
+    name: 'one-time oauth login codes',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS oauth_login_codes (
+        code_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        action TEXT NOT NULL,
+        binding_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      )`
+    ]
+  },
+  {
+    version: 10,
+    name: 'encrypted provider token vault',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS provider_tokens (
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        access_token TEXT NOT NULL,
+        refresh_token TEXT,
+        token_type TEXT,
+        scope TEXT,
+        expires_at TEXT,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, provider)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_provider_tokens_expires ON provider_tokens (expires_at)`
+    ]
+  },
+  {
+    version: 11,
+    name: 'passwordless accounts and OAuth sign-up codes',
+    statements: [
+      // Accounts created through a provider start without a usable password
+      `ALTER TABLE users ADD COLUMN has_password INTEGER NOT NULL DEFAULT 1`,
+      // Login codes live a minute, so the table is recreated rather than copied:
+      // sign-up codes have no user yet and carry the link token instead
+      `DROP TABLE IF EXISTS oauth_login_codes`,
+      `CREATE TABLE oauth_login_codes (
+        code_hash TEXT PRIMARY KEY,
+        user_id TEXT REFERENCES users (id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        action TEXT NOT NULL,
+        link_token TEXT,
+        binding_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      )`
+    ]
+  },
+  {
+    version: 12,
+    name: 'account deletion and game history',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS account_deletions (
+        user_id TEXT PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+        requested_at TEXT NOT NULL,
+        scheduled_for TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_account_deletions_scheduled ON account_deletions (scheduled_for)`,
+      // Finished matches, written by the game server through the SQLite service
+      `CREATE TABLE IF NOT EXISTS game_history (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        opponent_id TEXT REFERENCES users (id) ON DELETE SET NULL,
+        mode TEXT NOT NULL,
+        score INTEGER NOT NULL,
+        opponent_score INTEGER NOT NULL,
+        result TEXT NOT NULL,
+        played_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_game_history_user ON game_history (user_id, played_at)`
+    ]
+  },
+  {
+    version: 13,
+    name: 'roles and admin audit trail',
+    statements: [
+      `ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user'`,
+      // Set by an admin: password sign-in is refused until the password is reset
+      `ALTER TABLE users ADD COLUMN must_reset_password INTEGER NOT NULL DEFAULT 0`,
+      `CREATE INDEX IF NOT EXISTS idx_users_role ON users (role)`,
+      // No foreign keys: the trail outlives the accounts it mentions
+      `CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id TEXT PRIMARY KEY,
+        actor_id TEXT NOT NULL,
+        actor_role TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target_user_id TEXT,
+        details TEXT,
+        ip TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log (created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log (target_user_id, created_at)`
+    ]
+  },
+  {
+    version: 14,
+    name: 'security events',
+    statements: [
+      // user_id: the account concerned (NULL for unknown emails); actor_id: who
+      // acted, when not the user (an admin). Deleted accounts take their events along.
+      `CREATE TABLE IF NOT EXISTS security_events (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        user_id TEXT REFERENCES users (id) ON DELETE CASCADE,
+        actor_id TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_security_events_user ON security_events (user_id, created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events (type, created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_security_events_created ON security_events (created_at)`
+    ]
+  },
+  {
+    version: 15,
+    name: 'totp replay protection',
+    statements: [
+      // Time step of the last accepted TOTP code; a code is only accepted once
+      `ALTER TABLE users ADD COLUMN two_factor_last_totp_step INTEGER`,
+      // Held the last backup code in plaintext; no longer written
+      `UPDATE users SET two_factor_last_used_backup_code = NULL`
+    ]
+  },
+  {
+    version: 16,
+    name: 'password history',
+    statements: [
+      // Hashes of replaced passwords, for the reuse rule of the password policy
+      `CREATE TABLE IF NOT EXISTS password_history (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history (user_id, created_at)`
+    ]
+  },
+  {
+    version: 17,
+    name: 'username registry',
+    statements: [
+      // Normalised, case-folded username (see services/usernames.js). Filled
+      // in at startup for existing users; left NULL when two of them fold to
+      // the same key.
+      `ALTER TABLE users ADD COLUMN username_key TEXT`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username_key ON users (username_key)`,
+      `ALTER TABLE users ADD COLUMN username_changed_at TEXT`,
+      // Names users gave up, so they keep resolving to them
+      `CREATE TABLE IF NOT EXISTS username_history (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        username TEXT NOT NULL,
+        username_key TEXT NOT NULL,
+        changed_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_username_history_key ON username_history (username_key, changed_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_username_history_user ON username_history (user_id, changed_at)`
+    ]
+  },
+  {
+    version: 18,
+    name: 'email addresses',
+    statements: [
+      // Every address of an account; users.email is the primary one. An
+      // address belongs to one account at most. source: 'signup', 'user' or
+      // the provider it came from.
+      `CREATE TABLE IF NOT EXISTS user_emails (
+        email TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        verified INTEGER NOT NULL DEFAULT 0,
+        verified_at TEXT,
+        source TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_user_emails_user ON user_emails (user_id, created_at)`,
+      `INSERT OR IGNORE INTO user_emails (email, user_id, verified, source, created_at)
+        SELECT email, id, email_verified, 'signup', created_at FROM users`,
+      // Addresses of linked providers were only kept with the link
+      `INSERT OR IGNORE INTO user_emails (email, user_id, verified, source, created_at)
+        SELECT lower(email), user_id, 0, provider, linked_at FROM provider_links WHERE email IS NOT NULL`
+    ]
+  },
+  {
+    version: 19,
+    name: 'password reset 2fa failures',
+    statements: [
+      // Wrong 2FA codes given with a reset link; the link dies after a few
+      `ALTER TABLE password_resets ADD COLUMN failed_attempts INTEGER NOT NULL DEFAULT 0`
+    ]
+  },
+  {
+    version: 20,
+    name: 'account deletion cancel links',
+    statements: [
+      // SHA-256 of the cancel link mailed when the deletion is scheduled
+      `ALTER TABLE account_deletions ADD COLUMN cancel_token_hash TEXT`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_account_deletions_cancel_token ON account_deletions (cancel_token_hash)`
+    ]
+  },
+  {
+    version: 21,
+    name: 'admin deactivation',
+    statements: [
+      // Deactivated by a moderator (not only by a pending deletion): only a
+      // moderator reactivates the account
+      `ALTER TABLE users ADD COLUMN deactivated_by_admin INTEGER NOT NULL DEFAULT 0`
+    ]
+  }
+];
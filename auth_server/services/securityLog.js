@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+const OUTCOMES = ['success', 'failure'];
+
+// Security events of accounts: sign-ins, failed second factors, provider
+// links, password and 2FA changes... (see the README for the event types).
+// Written by the routes; read back by the user (their own) and by admins.
+class SecurityLogService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // userId: the account concerned; actorId: who acted, when not the user
+  // (an admin). details: any JSON-serialisable context, never secrets.
+  async record({ type, outcome = 'success', userId = null, actorId = null, ip = null, userAgent = null, details = null }) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown security event outcome: ${outcome}`);
+    }
+
+    await this.db.run(
+      `INSERT INTO security_events (id, type, outcome, user_id, actor_id, ip, user_agent, details, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        crypto.randomUUID(),
+        type,
+        outcome,
+        userId,
+        actorId,
+        ip,
+        userAgent ? String(userAgent).slice(0, 512) : null,
+        details ? JSON.stringify(details) : null,
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  // Newest first. since/until are Dates; every filter is optional.
+  async list({ userId = null, actorId = null, type = null, outcome = null, ip = null, since = null, until = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    const filters = [
+      ['user_id = ?', userId],
+      ['actor_id = ?', actorId],
+      ['type = ?', type],
+      ['outcome = ?', outcome],
+      ['ip = ?', ip],
+      ['created_at >= ?', since && since.toISOString()],
+      ['created_at < ?', until && until.toISOString()]
+    ];
+
+    for (const [condition, value] of filters) {
+      if (value) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM security_events ${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM security_events ${where} ORDER BY created_at DESC, id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { events: rows.map(row => this.toEvent(row)), total: total };
+  }
+
+  toEvent(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      outcome: row.outcome,
+      userId: row.user_id,
+      actorId: row.actor_id,
+      ip: row.ip,
+      userAgent: row.user_agent,
+      details: row.details ? JSON.parse(row.details) : null,
+      createdAt: new Date(row.created_at)
+    };
+  }
+}
+
+module.exports = SecurityLogService;
+module.exports.OUTCOMES = OUTCOMES;
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const AuthError = require('./errors');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000; // Don't write last_seen_at more than once a minute
+
+class SessionService {
+  constructor(db) {
+    this.db = db;
+    this.refreshTokenTtl = REFRESH_TOKEN_TTL_MS;
+  }
+
+  // Refresh tokens are opaque; only their SHA-256 is stored
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  // Issue a refresh token belonging to a session (token family)
+  async issueRefreshToken(sessionId) {
+    const refreshToken = this.generateRefreshToken();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.refreshTokenTtl);
+
+    await this.db.run(
+      `INSERT INTO refresh_tokens (id, session_id, token_hash, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)`,
+      [crypto.randomUUID(), sessionId, this.hashToken(refreshToken), now.toISOString(), expiresAt.toISOString()]
+    );
+    await this.db.run(
+      'UPDATE sessions SET expires_at = ? WHERE id = ?',
+      [expiresAt.toISOString(), sessionId]
+    );
+
+    return refreshToken;
+  }
+
+  // Start a new session and return its first refresh token
+  // options: { twoFactorVerified, userAgent, ip, clientId, scope }
+  // (clientId and scope are set for sessions started by an OIDC client)
+  async createSession(userId, options = {}) {
+    const sessionId = crypto.randomUUID();
+    const now = new Date();
+
+    await this.db.run(
+      `INSERT INTO sessions (id, user_id, two_factor_verified, user_agent, ip, client_id, scope, created_at, last_seen_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sessionId,
+        userId,
+        options.twoFactorVerified ? 1 : 0,
+        options.userAgent || null,
+        options.ip || null,
+        options.clientId || null,
+        options.scope || null,
+        now.toISOString(),
+        now.toISOString(),
+        new Date(now.getTime() + this.refreshTokenTtl).toISOString()
+      ]
+    );
+
+    const refreshToken = await this.issueRefreshToken(sessionId);
+
+    return {
+      session: await this.getSession(sessionId),
+      refreshToken: refreshToken
+    };
+  }
+
+  toSession(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      twoFactorVerified: !!row.two_factor_verified,
+      userAgent: row.user_agent,
+      ip: row.ip,
+      clientId: row.client_id,
+      scope: row.scope,
+      createdAt: new Date(row.created_at),
+      lastSeenAt: row.last_seen_at ? new Date(row.last_seen_at) : null,
+      expiresAt: new Date(row.expires_at),
+      revokedAt: row.revoked_at ? new Date(row.revoked_at) : null,
+      revokedReason: row.revoked_reason || null
+    };
+  }
+
+  async getSession(sessionId) {
+    const row = await this.db.get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    return row ? this.toSession(row) : null;
+  }
+
+  isActive(session) {
+    return !!session && !session.revokedAt && session.expiresAt > new Date();
+  }
+
+  // A session is usable until it is revoked or its refresh window runs out
+  async isSessionActive(sessionId) {
+    if (!sessionId) return false;
+
+    return this.isActive(await this.getSession(sessionId));
+  }
+
+  // Check a session on an authenticated request and record activity
+  async touchSession(sessionId, details = {}) {
+    if (!sessionId) return false;
+
+    const session = await this.getSession(sessionId);
+    if (!this.isActive(session)) return false;
+
+    // Concurrent requests may all see a stale last_seen_at: only the first one
+    // past the cutoff writes
+    const now = new Date();
+    if (!session.lastSeenAt || now - session.lastSeenAt >= LAST_SEEN_RESOLUTION_MS) {
+      await this.db.run(
+        `UPDATE sessions SET last_seen_at = ?, ip = COALESCE(?, ip)
+         WHERE id = ? AND (last_seen_at IS NULL OR last_seen_at <= ?)`,
+        [now.toISOString(), details.ip || null, sessionId, new Date(now.getTime() - LAST_SEEN_RESOLUTION_MS).toISOString()]
+      );
+    }
+
+    return true;
+  }
+
+  // Active sessions of a user, most recently used first
+  async listActiveSessions(userId) {
+    const rows = await this.db.all(
+      `SELECT * FROM sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+      ORDER BY COALESCE(last_seen_at, created_at) DESC`,
+      [userId, new Date().toISOString()]
+    );
+    return rows.map(row => this.toSession(row));
+  }
+
+  // Every session of a user, including ended ones, newest first (data export)
+  async listSessions(userId) {
+    const rows = await this.db.all(
+      'SELECT * FROM sessions WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+    return rows.map(row => this.toSession(row));
+  }
+
+  // Exchange a refresh token for a new one in the same family.
+  // Presenting a token that was already rotated kills the whole family.
+  async rotateRefreshToken(refreshToken) {
+    const row = await this.db.get(
+      'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+      [this.hashToken(refreshToken)]
+    );
+    if (!row) {
+      throw new AuthError('AUTH_REFRESH_TOKEN_INVALID');
+    }
+
+    if (row.used_at) {
+      await this.revokeSession(row.session_id, 'refresh_token_reuse');
+      throw new AuthError('AUTH_REFRESH_TOKEN_REUSED');
+    }
+
+    if (new Date(row.expires_at) <= new Date()) {
+      throw new AuthError('AUTH_REFRESH_TOKEN_INVALID');
+    }
+
+    if (!await this.isSessionActive(row.session_id)) {
+      throw new AuthError('AUTH_REFRESH_TOKEN_INVALID');
+    }
+
+    // Mark as used; only the first concurrent caller wins the rotation
+    const result = await this.db.run(
+      'UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [new Date().toISOString(), row.id]
+    );
+    if (!result.changes) {
+      await this.revokeSession(row.session_id, 'refresh_token_reuse');
+      throw new AuthError('AUTH_REFRESH_TOKEN_REUSED');
+    }
+
+    const newRefreshToken = await this.issueRefreshToken(row.session_id);
+
+    return {
+      session: await this.getSession(row.session_id),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  // Find the session a refresh token belongs to (without rotating it)
+  async getSessionIdByRefreshToken(refreshToken) {
+    const row = await this.db.get(
+      'SELECT session_id FROM refresh_tokens WHERE token_hash = ?',
+      [this.hashToken(refreshToken)]
+    );
+    return row ? row.session_id : null;
+  }
+
+  // Session behind a refresh token that is still current (not rotated, not
+  // expired, session not revoked). Does not rotate the token.
+  async getActiveSessionByRefreshToken(refreshToken) {
+    const row = await this.db.get(
+      'SELECT session_id, expires_at, used_at FROM refresh_tokens WHERE token_hash = ?',
+      [this.hashToken(refreshToken)]
+    );
+    if (!row || row.used_at || new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+
+    const session = await this.getSession(row.session_id);
+    return this.isActive(session) ? session : null;
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    await this.db.run(
+      'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, sessionId]
+    );
+  }
+
+  async revokeAllSessions(userId, reason = 'logout_all') {
+    await this.db.run(
+      'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, userId]
+    );
+  }
+
+  // Revoke one of the user's sessions; false if it isn't theirs or already gone
+  async revokeUserSession(userId, sessionId, reason = 'remote_sign_out') {
+    const result = await this.db.run(
+      'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, sessionId, userId]
+    );
+    return result.changes > 0;
+  }
+
+  // Revoke every session of the user except the one making the request
+  async revokeOtherSessions(userId, currentSessionId, reason = 'remote_sign_out') {
+    const result = await this.db.run(
+      'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE user_id = ? AND id != ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, userId, currentSessionId]
+    );
+    return result.changes;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,159 @@
+// Brute-force protection for credential and code checks.
+// Failures are counted per account and per IP in SQLite so lockouts survive restarts:
+// attempt() before checking, recordSuccess() when the check passes.
+// After `freeAttempts` failures every further failure doubles the wait
+// (starting at `baseDelayMs`); from `lockoutAfter` failures the key is locked
+// for `lockoutMs`. Counters are forgotten `resetAfterMs` after the last failure.
+
+const MINUTE = 60 * 1000;
+
+// action -> scope -> policy
+const POLICIES = {
+  login: {
+    account: { freeAttempts: 5, lockoutAfter: 10, baseDelayMs: 1000, lockoutMs: 15 * MINUTE, resetAfterMs: 60 * MINUTE },
+    ip: { freeAttempts: 20, lockoutAfter: 100, baseDelayMs: 1000, lockoutMs: 15 * MINUTE, resetAfterMs: 60 * MINUTE }
+  },
+  // 6-digit codes are much easier to guess than passwords
+  twoFactor: {
+    account: { freeAttempts: 3, lockoutAfter: 5, baseDelayMs: 2000, lockoutMs: 30 * MINUTE, resetAfterMs: 60 * MINUTE },
+    ip: { freeAttempts: 10, lockoutAfter: 50, baseDelayMs: 2000, lockoutMs: 30 * MINUTE, resetAfterMs: 60 * MINUTE }
+  },
+  link: {
+    account: { freeAttempts: 5, lockoutAfter: 10, baseDelayMs: 1000, lockoutMs: 15 * MINUTE, resetAfterMs: 60 * MINUTE },
+    ip: { freeAttempts: 20, lockoutAfter: 100, baseDelayMs: 1000, lockoutMs: 15 * MINUTE, resetAfterMs: 60 * MINUTE }
+  },
+  // Every request counts (never recordSuccess), so reset mails can't flood an inbox
+  passwordReset: {
+    account: { freeAttempts: 3, lockoutAfter: 5, baseDelayMs: MINUTE, lockoutMs: 60 * MINUTE, resetAfterMs: 60 * MINUTE },
+    ip: { freeAttempts: 10, lockoutAfter: 30, baseDelayMs: MINUTE, lockoutMs: 60 * MINUTE, resetAfterMs: 60 * MINUTE }
+  }
+};
+
+class ThrottleService {
+  constructor(db, policies = POLICIES) {
+    this.db = db;
+    this.policies = policies;
+  }
+
+  // Counter keys for an attempt, e.g. keys('login', { account: email, ip: request.ip })
+  keys(action, { account, ip }) {
+    const keys = [];
+    if (account) {
+      keys.push({ key: `${action}:account:${String(account).toLowerCase()}`, policy: this.policies[action].account, scope: 'account' });
+    }
+    if (ip) {
+      keys.push({ key: `${action}:ip:${ip}`, policy: this.policies[action].ip, scope: 'ip' });
+    }
+    return keys;
+  }
+
+  // Seconds until the next attempt is allowed (0 when not throttled)
+  async retryAfter(keys) {
+    const now = Date.now();
+    let waitMs = 0;
+
+    for (const { key } of keys) {
+      const row = await this.db.get('SELECT locked_until FROM auth_attempts WHERE key = ?', [key]);
+      if (row && row.locked_until) {
+        waitMs = Math.max(waitMs, new Date(row.locked_until).getTime() - now);
+      }
+    }
+
+    return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+  }
+
+  // Delay imposed after the nth consecutive failure
+  delayFor(policy, failures) {
+    if (failures >= policy.lockoutAfter) {
+      return policy.lockoutMs;
+    }
+    if (failures <= policy.freeAttempts) {
+      return 0;
+    }
+    return Math.min(policy.baseDelayMs * 2 ** (failures - policy.freeAttempts - 1), policy.lockoutMs);
+  }
+
+  // delayFor() as SQL, for a failure count computed in the same statement
+  delaySql(policy, failures) {
+    const { freeAttempts, lockoutAfter, baseDelayMs, lockoutMs } = policy;
+    return `CASE WHEN ${failures} >= ${Number(lockoutAfter)} THEN ${Number(lockoutMs)}
+      WHEN ${failures} <= ${Number(freeAttempts)} THEN 0
+      ELSE MIN(${Number(baseDelayMs)} * (1 << MIN(${failures} - ${Number(freeAttempts)} - 1, 40)), ${Number(lockoutMs)}) END`;
+  }
+
+  // locked_until (ISO, like every date column) `delay` ms after `nowMs`
+  lockedUntilSql(delay, nowMs) {
+    return `CASE WHEN ${delay} > 0 THEN strftime('%Y-%m-%dT%H:%M:%fZ', (${Number(nowMs)} + ${delay}) / 1000.0, 'unixepoch') END`;
+  }
+
+  // Count an attempt as failed before checking it, so concurrent attempts
+  // can't all get past the limit. Returns the seconds to wait when a key is
+  // locked (the attempt is then refused); 0 when the attempt may go ahead.
+  // recordSuccess() takes the count back when the attempt succeeds.
+  //
+  // Each key is counted and locked in one statement: the SQLite service has
+  // no transactions, so a read followed by a write would lose concurrent
+  // failures.
+  async attempt(keys) {
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+    const counted = [];
+
+    for (const entry of keys) {
+      const { key, policy } = entry;
+      const stale = `auth_attempts.last_failure_at < '${new Date(now - policy.resetAfterMs).toISOString()}'`;
+      const failures = `(CASE WHEN ${stale} THEN 1 ELSE auth_attempts.failures + 1 END)`;
+      const firstDelay = this.delayFor(policy, 1);
+
+      const result = await this.db.run(
+        `INSERT INTO auth_attempts (key, failures, first_failure_at, last_failure_at, locked_until)
+        VALUES (?, 1, ?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET
+          failures = ${failures},
+          first_failure_at = CASE WHEN ${stale} THEN excluded.first_failure_at ELSE auth_attempts.first_failure_at END,
+          last_failure_at = excluded.last_failure_at,
+          locked_until = ${this.lockedUntilSql(this.delaySql(policy, failures), now)}
+        WHERE auth_attempts.locked_until IS NULL OR auth_attempts.locked_until <= ?`,
+        [key, nowIso, nowIso, firstDelay > 0 ? new Date(now + firstDelay).toISOString() : null, nowIso]
+      );
+
+      if (!result.changes) {
+        // Locked: give back what this attempt already counted
+        await this.release(counted);
+        return this.retryAfter([entry]);
+      }
+      counted.push(entry);
+    }
+
+    return 0;
+  }
+
+  // Take back attempts counted by attempt(), and the delay they caused
+  async release(keys) {
+    const now = Date.now();
+
+    for (const { key, policy } of keys) {
+      await this.db.run(
+        `UPDATE auth_attempts SET
+          failures = failures - 1,
+          locked_until = ${this.lockedUntilSql(this.delaySql(policy, '(failures - 1)'), now)}
+        WHERE key = ? AND failures > 0`,
+        [key]
+      );
+    }
+  }
+
+  // The attempt succeeded. Per-account counters are cleared; IP counters only
+  // lose this attempt, so one valid login can't reset an address that is
+  // spraying other accounts.
+  async recordSuccess(keys) {
+    await this.release(keys.filter(({ scope }) => scope !== 'account'));
+    for (const { key, scope } of keys) {
+      if (scope === 'account') {
+        await this.db.run('DELETE FROM auth_attempts WHERE key = ?', [key]);
+      }
+    }
+  }
+}
+
+module.exports = ThrottleService;
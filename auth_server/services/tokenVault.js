@@ -0,0 +1,94 @@
+// Provider tokens (access / refresh) per user and provider, encrypted at rest.
+// Rows only ever hold ciphertext; see Encryptor for the format and key rotation.
+class TokenVault {
+  constructor(db, encryptor) {
+    this.db = db;
+    this.encryptor = encryptor;
+  }
+
+  // tokens: the provider's token response (access_token, refresh_token, expires_in, ...)
+  async save(userId, provider, tokens) {
+    const now = new Date();
+    const expiresAt = tokens.expires_in
+      ? new Date(now.getTime() + Number(tokens.expires_in) * 1000).toISOString()
+      : null;
+
+    // Providers don't always send a new refresh token on refresh; keep the old one
+    await this.db.run(
+      `INSERT INTO provider_tokens (
+        user_id, provider, access_token, refresh_token, token_type, scope, expires_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, provider) DO UPDATE SET
+        access_token = excluded.access_token,
+        refresh_token = COALESCE(excluded.refresh_token, provider_tokens.refresh_token),
+        token_type = excluded.token_type,
+        scope = excluded.scope,
+        expires_at = excluded.expires_at,
+        updated_at = excluded.updated_at`,
+      [
+        userId,
+        provider,
+        this.encryptor.encrypt(tokens.access_token),
+        this.encryptor.encrypt(tokens.refresh_token),
+        tokens.token_type || null,
+        tokens.scope || null,
+        expiresAt,
+        now.toISOString()
+      ]
+    );
+  }
+
+  async get(userId, provider) {
+    const row = await this.db.get(
+      'SELECT * FROM provider_tokens WHERE user_id = ? AND provider = ?',
+      [userId, provider]
+    );
+    return row ? this.toTokens(row) : null;
+  }
+
+  async list(userId) {
+    const rows = await this.db.all('SELECT * FROM provider_tokens WHERE user_id = ?', [userId]);
+    return rows.map(row => this.toTokens(row));
+  }
+
+  // Entries with a refresh token that expire before `before`
+  async listExpiring(before) {
+    const rows = await this.db.all(
+      `SELECT * FROM provider_tokens
+      WHERE refresh_token IS NOT NULL AND expires_at IS NOT NULL AND expires_at < ?`,
+      [before.toISOString()]
+    );
+    return rows.map(row => this.toTokens(row));
+  }
+
+  async delete(userId, provider) {
+    await this.db.run(
+      'DELETE FROM provider_tokens WHERE user_id = ? AND provider = ?',
+      [userId, provider]
+    );
+  }
+
+  // Encrypt a token response for a trip through the client (link tokens)
+  seal(tokens) {
+    return this.encryptor.encrypt(JSON.stringify(tokens || {}));
+  }
+
+  open(sealed) {
+    return sealed ? JSON.parse(this.encryptor.decrypt(sealed)) : null;
+  }
+
+  toTokens(row) {
+    return {
+      userId: row.user_id,
+      provider: row.provider,
+      accessToken: this.encryptor.decrypt(row.access_token),
+      refreshToken: this.encryptor.decrypt(row.refresh_token),
+      tokenType: row.token_type,
+      scope: row.scope,
+      expiresAt: row.expires_at ? new Date(row.expires_at) : null,
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = TokenVault;
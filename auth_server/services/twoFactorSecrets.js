@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const Encryptor = require('./encryption');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const HASH_LENGTH = 32;
+
+// How TOTP secrets and backup codes are kept at rest. Secrets are encrypted
+// (the server needs them back to compute codes) under TOTP_SECRET_KEY, see
+// Encryptor for the format and key rotation. Backup codes are only ever
+// compared, so they are stored as salted scrypt hashes.
+class TwoFactorSecrets {
+  constructor(encryptor = Encryptor.fromEnv('TOTP_SECRET_KEY')) {
+    this.encryptor = encryptor;
+  }
+
+  sealSecret(secret) {
+    return this.encryptor.encrypt(secret);
+  }
+
+  openSecret(sealed) {
+    return this.encryptor.decrypt(sealed);
+  }
+
+  // Base32 secrets stored before encryption contain no '.'
+  isSealed(secret) {
+    return String(secret).split('.').length === 4;
+  }
+
+  // True when a stored secret is plaintext or sealed with a previous key
+  secretNeedsUpgrade(secret) {
+    return !!secret && (!this.isSealed(secret) || this.encryptor.needsRotation(secret));
+  }
+
+  // Re-seal a stored secret with the current key
+  upgradeSecret(secret) {
+    return this.sealSecret(this.isSealed(secret) ? this.openSecret(secret) : secret);
+  }
+
+  // `scrypt:<salt>:<hash>` (base64url)
+  async hashBackupCode(code) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(code), salt, HASH_LENGTH);
+    return [HASH_PREFIX, salt.toString('base64url'), hash.toString('base64url')].join(':');
+  }
+
+  async backupCodeMatches(code, stored) {
+    const [prefix, salt, hash] = String(stored || '').split(':');
+    if (prefix !== HASH_PREFIX || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(String(code), Buffer.from(salt, 'base64url'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  // Stored entries ({ hash, used, usedAt }) for freshly generated codes
+  async hashBackupCodes(codes) {
+    return Promise.all(codes.map(async code => ({
+      hash: await this.hashBackupCode(code),
+      used: false,
+      usedAt: null
+    })));
+  }
+
+  // The unused entry matching a code, or null. Every unused entry is hashed,
+  // so the time taken doesn't tell which one matched.
+  async findBackupCode(code, entries) {
+    let match = null;
+    for (const entry of entries) {
+      if (!entry.used && await this.backupCodeMatches(code, entry.hash) && !match) {
+        match = entry;
+      }
+    }
+    return match;
+  }
+
+  // Entries stored before hashing carry the code itself
+  backupCodesNeedUpgrade(entries) {
+    return entries.some(entry => entry.code !== undefined);
+  }
+
+  async upgradeBackupCodes(entries) {
+    return Promise.all(entries.map(async entry => {
+      if (entry.code === undefined) return entry;
+      return {
+        hash: await this.hashBackupCode(entry.code),
+        used: !!entry.used,
+        usedAt: entry.usedAt || null
+      };
+    }));
+  }
+}
+
+module.exports = TwoFactorSecrets;
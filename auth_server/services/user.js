@@ -1,32 +1,52 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
+const UserStore = require('./userStore');
+const TwoFactorSecrets = require('./twoFactorSecrets');
+const PasswordPolicy = require('./passwordPolicy');
+const UsernameRegistry = require('./usernames');
+const AuthError = require('./errors');
+
+const ACCESS_TOKEN_TTL = '15m'; // Renewed through /auth/refresh
+const TOTP_STEP_SECONDS = 30; // speakeasy's default period
+
+// Lowest to highest; each role can do everything the previous ones can
+const ROLES = ['user', 'moderator', 'admin'];
+
+// How long an unverified address holds off other accounts (the lifetime of
+// its verification link)
+const EMAIL_CLAIM_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_EMAILS = 10;
+
+// Lost a race for a unique value (a username or an email address): the
+// SQLite service reports the constraint that failed
+function isConflict(error, ...columns) {
+  return columns.some(column => error.message.includes(`UNIQUE constraint failed: ${column}`));
+}
 
 class UserService {
-  constructor() {
-    this.users = new Map(); // userId -> user object
-    this.usersByEmail = new Map(); // email -> userId
-    this.providerLinks = new Map(); // provider_providerUserId -> userId
+  constructor(db, keys, twoFactorSecrets = new TwoFactorSecrets(), passwordPolicy = new PasswordPolicy(db), usernames = new UsernameRegistry(db)) {
+    this.store = new UserStore(db); // users, provider links and 2FA state
+    this.keys = keys; // JWT signing keys (see KeyService)
+    this.twoFactorSecrets = twoFactorSecrets; // TOTP secret encryption, backup code hashing
+    this.passwordPolicy = passwordPolicy; // rules for new passwords, password history
+    this.usernames = usernames; // username rules, uniqueness and history
+    this.reauthTokenTtl = 5 * 60 * 1000; // how long a re-authentication unlocks sensitive changes (ms)
     this.saltRounds = 12;
   }
 
-  isUsernameTaken(username) {
-    for (const user of this.users.values()) {
-      if (user.username === username) {
-        return true;
-      }
-    }
-    return false;
+  // Case-insensitive, and counts names given up recently (see UsernameRegistry)
+  async isUsernameTaken(username, exceptUserId = null) {
+    return this.usernames.isTaken(username, exceptUserId);
   }
 
   // Generate a unique user ID
-  generateUserId() {
+  async generateUserId() {
     let userId;
     do {
       userId = crypto.randomUUID();
-    } while (this.users.has(userId));
+    } while (await this.store.findById(userId));
     return userId;
   }
 
@@ -45,165 +65,302 @@ class UserService {
     const { email, password, username } = userData;
 
     // Check if email already exists
-    if (this.usersByEmail.has(email.toLowerCase())) {
-      throw new Error('Email already registered');
+    if (email && await this.isEmailInUse(email)) {
+      throw new AuthError('AUTH_EMAIL_IN_USE');
     }
 
-    if (username && this.isUsernameTaken(username)) {
-      throw new Error('Username already taken');
+    if (!username) {
+      throw new AuthError('VALIDATION_FAILED', 'Username is required');
     }
 
-    if (!username) {
-      throw new Error('Username is required');
+    const name = this.usernames.validate(username);
+    if (await this.isUsernameTaken(name)) {
+      throw new AuthError('AUTH_USERNAME_TAKEN');
     }
 
     if (!password) {
-      throw new Error('Password is required');
+      throw new AuthError('VALIDATION_FAILED', 'Password is required');
     }
 
     if (!email) {
-      throw new Error('Email is required');
+      throw new AuthError('VALIDATION_FAILED', 'Email is required');
+    }
+
+    await this.checkPasswordPolicy(password, { email, username: name });
+
+    return this.insertUser({
+      email: email,
+      username: name,
+      password: await this.hashPassword(password),
+      hasPassword: true
+    });
+  }
+
+  // Create a user signing up through an OAuth provider. There is no password
+  // until the user sets one (through a password reset); the stored hash is of
+  // random bytes so it never matches.
+  async createOAuthUser({ email, username }) {
+    if (!email) {
+      throw new AuthError('VALIDATION_FAILED', 'Email is required');
+    }
+    if (!username) {
+      throw new AuthError('VALIDATION_FAILED', 'Username is required');
+    }
+    if (await this.isEmailInUse(email)) {
+      throw new AuthError('AUTH_EMAIL_IN_USE');
+    }
+    const name = this.usernames.validate(username);
+    if (await this.isUsernameTaken(name)) {
+      throw new AuthError('AUTH_USERNAME_TAKEN');
     }
 
-    // Hash the password
-    const hashedPassword = await this.hashPassword(password);
+    return this.insertUser({
+      email: email,
+      username: name,
+      password: await this.hashPassword(crypto.randomBytes(32).toString('hex')),
+      hasPassword: false
+    });
+  }
 
+  async insertUser({ email, username, password, hasPassword }) {
     // Generate user ID
-    const userId = this.generateUserId();
+    const userId = await this.generateUserId();
 
     // Create user object
     const user = {
       id: userId,
       email: email.toLowerCase(),
       username: username,
-      password: hashedPassword,
+      usernameKey: this.usernames.key(username),
+      password: password,
+      hasPassword: hasPassword,
       providers: new Map(), // provider -> { providerId, username, avatar, linkedAt }
       twoFactor: {
         enabled: false,
         secret: null,
-        backupCodes: [],
-        lastUsedBackupCode: null
+        backupCodes: []
       },
       createdAt: new Date(),
       lastLogin: new Date(),
-      isActive: true
+      emailVerified: false,
+      isActive: true,
+      role: 'user'
     };
 
     // Store user
-    this.users.set(userId, user);
-    this.usersByEmail.set(email.toLowerCase(), userId);
+    try {
+      await this.store.insert(user);
+    } catch (error) {
+      if (isConflict(error, 'users.username_key')) {
+        throw new AuthError('AUTH_USERNAME_TAKEN');
+      }
+      if (isConflict(error, 'users.email', 'user_emails.email')) {
+        // The users row may be in without its address
+        await this.store.delete(userId);
+        throw new AuthError('AUTH_EMAIL_IN_USE');
+      }
+      throw error;
+    }
 
     // Return user without password
     return this.sanitizeUser(user);
   }
 
-  // Authenticate user with email/password
-  async authenticateUser(email, password) {
-    const userId = this.usersByEmail.get(email.toLowerCase());
-    if (!userId) {
-      throw new Error('Invalid credentials');
+  // A free username based on a provider profile (letters, digits, _ and -,
+  // 3 to 20 characters), with a numeric suffix when the name is taken or reserved
+  async suggestUsername(base) {
+    let name = String(base || '')
+      .normalize('NFKD')
+      .replace(/[^A-Za-z0-9_-]/g, '')
+      .replace(/[_-]{2,}/g, '_')
+      .replace(/^[_-]+|[_-]+$/g, '')
+      .slice(0, 20)
+      .replace(/[_-]+$/, '');
+    if (name.length < 3) {
+      name = 'player';
     }
 
-    const user = this.users.get(userId);
-    if (!user || !user.isActive) {
-      throw new Error('Invalid credentials');
+    if (!this.usernames.isReserved(name) && !await this.isUsernameTaken(name)) {
+      return name;
+    }
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const candidate = `${name.slice(0, 15)}${crypto.randomInt(1000, 100000)}`;
+      if (!await this.isUsernameTaken(candidate)) {
+        return candidate;
+      }
+    }
+    throw new AuthError('AUTH_USERNAME_UNAVAILABLE');
+  }
+
+  // Authenticate user with email/password
+  async authenticateUser(email, password) {
+    const user = await this.store.findByEmail(email);
+    if (!user || !user.isActive || !user.hasPassword) {
+      throw new AuthError('AUTH_INVALID_CREDENTIALS');
     }
 
     const isValidPassword = await this.verifyPassword(password, user.password);
     if (!isValidPassword) {
-      throw new Error('Invalid credentials');
+      throw new AuthError('AUTH_INVALID_CREDENTIALS');
+    }
+
+    if (user.mustResetPassword) {
+      throw new AuthError('AUTH_PASSWORD_RESET_REQUIRED');
     }
 
     // Update last login
     user.lastLogin = new Date();
+    await this.store.update(user.id, { lastLogin: user.lastLogin });
 
     return this.sanitizeUser(user);
   }
 
   // Get user by ID
-  getUserById(userId) {
-    const user = this.users.get(userId);
+  async getUserById(userId) {
+    const user = await this.store.findById(userId);
     return user ? this.sanitizeUser(user) : null;
   }
 
+  // The active account behind a current or previous username:
+  // { user, resolvedFrom } where resolvedFrom is the old name, or null
+  async findByUsername(username) {
+    const match = await this.usernames.resolve(username);
+    const user = match ? await this.store.findById(match.userId) : null;
+    if (!user || !user.isActive) {
+      return null;
+    }
+    return { user: this.sanitizeUser(user), resolvedFrom: match.current ? null : match.username };
+  }
+
+  // Give users created before the username registry their key. Run at boot.
+  // Users whose name folds to one another user already has keep it without a
+  // key (reported in `conflicts`) until they pick a new one.
+  async upgradeUsernameKeys() {
+    let upgraded = 0;
+    const conflicts = [];
+
+    for (const { id, username } of await this.store.listUsersWithoutUsernameKey()) {
+      try {
+        await this.store.update(id, { usernameKey: this.usernames.key(username) });
+        upgraded++;
+      } catch (error) {
+        if (!isConflict(error, 'users.username_key')) throw error;
+        conflicts.push(id);
+      }
+    }
+
+    return { upgraded, conflicts };
+  }
+
   // Get user by email
-  getUserByEmail(email) {
-    const userId = this.usersByEmail.get(email.toLowerCase());
-    return userId ? this.getUserById(userId) : null;
+  async getUserByEmail(email) {
+    const user = await this.store.findByEmail(email);
+    return user ? this.sanitizeUser(user) : null;
   }
 
   // Check if provider is already linked to any user
-  isProviderLinked(provider, providerId) {
-    const linkKey = `${provider}_${providerId}`;
-    return this.providerLinks.has(linkKey);
+  async isProviderLinked(provider, providerId) {
+    const userId = await this.store.findUserIdByProvider(provider, providerId);
+    return !!userId;
   }
 
   // Get user by provider
-  getUserByProvider(provider, providerId) {
-    const linkKey = `${provider}_${providerId}`;
-    const userId = this.providerLinks.get(linkKey);
+  async getUserByProvider(provider, providerId) {
+    const userId = await this.store.findUserIdByProvider(provider, providerId);
     return userId ? this.getUserById(userId) : null;
   }
 
   // Link OAuth provider to existing user
-  linkProvider(userId, providerData) {
+  async linkProvider(userId, providerData) {
     const { provider, providerId, username, email, avatar } = providerData;
-    const linkKey = `${provider}_${providerId}`;
 
     // Check if provider is already linked to another user
-    if (this.providerLinks.has(linkKey)) {
-      const existingUserId = this.providerLinks.get(linkKey);
-      if (existingUserId !== userId) {
-        throw new Error('This provider account is already linked to another user');
-      }
-      // Already linked to this user, update the info
+    const existingUserId = await this.store.findUserIdByProvider(provider, providerId);
+    if (existingUserId && existingUserId !== userId) {
+      throw new AuthError('AUTH_PROVIDER_ALREADY_LINKED');
     }
+    // Already linked to this user, update the info
 
-    const user = this.users.get(userId);
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     // Add provider link
-    user.providers.set(provider, {
+    const link = {
       providerId: providerId,
       username: username,
       email: email,
       avatar: avatar,
       linkedAt: new Date()
-    });
-
-    // Store reverse mapping
-    this.providerLinks.set(linkKey, userId);
+    };
+    await this.store.saveProvider(userId, provider, link);
+    user.providers.set(provider, link);
+    await this.addProviderEmail(userId, provider, email);
 
     return this.sanitizeUser(user);
   }
 
   // Unlink OAuth provider from user
-  unlinkProvider(userId, provider) {
-    const user = this.users.get(userId);
+  // force (admin API) skips the only-sign-in-method check; the user can
+  // still get back in with a password reset
+  async unlinkProvider(userId, provider, { force = false } = {}) {
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     const providerData = user.providers.get(provider);
     if (!providerData) {
-      throw new Error('Provider not linked to this user');
+      throw new AuthError('AUTH_PROVIDER_NOT_LINKED');
+    }
+
+    // Accounts created through a provider may have no other way to sign in
+    const otherLogins = user.providers.size - 1 + user.webauthn.credentials.length;
+    if (!force && !user.hasPassword && otherLogins === 0) {
+      throw new AuthError('AUTH_LAST_SIGN_IN_METHOD');
     }
 
     // Remove provider from user
+    await this.store.deleteProvider(userId, provider);
     user.providers.delete(provider);
 
-    // Remove reverse mapping
-    const linkKey = `${provider}_${providerData.providerId}`;
-    this.providerLinks.delete(linkKey);
-
     return this.sanitizeUser(user);
   }
 
+  // Everything stored about the user's account, for the data export
+  // (credentials and 2FA secrets excluded)
+  async exportUser(userId) {
+    const user = await this.store.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      profile: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        emailVerified: user.emailVerified,
+        hasPassword: user.hasPassword,
+        isActive: user.isActive,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin
+      },
+      providers: Array.from(user.providers.entries()).map(([provider, data]) => ({
+        provider: provider,
+        providerId: data.providerId,
+        username: data.username,
+        email: data.email,
+        avatar: data.avatar,
+        linkedAt: data.linkedAt
+      }))
+    };
+  }
+
   // Get linked providers for a user
-  getLinkedProviders(userId) {
-    const user = this.users.get(userId);
+  async getLinkedProviders(userId) {
+    const user = await this.store.findById(userId);
     if (!user) {
       return [];
     }
@@ -218,13 +375,14 @@ class UserService {
 
   // Update user profile
   async updateUser(userId, updates) {
-    const user = this.users.get(userId);
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     const allowedUpdates = ['username', 'email'];
     const validUpdates = {};
+    const changes = {};
 
     for (const key of allowedUpdates) {
       if (updates[key] !== undefined) {
@@ -232,59 +390,181 @@ class UserService {
       }
     }
 
-    // Handle email update
-    if (validUpdates.email && validUpdates.email !== user.email) {
+    // Handle email update: a verified address of the account becomes the
+    // primary one now. Any other is added unverified and only becomes primary
+    // once verified (see verifyEmail); until then the current one stays.
+    let newAddress = null;
+    if (validUpdates.email && validUpdates.email.toLowerCase() !== user.email) {
       const newEmail = validUpdates.email.toLowerCase();
-      
-      // Check if new email is already taken
-      if (this.usersByEmail.has(newEmail)) {
-        throw new Error('Email already in use');
+      const address = await this.store.findEmail(newEmail);
+
+      if (address && address.userId === userId) {
+        if (address.verified) {
+          user.email = newEmail;
+          user.emailVerified = true;
+          changes.email = user.email;
+          changes.emailVerified = true;
+        }
+      } else {
+        // Check if new email is already taken
+        if (await this.isEmailInUse(newEmail)) {
+          throw new AuthError('AUTH_EMAIL_IN_USE');
+        }
+        newAddress = newEmail;
       }
-
-      // Remove old email mapping
-      this.usersByEmail.delete(user.email);
-      
-      // Update email
-      user.email = newEmail;
-      user.emailVerified = false; // Reset verification status
-      
-      // Add new email mapping
-      this.usersByEmail.set(newEmail, userId);
     }
 
-    // Handle username update
+    // Handle username update. Changing case or width only is not a new name:
+    // no cooldown and nothing to keep in the history.
+    let previousUsername = null;
     if (validUpdates.username) {
-      user.username = validUpdates.username;
+      const username = this.usernames.validate(validUpdates.username);
+      const renamed = this.usernames.key(username) !== this.usernames.key(user.username);
+
+      if (renamed) {
+        const nextChangeAt = this.usernames.nextChangeAt(user);
+        if (nextChangeAt) {
+          throw new AuthError('AUTH_USERNAME_CHANGE_TOO_SOON', null, { nextChangeAt: nextChangeAt });
+        }
+        if (await this.isUsernameTaken(username, userId)) {
+          throw new AuthError('AUTH_USERNAME_TAKEN');
+        }
+        previousUsername = user.username;
+        user.usernameChangedAt = new Date();
+        changes.usernameChangedAt = user.usernameChangedAt;
+      }
+
+      user.username = username;
+      changes.username = username;
+      changes.usernameKey = this.usernames.key(username);
+    }
+
+    // The username was checked above, but another account can still take it
+    // before the update lands: give the new address back if the update fails.
+    if (newAddress) {
+      await this.addEmail(userId, newAddress);
+    }
+    try {
+      await this.store.update(userId, changes);
+    } catch (error) {
+      if (newAddress) {
+        await this.store.deleteEmail(userId, newAddress);
+      }
+      throw isConflict(error, 'users.username_key') ? new AuthError('AUTH_USERNAME_TAKEN') : error;
+    }
+    if (previousUsername) {
+      await this.usernames.recordChange(userId, previousUsername, user.usernameChangedAt);
     }
 
     return this.sanitizeUser(user);
   }
 
-  // Change password
-  async changePassword(userId, currentPassword, newPassword) {
-    const user = this.users.get(userId);
-    if (!user) {
-      throw new Error('User not found');
+  // Re-authentication: does the password match? (false for accounts without one)
+  async checkPassword(userId, password) {
+    const user = await this.store.findById(userId);
+    if (!user || !user.hasPassword || !password) {
+      return false;
     }
+    return this.verifyPassword(password, user.password);
+  }
 
-    // Verify current password
-    const isValidPassword = await this.verifyPassword(currentPassword, user.password);
-    if (!isValidPassword) {
-      throw new Error('Current password is incorrect');
+  // Inactive accounts can't sign in or use their tokens
+  async setActive(userId, isActive) {
+    await this.store.update(userId, { isActive: !!isActive });
+  }
+
+  // A moderator's deactivation is recorded, so that only a moderator undoes it
+  async setDeactivatedByAdmin(userId, deactivated) {
+    await this.store.update(userId, { isActive: !deactivated, deactivatedByAdmin: !!deactivated });
+  }
+
+  // Undo the deactivation of a cancelled deletion, unless a moderator
+  // deactivated the account as well. Returns whether the account is active.
+  async reactivateAfterDeletion(userId) {
+    const user = await this.store.findById(userId);
+    if (!user || user.deactivatedByAdmin) {
+      return false;
     }
+    await this.setActive(userId, true);
+    return true;
+  }
 
-    // Hash new password
-    user.password = await this.hashPassword(newPassword);
+  // Throws AUTH_PASSWORD_POLICY, listing the broken rules in `violations`,
+  // unless the password may become the password of `user` (the account, or
+  // { email, username } when signing up)
+  async checkPasswordPolicy(password, user) {
+    // The reuse rule needs the stored hash, which sanitized users don't carry
+    const account = user.id ? await this.store.findById(user.id) : user;
+    const violations = await this.passwordPolicy.check(password, account);
+    if (violations.length > 0) {
+      throw new AuthError('AUTH_PASSWORD_POLICY', null, { violations });
+    }
+  }
 
-    return { success: true };
+  // Hash and store a new password (callers are responsible for authorising
+  // the change and for checking the password policy). The replaced password
+  // goes to the history.
+  async setPassword(userId, newPassword) {
+    const user = await this.store.findById(userId);
+    const hashedPassword = await this.hashPassword(newPassword);
+    await this.store.update(userId, { password: hashedPassword, hasPassword: true, mustResetPassword: false });
+    if (user && user.hasPassword) {
+      await this.passwordPolicy.remember(userId, user.password);
+    }
   }
 
-  // Generate JWT token
-  generateJWT(user, is2FAVerified = false) {
+  // Refuse password sign-in until the password has been reset (admin API)
+  async requirePasswordReset(userId) {
+    await this.store.update(userId, { mustResetPassword: true });
+  }
+
+  // ===== ROLES =====
+
+  hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role || 'user') >= ROLES.indexOf(role);
+  }
+
+  async setRole(userId, role) {
+    if (!ROLES.includes(role)) {
+      throw new AuthError('VALIDATION_FAILED', 'Unknown role');
+    }
+    await this.store.update(userId, { role: role });
+  }
+
+  // Make the accounts behind these emails admins (ADMIN_EMAILS, at startup).
+  // Only an account whose verified primary address it is: anyone can sign up
+  // with an address they don't own. { granted, unverified } (addresses)
+  async grantAdminRoles(emails) {
+    const granted = [];
+    const unverified = [];
+    for (const email of emails) {
+      const user = await this.store.findByEmail(email);
+      if (!user || user.role === 'admin') {
+        continue;
+      }
+      if (user.email !== email.toLowerCase() || !user.emailVerified) {
+        unverified.push(email);
+        continue;
+      }
+      await this.setRole(user.id, 'admin');
+      granted.push(user.email);
+    }
+    return { granted, unverified };
+  }
+
+  async searchUsers(options) {
+    const { users, total } = await this.store.search(options);
+    return { users: users.map(user => this.sanitizeUser(user)), total: total };
+  }
+
+  // Generate short-lived access token bound to a session (see SessionService)
+  generateJWT(user, is2FAVerified = false, sessionId = null) {
     const payload = {
+      sid: sessionId,
       id: user.id,
       email: user.email,
       username: user.username,
+      role: user.role || 'user',
       providers: user.providers && typeof user.providers === 'object' 
         ? (user.providers instanceof Map 
             ? Array.from(user.providers.keys()) 
@@ -293,8 +573,8 @@ class UserService {
       twoFactorVerified: is2FAVerified
     };
 
-    return jwt.sign(payload, process.env.JWT_SECRET, { 
-      expiresIn: '24h',
+    return this.keys.sign(payload, {
+      expiresIn: ACCESS_TOKEN_TTL,
       issuer: 'auth-server'
     });
   }
@@ -308,18 +588,244 @@ class UserService {
       temp2FA: true
     };
 
-    return jwt.sign(payload, process.env.JWT_SECRET, { 
+    return this.keys.sign(payload, {
       expiresIn: '10m', // Short-lived for 2FA verification
       issuer: 'auth-server'
     });
   }
 
+  // Signed hand-off for a provider identity with no account yet: lets the
+  // user create an account or attach the identity to an existing one.
+  // sealedTokens are the provider's tokens, encrypted (see TokenVault.seal).
+  generateLinkToken(providerData, sealedTokens) {
+    const payload = {
+      type: 'link_token',
+      provider: providerData.provider,
+      providerData: {
+        provider: providerData.provider,
+        providerId: providerData.providerId,
+        username: providerData.username,
+        email: providerData.email,
+        avatar: providerData.avatar
+      },
+      tokens: sealedTokens
+    };
+
+    return this.keys.sign(payload, {
+      expiresIn: '15m',
+      issuer: 'auth-server'
+    });
+  }
+
   // Verify JWT token
   verifyJWT(token) {
     try {
-      return jwt.verify(token, process.env.JWT_SECRET);
+      return this.keys.verify(token);
     } catch (error) {
-      throw new Error('Invalid token');
+      throw new AuthError('AUTH_TOKEN_INVALID');
+    }
+  }
+
+  // ===== RE-AUTHENTICATION =====
+
+  // Proof that the user of a session re-entered their credentials a moment
+  // ago, for sensitive account changes. Bound to the user and the session.
+  generateReauthToken(claims, method) {
+    const payload = {
+      type: 'reauth',
+      sub: claims.id,
+      sid: claims.sid,
+      method: method
+    };
+
+    return this.keys.sign(payload, {
+      expiresIn: Math.floor(this.reauthTokenTtl / 1000),
+      issuer: 'auth-server',
+      audience: 'reauth'
+    });
+  }
+
+  // The payload of a reauth token issued for this user and session, or null
+  verifyReauthToken(token, claims) {
+    let payload;
+    try {
+      payload = this.keys.verify(token, {
+        issuer: 'auth-server',
+        audience: 'reauth'
+      });
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.type !== 'reauth' || payload.sub !== claims.id || payload.sid !== claims.sid) {
+      return null;
+    }
+    return payload;
+  }
+
+  // ===== EMAIL VERIFICATION =====
+
+  // Signed token bound to the address it was sent to (the primary one by
+  // default), so removing the address invalidates it. With `primary`, the
+  // address also becomes the primary one once verified.
+  generateEmailVerificationToken(user, email = user.email, { primary = false } = {}) {
+    const payload = {
+      type: 'email_verification',
+      sub: user.id,
+      email: email
+    };
+    if (primary) {
+      payload.primary = true;
+    }
+
+    return this.keys.sign(payload, {
+      expiresIn: '24h',
+      issuer: 'auth-server',
+      audience: 'email-verification'
+    });
+  }
+
+  // Mark the address as verified if it is still on the user's account, and
+  // make it primary when the link was sent for an email change.
+  // Returns { user, previousEmail } (previousEmail when the primary changed).
+  async verifyEmail(token) {
+    let payload;
+    try {
+      payload = this.keys.verify(token, {
+        issuer: 'auth-server',
+        audience: 'email-verification'
+      });
+    } catch (error) {
+      throw new AuthError('AUTH_VERIFICATION_TOKEN_INVALID');
+    }
+
+    if (payload.type !== 'email_verification') {
+      throw new AuthError('AUTH_VERIFICATION_TOKEN_INVALID');
+    }
+
+    const user = await this.store.findById(payload.sub);
+    if (!user) {
+      throw new AuthError('AUTH_VERIFICATION_TOKEN_INVALID');
+    }
+
+    const address = await this.store.findEmail(payload.email);
+    if (!address || address.userId !== user.id) {
+      throw new AuthError('AUTH_VERIFICATION_TOKEN_INVALID', 'Verification token does not match an email address of this account');
+    }
+
+    await this.store.markEmailVerified(user.id, address.email);
+    let previousEmail = null;
+    if (payload.primary && address.email !== user.email) {
+      previousEmail = user.email;
+      user.email = address.email;
+      user.emailVerified = true;
+      await this.store.update(user.id, { email: address.email, emailVerified: true });
+    } else if (address.email === user.email && !user.emailVerified) {
+      user.emailVerified = true;
+      await this.store.update(user.id, { emailVerified: true });
+    }
+
+    return { user: this.sanitizeUser(user), previousEmail: previousEmail };
+  }
+
+  // ===== EMAIL ADDRESSES =====
+
+  // Whether another account holds the address. Unverified addresses added to
+  // another account more than a day ago (their link has expired) are released.
+  async isEmailInUse(email) {
+    await this.store.releaseUnverifiedEmail(email, new Date(Date.now() - EMAIL_CLAIM_TTL_MS));
+    return this.store.emailExists(email);
+  }
+
+  // Put an unverified address on the account; AUTH_EMAIL_IN_USE when another
+  // account holds it
+  async claimEmail(userId, email, source) {
+    if (await this.isEmailInUse(email)) {
+      throw new AuthError('AUTH_EMAIL_IN_USE');
+    }
+    try {
+      await this.store.addEmail(userId, email, { source: source });
+    } catch (error) {
+      throw isConflict(error, 'user_emails.email') ? new AuthError('AUTH_EMAIL_IN_USE') : error;
+    }
+  }
+
+  // The account's addresses, primary first
+  async listEmails(userId) {
+    const user = await this.store.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const emails = await this.store.listEmails(userId);
+    return emails
+      .map(address => ({
+        email: address.email,
+        primary: address.email === user.email,
+        verified: address.verified,
+        verifiedAt: address.verifiedAt,
+        source: address.source,
+        createdAt: address.createdAt
+      }))
+      .sort((a, b) => b.primary - a.primary);
+  }
+
+  // Add an address (unverified) to the account
+  async addEmail(userId, email) {
+    const address = email.toLowerCase();
+    const existing = await this.store.findEmail(address);
+    if (existing && existing.userId === userId) {
+      throw new AuthError('AUTH_EMAIL_ALREADY_ADDED');
+    }
+    if ((await this.store.listEmails(userId)).length >= MAX_EMAILS) {
+      throw new AuthError('AUTH_EMAIL_LIMIT_REACHED', null, { maxEmails: MAX_EMAILS });
+    }
+
+    await this.claimEmail(userId, address, 'user');
+    return this.listEmails(userId);
+  }
+
+  // Remove a secondary address
+  async removeEmail(userId, email) {
+    const user = await this.store.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const address = email.toLowerCase();
+    if (address === user.email) {
+      throw new AuthError('AUTH_EMAIL_PRIMARY');
+    }
+    if (!await this.store.deleteEmail(userId, address)) {
+      throw new AuthError('AUTH_EMAIL_NOT_FOUND');
+    }
+
+    return this.listEmails(userId);
+  }
+
+  // Make a verified address the one used for notifications (and shown as the
+  // account's email)
+  async setPrimaryEmail(userId, email) {
+    const address = await this.store.findEmail(email);
+    if (!address || address.userId !== userId) {
+      throw new AuthError('AUTH_EMAIL_NOT_FOUND');
+    }
+    if (!address.verified) {
+      throw new AuthError('AUTH_EMAIL_NOT_VERIFIED', 'Verify the address before making it primary');
+    }
+
+    await this.store.update(userId, { email: address.email, emailVerified: true });
+    return this.getUserById(userId);
+  }
+
+  // Keep a linked provider's address on the account, unverified: like any
+  // other, it is confirmed by mail. Skipped when another account holds it.
+  async addProviderEmail(userId, provider, email) {
+    if (!email) return;
+    try {
+      await this.claimEmail(userId, email.toLowerCase(), provider);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
     }
   }
 
@@ -327,13 +833,13 @@ class UserService {
 
   // Setup 2FA for user
   async setup2FA(userId) {
-    const user = this.users.get(userId);
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     if (user.twoFactor.enabled) {
-      throw new Error('2FA is already enabled for this user');
+      throw new AuthError('AUTH_2FA_ALREADY_ENABLED');
     }
 
     // Generate secret
@@ -344,7 +850,8 @@ class UserService {
     });
 
     // Store the secret temporarily (not enabled yet)
-    user.twoFactor.secret = secret.base32;
+    user.twoFactor.secret = this.twoFactorSecrets.sealSecret(secret.base32);
+    await this.store.saveTwoFactor(userId, user.twoFactor);
 
     // Generate QR code
     const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
@@ -358,41 +865,29 @@ class UserService {
 
   // Verify 2FA setup and enable it
   async verify2FASetup(userId, token) {
-    const user = this.users.get(userId);
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     if (!user.twoFactor.secret) {
-      throw new Error('2FA setup not initiated');
+      throw new AuthError('AUTH_2FA_SETUP_NOT_STARTED');
     }
 
     if (user.twoFactor.enabled) {
-      throw new Error('2FA is already enabled');
+      throw new AuthError('AUTH_2FA_ALREADY_ENABLED');
     }
 
     // Verify the token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactor.secret,
-      encoding: 'base32',
-      token: token,
-      window: 2 // Allow 2 time steps of variance
-    });
-
-    if (!verified) {
-      throw new Error('Invalid 2FA code');
-    }
+    await this.verifyTotp(user, token, 2); // Allow 2 time steps of variance
 
     // Generate backup codes
     const backupCodes = this.generateBackupCodes();
     
     // Enable 2FA
     user.twoFactor.enabled = true;
-    user.twoFactor.backupCodes = backupCodes.map(code => ({
-      code: code,
-      used: false,
-      usedAt: null
-    }));
+    user.twoFactor.backupCodes = await this.twoFactorSecrets.hashBackupCodes(backupCodes);
+    await this.store.saveTwoFactor(userId, user.twoFactor);
 
     return {
       enabled: true,
@@ -410,94 +905,120 @@ class UserService {
     return codes;
   }
 
-  // Verify 2FA token
+  // Which kind of second-factor code this is: 'backup_code' (8 digits) or 'totp'
+  twoFactorCodeMethod(token) {
+    return token.length === 8 && !isNaN(token) ? 'backup_code' : 'totp';
+  }
+
+  // Verify 2FA token; resolves to { verified, method } with the method used
   async verify2FA(userId, token) {
-    const user = this.users.get(userId);
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     if (!user.twoFactor.enabled) {
-      throw new Error('2FA is not enabled for this user');
+      throw new AuthError('AUTH_2FA_NOT_ENABLED');
     }
 
     // Check if it's a backup code
-    if (token.length === 8 && !isNaN(token)) {
+    if (this.twoFactorCodeMethod(token) === 'backup_code') {
       return this.verifyBackupCode(userId, token);
     }
 
     // Verify TOTP token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactor.secret,
+    await this.verifyTotp(user, token, 1); // One step either side: fewer valid codes for a guesser to hit
+
+    return { verified: true, method: 'totp' };
+  }
+
+  // Check a TOTP code against the user's secret. Each code is accepted once:
+  // its time step is recorded and that step or an earlier one is refused.
+  async verifyTotp(user, token, window) {
+    const secret = this.twoFactorSecrets.openSecret(user.twoFactor.secret);
+    const match = speakeasy.totp.verifyDelta({
+      secret: secret,
       encoding: 'base32',
       token: token,
-      window: 2
+      window: window
     });
 
-    if (!verified) {
-      throw new Error('Invalid 2FA code');
+    if (!match) {
+      throw new AuthError('AUTH_2FA_INVALID');
     }
 
-    return { verified: true, method: 'totp' };
+    const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + match.delta;
+    if (!await this.store.claimTotpStep(user.id, step)) {
+      throw new AuthError('AUTH_2FA_CODE_REUSED');
+    }
   }
 
   // Verify backup code
-  verifyBackupCode(userId, code) {
-    const user = this.users.get(userId);
+  async verifyBackupCode(userId, code) {
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
-    const backupCode = user.twoFactor.backupCodes.find(
-      bc => bc.code === code && !bc.used
-    );
+    const previous = user.twoFactor.backupCodes;
+    const backupCode = await this.twoFactorSecrets.findBackupCode(code, previous);
 
     if (!backupCode) {
-      throw new Error('Invalid backup code');
+      throw new AuthError('AUTH_2FA_INVALID', 'Invalid backup code');
     }
 
-    // Mark backup code as used
-    backupCode.used = true;
-    backupCode.usedAt = new Date();
-    user.twoFactor.lastUsedBackupCode = code;
+    // Mark backup code as used, unless a concurrent request just did
+    const next = previous.map(entry => entry === backupCode
+      ? { ...entry, used: true, usedAt: new Date() }
+      : entry);
+    if (!await this.store.replaceBackupCodes(userId, previous, next)) {
+      throw new AuthError('AUTH_2FA_INVALID', 'Invalid backup code');
+    }
 
     return { verified: true, method: 'backup_code' };
   }
 
-  // Disable 2FA
-  async disable2FA(userId, currentPassword, token) {
-    const user = this.users.get(userId);
+  // Disable 2FA (the route requires a recent re-authentication)
+  async disable2FA(userId) {
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     if (!user.twoFactor.enabled) {
-      throw new Error('2FA is not enabled');
-    }
-
-    // Verify current password
-    const isValidPassword = await this.verifyPassword(currentPassword, user.password);
-    if (!isValidPassword) {
-      throw new Error('Invalid password');
+      throw new AuthError('AUTH_2FA_NOT_ENABLED');
     }
 
-    // Verify 2FA token
-    await this.verify2FA(userId, token);
-
     // Disable 2FA
     user.twoFactor = {
       enabled: false,
       secret: null,
-      backupCodes: [],
-      lastUsedBackupCode: null
+      backupCodes: []
     };
+    await this.store.saveTwoFactor(userId, user.twoFactor);
 
     return { disabled: true };
   }
 
+  // Turn TOTP off without the user's codes (admin API, e.g. a lost phone)
+  async reset2FA(userId) {
+    const user = await this.store.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await this.store.saveTwoFactor(userId, {
+      enabled: false,
+      secret: null,
+      backupCodes: []
+    });
+
+    return { reset: true };
+  }
+
   // Get 2FA status
-  get2FAStatus(userId) {
-    const user = this.users.get(userId);
+  async get2FAStatus(userId) {
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
@@ -505,46 +1026,79 @@ class UserService {
     return {
       enabled: user.twoFactor.enabled,
       backupCodesRemaining: user.twoFactor.backupCodes ? 
-        user.twoFactor.backupCodes.filter(bc => !bc.used).length : 0
+        user.twoFactor.backupCodes.filter(bc => !bc.used).length : 0,
+      passkeys: user.webauthn ? user.webauthn.credentials.length : 0
     };
   }
 
-  // Regenerate backup codes
-  async regenerateBackupCodes(userId, currentPassword, token) {
-    const user = this.users.get(userId);
+  // Regenerate backup codes (the route requires a recent re-authentication)
+  async regenerateBackupCodes(userId) {
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     if (!user.twoFactor.enabled) {
-      throw new Error('2FA is not enabled');
+      throw new AuthError('AUTH_2FA_NOT_ENABLED');
     }
 
-    // Verify current password
-    const isValidPassword = await this.verifyPassword(currentPassword, user.password);
-    if (!isValidPassword) {
-      throw new Error('Invalid password');
-    }
-
-    // Verify 2FA token
-    await this.verify2FA(userId, token);
-
     // Generate new backup codes
     const newBackupCodes = this.generateBackupCodes();
-    user.twoFactor.backupCodes = newBackupCodes.map(code => ({
-      code: code,
-      used: false,
-      usedAt: null
-    }));
+    user.twoFactor.backupCodes = await this.twoFactorSecrets.hashBackupCodes(newBackupCodes);
+    await this.store.saveTwoFactor(userId, user.twoFactor);
 
     return {
       backupCodes: newBackupCodes
     };
   }
 
-  // Check if user requires 2FA verification
+  // Encrypt TOTP secrets and hash backup codes stored in plaintext by older
+  // versions, and re-encrypt secrets sealed with a previous TOTP_SECRET_KEY.
+  // Run at boot. Secrets sealed with a key that is no longer configured are
+  // left alone and reported in `unreadable` (ids of the users concerned).
+  async upgradeTwoFactorStorage() {
+    let upgraded = 0;
+    const unreadable = [];
+
+    for (const userId of await this.store.listTwoFactorUserIds()) {
+      const user = await this.store.findById(userId);
+      const { secret, backupCodes } = user.twoFactor;
+      const secretNeedsUpgrade = this.twoFactorSecrets.secretNeedsUpgrade(secret);
+      const codesNeedUpgrade = this.twoFactorSecrets.backupCodesNeedUpgrade(backupCodes);
+      if (!secretNeedsUpgrade && !codesNeedUpgrade) continue;
+
+      let upgradedSecret = secret;
+      if (secretNeedsUpgrade) {
+        try {
+          upgradedSecret = this.twoFactorSecrets.upgradeSecret(secret);
+        } catch (error) {
+          unreadable.push(userId);
+          if (!codesNeedUpgrade) continue;
+        }
+      }
+
+      await this.store.saveTwoFactor(userId, {
+        enabled: user.twoFactor.enabled,
+        secret: upgradedSecret,
+        backupCodes: codesNeedUpgrade ? await this.twoFactorSecrets.upgradeBackupCodes(backupCodes) : backupCodes
+      });
+      upgraded++;
+    }
+
+    return { upgraded, unreadable };
+  }
+
+  // Check if user requires 2FA verification (TOTP or a registered passkey)
   requires2FA(user) {
-    return user.twoFactor && user.twoFactor.enabled;
+    return !!((user.twoFactor && user.twoFactor.enabled) || (user.webauthn && user.webauthn.enabled));
+  }
+
+  // Second factors available to the user, for the login 2FA step
+  get2FAMethods(user) {
+    const methods = [];
+    if (user.twoFactor && user.twoFactor.enabled) methods.push('totp');
+    if (user.webauthn && user.webauthn.enabled) methods.push('webauthn');
+    return methods;
   }
 
   // Remove sensitive data from user object
@@ -559,10 +1113,17 @@ class UserService {
       lastLogin: user.lastLogin,
       emailVerified: user.emailVerified,
       isActive: user.isActive,
+      role: user.role || 'user',
+      hasPassword: user.hasPassword !== false,
+      mustResetPassword: !!user.mustResetPassword,
       twoFactor: {
         enabled: user.twoFactor ? user.twoFactor.enabled : false,
         backupCodesRemaining: user.twoFactor && user.twoFactor.backupCodes ? 
           user.twoFactor.backupCodes.filter(bc => !bc.used).length : 0
+      },
+      webauthn: {
+        enabled: !!(user.webauthn && user.webauthn.credentials.length > 0),
+        credentials: user.webauthn ? user.webauthn.credentials.length : 0
       }
     };
 
@@ -584,30 +1145,23 @@ class UserService {
   }
 
   // Development/testing methods
-  getAllUsers() {
-    return Array.from(this.users.values()).map(user => this.sanitizeUser(user));
+  async getAllUsers() {
+    const users = await this.store.findAll();
+    return users.map(user => this.sanitizeUser(user));
   }
 
-  deleteUser(userId) {
-    const user = this.users.get(userId);
+  async deleteUser(userId) {
+    const user = await this.store.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
-    // Remove email mapping
-    this.usersByEmail.delete(user.email);
-
-    // Remove provider links
-    user.providers.forEach((data, provider) => {
-      const linkKey = `${provider}_${data.providerId}`;
-      this.providerLinks.delete(linkKey);
-    });
-
-    // Remove user
-    this.users.delete(userId);
+    // Remove user (provider links are removed with it)
+    await this.store.delete(userId);
 
     return { success: true };
   }
 }
 
-module.exports = UserService;
\ No newline at end of file
+module.exports = UserService;
+module.exports.ROLES = ROLES;
\ No newline at end of file
@@ -0,0 +1,365 @@
+// Persistence for users, their email addresses, provider links and 2FA state.
+// Rows are hydrated into the same shape UserService always worked with:
+// a `providers` Map and a `twoFactor` object, plus a `webauthn` summary of
+// the user's passkeys (managed by WebAuthnService).
+
+// userField -> column
+const USER_COLUMNS = {
+  email: 'email',
+  username: 'username',
+  usernameKey: 'username_key',
+  usernameChangedAt: 'username_changed_at',
+  password: 'password',
+  hasPassword: 'has_password',
+  emailVerified: 'email_verified',
+  isActive: 'is_active',
+  deactivatedByAdmin: 'deactivated_by_admin',
+  role: 'role',
+  mustResetPassword: 'must_reset_password',
+  lastLogin: 'last_login'
+};
+
+function toColumnValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+class UserStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Build a user object from a users row, its provider_links rows and passkeys
+  hydrate(row, providerRows = [], credentialRows = []) {
+    if (!row) return null;
+
+    const providers = new Map();
+    for (const link of providerRows) {
+      providers.set(link.provider, {
+        providerId: link.provider_id,
+        username: link.username,
+        email: link.email,
+        avatar: link.avatar,
+        linkedAt: toDate(link.linked_at)
+      });
+    }
+
+    return {
+      id: row.id,
+      email: row.email,
+      username: row.username,
+      usernameChangedAt: toDate(row.username_changed_at),
+      password: row.password,
+      hasPassword: row.has_password !== 0,
+      providers: providers,
+      twoFactor: {
+        enabled: !!row.two_factor_enabled,
+        secret: row.two_factor_secret,
+        backupCodes: JSON.parse(row.two_factor_backup_codes || '[]'),
+        lastTotpStep: row.two_factor_last_totp_step
+      },
+      webauthn: {
+        credentials: credentialRows.map(credential => ({
+          id: credential.id,
+          name: credential.name,
+          createdAt: toDate(credential.created_at)
+        }))
+      },
+      createdAt: toDate(row.created_at),
+      lastLogin: toDate(row.last_login),
+      emailVerified: !!row.email_verified,
+      isActive: !!row.is_active,
+      deactivatedByAdmin: !!row.deactivated_by_admin,
+      role: row.role || 'user',
+      mustResetPassword: !!row.must_reset_password
+    };
+  }
+
+  async loadUser(row) {
+    if (!row) return null;
+    const providerRows = await this.db.all(
+      'SELECT * FROM provider_links WHERE user_id = ? ORDER BY linked_at',
+      [row.id]
+    );
+    const credentialRows = await this.db.all(
+      'SELECT id, name, created_at FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at',
+      [row.id]
+    );
+    return this.hydrate(row, providerRows, credentialRows);
+  }
+
+  async findById(userId) {
+    const row = await this.db.get('SELECT * FROM users WHERE id = ?', [userId]);
+    return this.loadUser(row);
+  }
+
+  // The user signing in with this address: its primary address (verified or
+  // not, as before accounts had several), or one of its verified ones
+  async findByEmail(email) {
+    const address = email.toLowerCase();
+    let row = await this.db.get('SELECT * FROM users WHERE email = ?', [address]);
+    if (!row) {
+      row = await this.db.get(
+        `SELECT users.* FROM users JOIN user_emails ON user_emails.user_id = users.id
+        WHERE user_emails.email = ? AND user_emails.verified = 1`,
+        [address]
+      );
+    }
+    return this.loadUser(row);
+  }
+
+  // Whether any account holds the address, verified or not
+  async emailExists(email) {
+    const address = email.toLowerCase();
+    const row = await this.db.get(
+      'SELECT 1 AS found FROM user_emails WHERE email = ? UNION SELECT 1 FROM users WHERE email = ?',
+      [address, address]
+    );
+    return !!row;
+  }
+
+  async findAll() {
+    const rows = await this.db.all('SELECT * FROM users ORDER BY created_at');
+    return Promise.all(rows.map(row => this.loadUser(row)));
+  }
+
+  // Page through users for the admin API. `query` matches the start of the
+  // email or username, or the exact id.
+  async search({ query = null, role = null, isActive = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (query) {
+      const prefix = query.toLowerCase().replace(/[\\%_]/g, '\\$&') + '%';
+      conditions.push(`(id = ? OR email LIKE ? ESCAPE '\\' OR lower(username) LIKE ? ESCAPE '\\')`);
+      params.push(query, prefix, prefix);
+    }
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+    if (isActive !== null) {
+      conditions.push('is_active = ?');
+      params.push(toColumnValue(isActive));
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM users ${where} ORDER BY created_at DESC, id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      users: await Promise.all(rows.map(row => this.loadUser(row))),
+      total: total
+    };
+  }
+
+  async insert(user) {
+    await this.db.run(
+      `INSERT INTO users (
+        id, email, username, username_key, password, has_password, email_verified, is_active, role,
+        two_factor_enabled, two_factor_secret, two_factor_backup_codes,
+        created_at, last_login
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user.id,
+        user.email,
+        user.username,
+        user.usernameKey,
+        user.password,
+        toColumnValue(user.hasPassword !== false),
+        toColumnValue(!!user.emailVerified),
+        toColumnValue(user.isActive !== false),
+        user.role || 'user',
+        toColumnValue(user.twoFactor.enabled),
+        user.twoFactor.secret,
+        JSON.stringify(user.twoFactor.backupCodes),
+        toColumnValue(user.createdAt),
+        toColumnValue(user.lastLogin)
+      ]
+    );
+    await this.addEmail(user.id, user.email, { verified: !!user.emailVerified, source: 'signup' });
+  }
+
+  // Update plain user fields, e.g. { email, emailVerified }
+  async update(userId, fields) {
+    const assignments = [];
+    const params = [];
+
+    for (const [field, value] of Object.entries(fields)) {
+      const column = USER_COLUMNS[field];
+      if (!column) {
+        throw new Error(`Unknown user field: ${field}`);
+      }
+      assignments.push(`${column} = ?`);
+      params.push(toColumnValue(value));
+    }
+
+    if (assignments.length === 0) return;
+
+    params.push(userId);
+    await this.db.run(`UPDATE users SET ${assignments.join(', ')} WHERE id = ?`, params);
+  }
+
+  // twoFactor.secret is stored as given (sealed by UserService)
+  async saveTwoFactor(userId, twoFactor) {
+    await this.db.run(
+      `UPDATE users SET
+        two_factor_enabled = ?,
+        two_factor_secret = ?,
+        two_factor_backup_codes = ?
+      WHERE id = ?`,
+      [
+        toColumnValue(twoFactor.enabled),
+        twoFactor.secret,
+        JSON.stringify(twoFactor.backupCodes || []),
+        userId
+      ]
+    );
+  }
+
+  // Swap the backup codes only if nobody changed them since `previous` was
+  // read, so a code can't be spent twice by concurrent requests
+  async replaceBackupCodes(userId, previous, next) {
+    const result = await this.db.run(
+      'UPDATE users SET two_factor_backup_codes = ? WHERE id = ? AND two_factor_backup_codes = ?',
+      [JSON.stringify(next), userId, JSON.stringify(previous)]
+    );
+    return !!result.changes;
+  }
+
+  // Record the time step of an accepted TOTP code. False when that step (or a
+  // later one) was already used: the code is being replayed.
+  async claimTotpStep(userId, step) {
+    const result = await this.db.run(
+      `UPDATE users SET two_factor_last_totp_step = ?
+      WHERE id = ? AND (two_factor_last_totp_step IS NULL OR two_factor_last_totp_step < ?)`,
+      [step, userId, step]
+    );
+    return !!result.changes;
+  }
+
+  // Users stored before the username registry: [{ id, username }]
+  async listUsersWithoutUsernameKey() {
+    return this.db.all('SELECT id, username FROM users WHERE username_key IS NULL ORDER BY created_at');
+  }
+
+  // Ids of the users that have a TOTP secret or backup codes stored
+  async listTwoFactorUserIds() {
+    const rows = await this.db.all(
+      `SELECT id FROM users WHERE two_factor_secret IS NOT NULL OR two_factor_backup_codes != '[]'`
+    );
+    return rows.map(row => row.id);
+  }
+
+  async delete(userId) {
+    // provider_links and user_emails rows go with it (ON DELETE CASCADE)
+    await this.db.run('DELETE FROM users WHERE id = ?', [userId]);
+  }
+
+  // ===== EMAIL ADDRESSES =====
+
+  hydrateEmail(row) {
+    return {
+      email: row.email,
+      userId: row.user_id,
+      verified: !!row.verified,
+      verifiedAt: toDate(row.verified_at),
+      source: row.source,
+      createdAt: toDate(row.created_at)
+    };
+  }
+
+  async listEmails(userId) {
+    const rows = await this.db.all('SELECT * FROM user_emails WHERE user_id = ? ORDER BY created_at', [userId]);
+    return rows.map(row => this.hydrateEmail(row));
+  }
+
+  async findEmail(email) {
+    const row = await this.db.get('SELECT * FROM user_emails WHERE email = ?', [email.toLowerCase()]);
+    return row ? this.hydrateEmail(row) : null;
+  }
+
+  // Fails on the primary key when another account holds the address
+  async addEmail(userId, email, { verified = false, source }) {
+    const now = new Date();
+    await this.db.run(
+      `INSERT INTO user_emails (email, user_id, verified, verified_at, source, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [email.toLowerCase(), userId, toColumnValue(verified), verified ? toColumnValue(now) : null, source, toColumnValue(now)]
+    );
+  }
+
+  async markEmailVerified(userId, email) {
+    await this.db.run(
+      'UPDATE user_emails SET verified = 1, verified_at = ? WHERE user_id = ? AND email = ? AND verified = 0',
+      [toColumnValue(new Date()), userId, email.toLowerCase()]
+    );
+  }
+
+  async deleteEmail(userId, email) {
+    const result = await this.db.run(
+      'DELETE FROM user_emails WHERE user_id = ? AND email = ?',
+      [userId, email.toLowerCase()]
+    );
+    return !!result.changes;
+  }
+
+  // Drop an unverified, non-primary address added before `addedBefore`, so an
+  // address nobody confirmed can't be held against its real owner
+  async releaseUnverifiedEmail(email, addedBefore) {
+    await this.db.run(
+      `DELETE FROM user_emails WHERE email = ? AND verified = 0 AND created_at < ?
+        AND NOT EXISTS (SELECT 1 FROM users WHERE users.email = user_emails.email)`,
+      [email.toLowerCase(), toColumnValue(addedBefore)]
+    );
+  }
+
+  // ===== PROVIDER LINKS =====
+
+  async findUserIdByProvider(provider, providerId) {
+    const row = await this.db.get(
+      'SELECT user_id FROM provider_links WHERE provider = ? AND provider_id = ?',
+      [provider, providerId]
+    );
+    return row ? row.user_id : null;
+  }
+
+  async saveProvider(userId, provider, data) {
+    await this.db.run(
+      `INSERT INTO provider_links (user_id, provider, provider_id, username, email, avatar, linked_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, provider) DO UPDATE SET
+        provider_id = excluded.provider_id,
+        username = excluded.username,
+        email = excluded.email,
+        avatar = excluded.avatar,
+        linked_at = excluded.linked_at`,
+      [
+        userId,
+        provider,
+        data.providerId,
+        toColumnValue(data.username),
+        toColumnValue(data.email),
+        toColumnValue(data.avatar),
+        toColumnValue(data.linkedAt)
+      ]
+    );
+  }
+
+  async deleteProvider(userId, provider) {
+    await this.db.run(
+      'DELETE FROM provider_links WHERE user_id = ? AND provider = ?',
+      [userId, provider]
+    );
+  }
+}
+
+module.exports = UserStore;
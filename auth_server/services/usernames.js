@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const AuthError = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 20;
+
+// Letters (with their combining marks) and digits, with single _ or -
+// between them
+const ALLOWED = /^[\p{L}\p{N}][\p{L}\p{M}\p{N}]*(?:[_-][\p{L}\p{N}][\p{L}\p{M}\p{N}]*)*$/u;
+
+// The letters of a name come from one script, so that "аdmin" with a
+// Cyrillic "а" can't pose as "admin". Scripts are the ones recommended for
+// identifiers (UTS #31); Japanese, Chinese and Korean mix Han with their own
+// scripts (and Latin), as UTS #39 allows.
+const SCRIPTS = [
+  'Latin', 'Greek', 'Cyrillic', 'Armenian', 'Georgian', 'Hebrew', 'Arabic', 'Thaana',
+  'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Oriya', 'Tamil', 'Telugu', 'Kannada',
+  'Malayalam', 'Sinhala', 'Thai', 'Lao', 'Tibetan', 'Myanmar', 'Khmer', 'Ethiopic',
+  'Mongolian', 'Hangul', 'Hiragana', 'Katakana', 'Bopomofo', 'Han'
+];
+const SCRIPT_SETS = [
+  ...SCRIPTS.map(script => [script]),
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul']
+];
+// Script_Extensions, so that e.g. the Japanese "ー" counts for Hiragana and Katakana
+const SCRIPT_PATTERNS = new Map(SCRIPTS.map(script => [script, new RegExp(`\\p{Script_Extensions=${script}}`, 'u')]));
+
+function isSingleScript(name) {
+  const letters = [...name].filter(char => /\p{L}/u.test(char))
+    .map(char => SCRIPTS.filter(script => SCRIPT_PATTERNS.get(script).test(char)));
+  return SCRIPT_SETS.some(set => letters.every(scripts => scripts.some(script => set.includes(script))));
+}
+
+// Letters of other scripts that look like Latin ones (from the Unicode
+// confusables list, UTS #39), for comparing names with the reserved ones
+const CONFUSABLES = new Map(Object.entries({
+  а: 'a', в: 'b', с: 'c', ԁ: 'd', е: 'e', һ: 'h', і: 'i', ј: 'j', к: 'k', ӏ: 'l', м: 'm',
+  о: 'o', р: 'p', ԛ: 'q', ѕ: 's', т: 't', у: 'y', ԝ: 'w', х: 'x',
+  α: 'a', β: 'b', ε: 'e', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x'
+}));
+
+// Names that could pass for the service or its staff, or clash with routes.
+// Compared on their skeleton: the key without _, -, accents and with the
+// confusables above mapped, so "ad-min", "admín" and "аdmin" are reserved too.
+const RESERVED = [
+  'admin', 'administrator', 'root', 'system', 'sysadmin', 'superuser', 'moderator', 'mod',
+  'staff', 'support', 'help', 'helpdesk', 'security', 'official', 'team', 'owner',
+  'auth', 'api', 'oauth', 'oidc', 'login', 'logout', 'register', 'signup', 'signin',
+  'settings', 'account', 'profile', 'me', 'user', 'users', 'null', 'undefined',
+  'anonymous', 'guest', 'deleted', 'everyone', 'here', 'transcendence', 'pong'
+];
+
+// How the registry tells usernames apart: Unicode-normalised (NFKC) and case
+// folded, so "Ｊａｎｅ", "JANE" and "jane" are the same name
+function usernameKey(username) {
+  return String(username).normalize('NFKC').toUpperCase().toLowerCase().normalize('NFKC');
+}
+
+// What a name looks like, for comparing it with the reserved names
+function skeleton(username) {
+  return [...usernameKey(username).normalize('NFD').replace(/[\p{M}_-]/gu, '')]
+    .map(char => CONFUSABLES.get(char) || char)
+    .join('');
+}
+
+// Usernames are unique on their key (users.username_key, a unique index),
+// follow the allowed-character rules, avoid reserved names and can be changed
+// once per cooldown. Previous names are kept in username_history so old match
+// records and profile links still resolve; another account can only take a
+// previous name once the cooldown has passed.
+class UsernameRegistry {
+  constructor(db, options = UsernameRegistry.optionsFromEnv()) {
+    this.db = db;
+    this.cooldownMs = options.cooldownDays * DAY;
+    this.reserved = new Set([...RESERVED, ...options.reserved].map(skeleton));
+  }
+
+  static optionsFromEnv(env = process.env) {
+    return {
+      cooldownDays: Number(env.USERNAME_CHANGE_COOLDOWN_DAYS || 30),
+      reserved: (env.RESERVED_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean)
+    };
+  }
+
+  key(username) {
+    return usernameKey(username);
+  }
+
+  isReserved(username) {
+    return this.reserved.has(skeleton(username));
+  }
+
+  // The form to store (NFKC, trimmed); throws AUTH_USERNAME_INVALID or
+  // AUTH_USERNAME_RESERVED. Names stored before these rules are left alone
+  // until their owner changes them.
+  validate(username) {
+    const name = String(username).normalize('NFKC').trim();
+    const length = [...name].length;
+    if (length < MIN_LENGTH || length > MAX_LENGTH || !ALLOWED.test(name) || !isSingleScript(name)) {
+      throw new AuthError('AUTH_USERNAME_INVALID', null, { minLength: MIN_LENGTH, maxLength: MAX_LENGTH });
+    }
+    if (this.isReserved(name)) {
+      throw new AuthError('AUTH_USERNAME_RESERVED');
+    }
+    return name;
+  }
+
+  // Taken when another account uses the name, or gave it up less than a
+  // cooldown ago
+  async isTaken(username, exceptUserId = null) {
+    const key = usernameKey(username);
+    const current = await this.db.get(
+      'SELECT 1 AS found FROM users WHERE username_key = ? AND id IS NOT ?',
+      [key, exceptUserId]
+    );
+    if (current) {
+      return true;
+    }
+
+    const held = await this.db.get(
+      'SELECT 1 AS found FROM username_history WHERE username_key = ? AND user_id IS NOT ? AND changed_at > ?',
+      [key, exceptUserId, new Date(Date.now() - this.cooldownMs).toISOString()]
+    );
+    return !!held;
+  }
+
+  // When `user` may pick a new name (null: now)
+  nextChangeAt(user) {
+    if (!user.usernameChangedAt) return null;
+    const next = new Date(user.usernameChangedAt.getTime() + this.cooldownMs);
+    return next > new Date() ? next : null;
+  }
+
+  // The account behind a name: its current owner, or else the last account
+  // that used it. { userId, current, username } (the name as it was stored)
+  async resolve(username) {
+    const key = usernameKey(username);
+    const current = await this.db.get('SELECT id, username FROM users WHERE username_key = ?', [key]);
+    if (current) {
+      return { userId: current.id, current: true, username: current.username };
+    }
+
+    const previous = await this.db.get(
+      'SELECT user_id, username FROM username_history WHERE username_key = ? ORDER BY changed_at DESC LIMIT 1',
+      [key]
+    );
+    return previous ? { userId: previous.user_id, current: false, username: previous.username } : null;
+  }
+
+  // Record the name a user just gave up
+  async recordChange(userId, previousUsername, changedAt = new Date()) {
+    await this.db.run(
+      'INSERT INTO username_history (id, user_id, username, username_key, changed_at) VALUES (?, ?, ?, ?, ?)',
+      [crypto.randomUUID(), userId, previousUsername, usernameKey(previousUsername), changedAt.toISOString()]
+    );
+  }
+
+  // Previous names of a user, newest first
+  async history(userId) {
+    const rows = await this.db.all(
+      'SELECT username, changed_at FROM username_history WHERE user_id = ? ORDER BY changed_at DESC',
+      [userId]
+    );
+    return rows.map(row => ({ username: row.username, changedAt: new Date(row.changed_at) }));
+  }
+}
+
+module.exports = UsernameRegistry;
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const AuthError = require('./errors');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Passkeys (WebAuthn credentials). A user can register several; they work as a
+// second factor after a password/OAuth login or on their own (passwordless).
+class WebAuthnService {
+  constructor(db) {
+    this.db = db;
+    this.rpName = process.env.WEBAUTHN_RP_NAME || 'Transcendence';
+    this.rpId = process.env.WEBAUTHN_RP_ID || 'localhost';
+    this.origins = (process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'https://localhost:8443')
+      .split(',')
+      .map(origin => origin.trim());
+  }
+
+  // ===== CHALLENGES =====
+
+  // Challenges live server-side and can be consumed once
+  async saveChallenge(challenge, type, userId = null) {
+    const challengeId = crypto.randomUUID();
+    const now = new Date();
+
+    await this.db.run(
+      `INSERT INTO webauthn_challenges (id, user_id, type, challenge, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [challengeId, userId, type, challenge, now.toISOString(), new Date(now.getTime() + CHALLENGE_TTL_MS).toISOString()]
+    );
+
+    return challengeId;
+  }
+
+  // Single use: of two concurrent requests with the same challenge, only the
+  // one whose DELETE removed the row gets it
+  async consumeChallenge(challengeId, type) {
+    const row = await this.db.get(
+      'SELECT * FROM webauthn_challenges WHERE id = ? AND type = ?',
+      [challengeId, type]
+    );
+    if (!row) {
+      throw new AuthError('AUTH_PASSKEY_CHALLENGE_INVALID');
+    }
+
+    const result = await this.db.run('DELETE FROM webauthn_challenges WHERE id = ? AND type = ?', [challengeId, type]);
+    if (result.changes !== 1) {
+      throw new AuthError('AUTH_PASSKEY_CHALLENGE_INVALID');
+    }
+
+    if (new Date(row.expires_at) <= new Date()) {
+      throw new AuthError('AUTH_PASSKEY_CHALLENGE_INVALID');
+    }
+
+    return { challenge: row.challenge, userId: row.user_id };
+  }
+
+  // ===== CREDENTIALS =====
+
+  toCredential(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      publicKey: isoBase64URL.toBuffer(row.public_key),
+      counter: row.counter,
+      transports: JSON.parse(row.transports || '[]'),
+      name: row.name,
+      deviceType: row.device_type,
+      backedUp: !!row.backed_up,
+      createdAt: new Date(row.created_at),
+      lastUsedAt: row.last_used_at ? new Date(row.last_used_at) : null
+    };
+  }
+
+  async getCredentials(userId) {
+    const rows = await this.db.all(
+      'SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at',
+      [userId]
+    );
+    return rows.map(row => this.toCredential(row));
+  }
+
+  async getCredential(credentialId) {
+    const row = await this.db.get('SELECT * FROM webauthn_credentials WHERE id = ?', [credentialId]);
+    return row ? this.toCredential(row) : null;
+  }
+
+  // Public view of a user's passkeys
+  async listCredentials(userId) {
+    const credentials = await this.getCredentials(userId);
+    return credentials.map(credential => ({
+      id: credential.id,
+      name: credential.name,
+      deviceType: credential.deviceType,
+      backedUp: credential.backedUp,
+      createdAt: credential.createdAt,
+      lastUsedAt: credential.lastUsedAt
+    }));
+  }
+
+  async removeCredential(userId, credentialId) {
+    const result = await this.db.run(
+      'DELETE FROM webauthn_credentials WHERE id = ? AND user_id = ?',
+      [credentialId, userId]
+    );
+    if (!result.changes) {
+      throw new AuthError('AUTH_PASSKEY_NOT_FOUND');
+    }
+    return { removed: true };
+  }
+
+  async removeAllCredentials(userId) {
+    const result = await this.db.run('DELETE FROM webauthn_credentials WHERE user_id = ?', [userId]);
+    return { removed: result.changes };
+  }
+
+  // ===== REGISTRATION CEREMONY =====
+
+  async generateRegistrationOptions(user) {
+    const existing = await this.getCredentials(user.id);
+
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpId,
+      userID: isoUint8Array.fromUTF8String(user.id),
+      userName: user.email,
+      userDisplayName: user.username,
+      attestationType: 'none',
+      excludeCredentials: existing.map(credential => ({
+        id: credential.id,
+        transports: credential.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred', // Discoverable credentials enable passwordless login
+        userVerification: 'preferred'
+      }
+    });
+
+    const challengeId = await this.saveChallenge(options.challenge, 'registration', user.id);
+
+    return { challengeId, options };
+  }
+
+  async verifyRegistration(userId, challengeId, response, name) {
+    const pending = await this.consumeChallenge(challengeId, 'registration');
+    if (pending.userId !== userId) {
+      throw new AuthError('AUTH_PASSKEY_CHALLENGE_INVALID');
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: response,
+        expectedChallenge: pending.challenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpId,
+        requireUserVerification: false
+      });
+    } catch (error) {
+      throw new AuthError('AUTH_PASSKEY_REGISTRATION_FAILED');
+    }
+
+    if (!verification.verified || !verification.registrationInfo) {
+      throw new AuthError('AUTH_PASSKEY_REGISTRATION_FAILED');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    if (await this.getCredential(credential.id)) {
+      throw new AuthError('AUTH_PASSKEY_ALREADY_REGISTERED');
+    }
+
+    await this.db.run(
+      `INSERT INTO webauthn_credentials (
+        id, user_id, public_key, counter, transports, name, device_type, backed_up, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        credential.id,
+        userId,
+        isoBase64URL.fromBuffer(credential.publicKey),
+        credential.counter,
+        JSON.stringify(credential.transports || response.response?.transports || []),
+        name || 'Passkey',
+        credentialDeviceType,
+        credentialBackedUp ? 1 : 0,
+        new Date().toISOString()
+      ]
+    );
+
+    return { id: credential.id, name: name || 'Passkey' };
+  }
+
+  // ===== AUTHENTICATION CEREMONY =====
+
+  // With a userId the allowed credentials are restricted to that user (second
+  // factor, or passwordless with a known email). Without one the browser offers
+  // any discoverable passkey for this site.
+  async generateAuthenticationOptions(userId = null, { passwordless = false } = {}) {
+    let allowCredentials;
+    if (userId) {
+      const credentials = await this.getCredentials(userId);
+      if (credentials.length === 0) {
+        throw new AuthError('AUTH_NO_PASSKEYS');
+      }
+      allowCredentials = credentials.map(credential => ({
+        id: credential.id,
+        transports: credential.transports
+      }));
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpId,
+      allowCredentials: allowCredentials,
+      // A passkey used alone must prove the user is present *and* verified
+      userVerification: passwordless ? 'required' : 'preferred'
+    });
+
+    const type = passwordless ? 'passwordless' : 'second_factor';
+    const challengeId = await this.saveChallenge(options.challenge, type, userId);
+
+    return { challengeId, options };
+  }
+
+  // Verify an assertion; returns the id of the user that owns the passkey
+  async verifyAuthentication(challengeId, response, { passwordless = false, expectedUserId = null } = {}) {
+    const type = passwordless ? 'passwordless' : 'second_factor';
+    const pending = await this.consumeChallenge(challengeId, type);
+
+    const credential = response && response.id ? await this.getCredential(response.id) : null;
+    if (!credential) {
+      throw new AuthError('AUTH_PASSKEY_INVALID', 'Unknown passkey');
+    }
+
+    if ((pending.userId && pending.userId !== credential.userId) ||
+        (expectedUserId && expectedUserId !== credential.userId)) {
+      throw new AuthError('AUTH_PASSKEY_INVALID', 'Passkey does not belong to this account');
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response: response,
+        expectedChallenge: pending.challenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpId,
+        credential: {
+          id: credential.id,
+          publicKey: credential.publicKey,
+          counter: credential.counter,
+          transports: credential.transports
+        },
+        requireUserVerification: passwordless
+      });
+    } catch (error) {
+      throw new AuthError('AUTH_PASSKEY_INVALID');
+    }
+
+    if (!verification.verified) {
+      throw new AuthError('AUTH_PASSKEY_INVALID');
+    }
+
+    await this.db.run(
+      'UPDATE webauthn_credentials SET counter = ?, last_used_at = ? WHERE id = ?',
+      [verification.authenticationInfo.newCounter, new Date().toISOString(), credential.id]
+    );
+
+    return { userId: credential.userId, credentialId: credential.id };
+  }
+}
+
+module.exports = WebAuthnService;
@@ -0,0 +1,255 @@
+'use strict'
+
+// This file contains code that we reuse between our tests.
+
+const fs = require('node:fs')
+const net = require('node:net')
+const os = require('node:os')
+const path = require('node:path')
+const assert = require('node:assert')
+const initSqlJs = require('sql.js')
+const speakeasy = require('speakeasy')
+const { build: buildApplication } = require('fastify-cli/helper')
+const Database = require('../services/database')
+const Encryptor = require('../services/encryption')
+
+const AppPath = path.join(__dirname, '..', 'app.js')
+
+const PASSWORD = 'Tangerine-Lamp-42'
+
+// Statements the SQLite service refuses (see SQLite/server.js)
+const DENIED = ['attach ', 'vacuum', 'pragma ', 'begin ', 'commit', 'rollback']
+const WRITE = /^(insert|update|delete|replace|create|drop|alter)/i
+
+// The Database client, answering like the SQLite service from an in-memory
+// database instead of over HTTP: rows for reads, { changes, lastInsertRowid }
+// for writes, and the service's error messages
+class MemoryDatabase extends Database {
+  constructor(sqlite) {
+    super({ url: 'memory://' })
+    this.sqlite = sqlite
+  }
+
+  static async create() {
+    const SQL = await initSqlJs()
+    const sqlite = new SQL.Database()
+    sqlite.exec('PRAGMA foreign_keys = ON')
+    return new MemoryDatabase(sqlite)
+  }
+
+  async query(sql, params = []) {
+    if (DENIED.some(keyword => sql.toLowerCase().includes(keyword))) {
+      throw new Error('Database query failed: statement not allowed')
+    }
+
+    // Parameters travel as JSON to the service
+    params = JSON.parse(JSON.stringify(params))
+
+    try {
+      if (WRITE.test(sql.trim())) {
+        this.sqlite.run(sql, params)
+        const [{ id }] = this.rows('SELECT last_insert_rowid() AS id')
+        return { changes: this.sqlite.getRowsModified(), lastInsertRowid: id }
+      }
+      return this.rows(sql, params)
+    } catch (error) {
+      throw new Error(`Database query failed: sqlite error: ${error.message}`)
+    }
+  }
+
+  rows(sql, params = []) {
+    const statement = this.sqlite.prepare(sql, params)
+    try {
+      const rows = []
+      while (statement.step()) {
+        rows.push(statement.getAsObject())
+      }
+      return rows
+    } finally {
+      statement.free()
+    }
+  }
+}
+
+// A port nothing listens on yet (the mock OAuth provider is called over HTTP,
+// so its URL has to be known before the app is built)
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.unref()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+function config(db) {
+  return { db: db }
+}
+
+// automatically build and tear down our instance, listening on 127.0.0.1
+// with the mock OAuth provider, an in-memory database (pass `db` to look
+// at it from the test) and a file mail outbox
+async function build(t, { db } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-server-test-'))
+  const port = await freePort()
+
+  process.env.JWT_KEYS_DIR = path.join(tmpDir, 'keys')
+  process.env.MAIL_TRANSPORT = 'file'
+  process.env.MAIL_FILE_DIR = path.join(tmpDir, 'outbox')
+  process.env.MOCK_OAUTH_ENABLED = 'true'
+  process.env.MOCK_OAUTH_URL = `http://127.0.0.1:${port}/auth/mock-oauth`
+  process.env.TOTP_SECRET_KEY = process.env.TOTP_SECRET_KEY || Encryptor.generateKey()
+  process.env.TOKEN_VAULT_KEY = process.env.TOKEN_VAULT_KEY || Encryptor.generateKey()
+
+  const argv = ['--options', AppPath]
+  const app = await buildApplication(argv, config(db || await MemoryDatabase.create()))
+  await app.listen({ port: port, host: '127.0.0.1' })
+
+  t.after(async () => {
+    await app.close()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  return app
+}
+
+// Mail sent so far, oldest first
+function outbox() {
+  const dir = process.env.MAIL_FILE_DIR
+  if (!fs.existsSync(dir)) {
+    return []
+  }
+  return fs.readdirSync(dir).sort().map(file => JSON.parse(fs.readFileSync(path.join(dir, file))))
+}
+
+// The link (or token) in the last mail sent to `to` with `param`
+function mailedToken(to, param) {
+  const mail = outbox().reverse().find(message => message.to === to && message.text.includes(`${param}=`))
+  assert.ok(mail, `no mail to ${to} with ${param}`)
+  return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get(param)
+}
+
+function bearer(token) {
+  return { authorization: `Bearer ${token}` }
+}
+
+// A password account with a verified address: { user, token, refreshToken }
+async function registerVerified(app, name, email = `${name}@example.com`) {
+  const registered = await app.inject({
+    method: 'POST',
+    url: '/auth/register',
+    payload: { email: email, password: PASSWORD, username: name }
+  })
+  assert.strictEqual(registered.statusCode, 200)
+
+  const verified = await app.inject({
+    method: 'POST',
+    url: '/auth/verify-email',
+    payload: { token: mailedToken(email, 'verifyEmail') }
+  })
+  assert.strictEqual(verified.statusCode, 200)
+
+  const { user, token, refreshToken } = registered.json()
+  return { user: verified.json().user, token, refreshToken }
+}
+
+// Headers for a sensitive action: the access token and a fresh reauth token
+// (the password by default)
+async function reauthHeaders(app, token, payload = { password: PASSWORD }) {
+  const res = await app.inject({ method: 'POST', url: '/auth/reauth', headers: bearer(token), payload: payload })
+  assert.strictEqual(res.statusCode, 200)
+  return { ...bearer(token), 'x-reauth-token': res.json().reauthToken }
+}
+
+// Turn on TOTP for the account: { secret, backupCodes }
+async function enableTotp(app, token) {
+  const setup = await app.inject({ method: 'POST', url: '/auth/2fa/setup', headers: bearer(token), payload: {} })
+  assert.strictEqual(setup.statusCode, 200)
+  const { secret } = setup.json()
+
+  const enabled = await app.inject({
+    method: 'POST',
+    url: '/auth/2fa/verify-setup',
+    headers: bearer(token),
+    payload: { token: speakeasy.totp({ secret: secret, encoding: 'base32' }) }
+  })
+  assert.strictEqual(enabled.statusCode, 200)
+  return { secret, backupCodes: enabled.json().backupCodes }
+}
+
+// inject() with the cookies a browser would keep between requests
+function browser(app) {
+  const jar = {}
+
+  return async function request(opts) {
+    const response = await app.inject({ ...opts, cookies: { ...jar, ...opts.cookies } })
+    for (const cookie of response.cookies) {
+      if (cookie.value && cookie.maxAge !== 0 && !(cookie.expires && cookie.expires <= new Date())) {
+        jar[cookie.name] = cookie.value
+      } else {
+        delete jar[cookie.name]
+      }
+    }
+    return response
+  }
+}
+
+// Path and query of an absolute URL, for inject()
+function local(url) {
+  const parsed = new URL(url)
+  return parsed.pathname + parsed.search
+}
+
+// Follow the browser from the provider's authorization URL back to the
+// frontend, signed in at the mock provider as `identity`, then exchange the
+// one-time code like the frontend does
+async function completeOAuth(request, authUrl, identity) {
+  const url = new URL(authUrl)
+  for (const [key, value] of Object.entries(identity)) {
+    url.searchParams.set(key, value)
+  }
+
+  const authorized = await request({ url: local(url) })
+  assert.strictEqual(authorized.statusCode, 302)
+
+  const callback = await request({ url: local(authorized.headers.location) })
+  assert.strictEqual(callback.statusCode, 302)
+  const frontend = new URL(callback.headers.location)
+  assert.strictEqual(frontend.searchParams.get('error'), null)
+
+  const exchange = await request({
+    method: 'POST',
+    url: '/auth/oauth/exchange',
+    payload: { code: frontend.searchParams.get('oauthCode') }
+  })
+  assert.strictEqual(exchange.statusCode, 200)
+  return exchange.json()
+}
+
+// Sign in with the mock provider from a fresh browser
+async function oauthLogin(app, identity) {
+  const request = browser(app)
+  const start = await request({ url: '/auth/oauth/mock' })
+  assert.strictEqual(start.statusCode, 302)
+  return completeOAuth(request, start.headers.location, identity)
+}
+
+module.exports = {
+  PASSWORD,
+  config,
+  build,
+  outbox,
+  mailedToken,
+  bearer,
+  registerVerified,
+  reauthHeaders,
+  enableTotp,
+  browser,
+  local,
+  completeOAuth,
+  oauthLogin,
+  MemoryDatabase
+}
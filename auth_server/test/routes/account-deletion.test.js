@@ -0,0 +1,101 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build, bearer, mailedToken, registerVerified, reauthHeaders, oauthLogin, MemoryDatabase, PASSWORD } = require('../helper')
+
+function scheduleDeletion(app, headers) {
+  return app.inject({ method: 'POST', url: '/auth/account/delete', headers: headers, payload: {} })
+}
+
+function cancel(app, payload) {
+  return app.inject({ method: 'POST', url: '/auth/account/delete/cancel', payload: payload })
+}
+
+function login(app, email) {
+  return app.inject({ method: 'POST', url: '/auth/login', payload: { email, password: PASSWORD } })
+}
+
+test('deleting the account signs it out until the deletion is cancelled', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'oscar')
+
+  const res = await scheduleDeletion(app, await reauthHeaders(app, token))
+  assert.strictEqual(res.statusCode, 200)
+  assert.ok(res.json().scheduledFor)
+
+  const me = await app.inject({ url: '/auth/me', headers: bearer(token) })
+  assert.strictEqual(me.statusCode, 401)
+
+  const wrong = await cancel(app, { email: user.email, password: 'not-the-password' })
+  assert.strictEqual(wrong.json().code, 'AUTH_INVALID_CREDENTIALS')
+
+  const cancelled = await cancel(app, { email: user.email, password: PASSWORD })
+  assert.strictEqual(cancelled.statusCode, 200)
+  assert.strictEqual((await login(app, user.email)).statusCode, 200)
+
+  // The link of that deletion no longer does anything
+  const link = await cancel(app, { token: mailedToken(user.email, 'cancelDeletion') })
+  assert.strictEqual(link.json().code, 'AUTH_CANCEL_TOKEN_INVALID')
+})
+
+test('an account without a password cancels with the mailed link', async (t) => {
+  const app = await build(t)
+  const identity = { mock_user: 'mock-6', mock_username: 'peggy', mock_email: 'peggy@mock.example' }
+  const { linkToken } = await oauthLogin(app, identity)
+  const signup = await app.inject({ method: 'POST', url: '/auth/oauth/signup', payload: { linkToken } })
+  const { user, token } = signup.json()
+
+  // A session that just started counts as a recent sign-in
+  const res = await scheduleDeletion(app, await reauthHeaders(app, token, {}))
+  assert.strictEqual(res.statusCode, 200)
+
+  const withEmail = await cancel(app, { email: user.email })
+  assert.strictEqual(withEmail.json().code, 'AUTH_NO_PASSWORD')
+
+  const cancelled = await cancel(app, { token: mailedToken(user.email, 'cancelDeletion') })
+  assert.strictEqual(cancelled.statusCode, 200)
+
+  const signedIn = await oauthLogin(app, identity)
+  assert.strictEqual(signedIn.user.id, user.id)
+  assert.ok(signedIn.token)
+})
+
+test('a cancel request takes the link or credentials, not both', async (t) => {
+  const app = await build(t)
+
+  const res = await cancel(app, { token: 'abc', email: 'quentin@example.com', password: PASSWORD })
+  assert.strictEqual(res.statusCode, 400)
+  assert.strictEqual(res.json().code, 'VALIDATION_FAILED')
+})
+
+test('cancelling a deletion does not undo a moderator deactivation', async (t) => {
+  const db = await MemoryDatabase.create()
+  const app = await build(t, { db })
+  const { user, token } = await registerVerified(app, 'wanda')
+  const { user: admin, token: adminToken } = await registerVerified(app, 'xavier')
+  await db.run("UPDATE users SET role = 'admin' WHERE id = ?", [admin.id])
+
+  await scheduleDeletion(app, await reauthHeaders(app, token))
+  const deactivated = await app.inject({
+    method: 'POST',
+    url: `/auth/admin/users/${user.id}/deactivate`,
+    headers: bearer(adminToken),
+    payload: { reason: 'abuse' }
+  })
+  assert.strictEqual(deactivated.statusCode, 200)
+
+  const cancelled = await cancel(app, { email: user.email, password: PASSWORD })
+  assert.strictEqual(cancelled.statusCode, 200)
+  assert.match(cancelled.json().message, /remains deactivated/)
+  assert.strictEqual((await login(app, user.email)).json().code, 'AUTH_INVALID_CREDENTIALS')
+
+  const reactivated = await app.inject({
+    method: 'POST',
+    url: `/auth/admin/users/${user.id}/reactivate`,
+    headers: bearer(adminToken),
+    payload: {}
+  })
+  assert.strictEqual(reactivated.statusCode, 200)
+  assert.strictEqual((await login(app, user.email)).statusCode, 200)
+})
@@ -0,0 +1,21 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build, bearer, registerVerified } = require('../helper')
+
+test('the export is a JSON download of the account', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'yusuf')
+
+  const res = await app.inject({ url: '/auth/account/export', headers: bearer(token) })
+  assert.strictEqual(res.statusCode, 200)
+  assert.match(res.headers['content-disposition'], /^attachment; filename="account-export-/)
+  const archive = res.json()
+  assert.strictEqual(archive.profile.email, user.email)
+  assert.deepStrictEqual(archive.emails.map(address => address.email), [user.email])
+  assert.strictEqual(archive.sessions.length, 1)
+
+  const query = await app.inject({ url: '/auth/account/export?format=csv', headers: bearer(token) })
+  assert.strictEqual(query.statusCode, 400)
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build, bearer, mailedToken, registerVerified, reauthHeaders } = require('../helper')
+
+function updateEmail(app, headers, email) {
+  return app.inject({ method: 'PUT', url: '/auth/profile', headers: headers, payload: { email } })
+}
+
+async function emails(app, token) {
+  const res = await app.inject({ url: '/auth/emails', headers: bearer(token) })
+  return res.json().emails.map(address => [address.email, address.primary, address.verified])
+}
+
+function verify(app, token) {
+  return app.inject({ method: 'POST', url: '/auth/verify-email', payload: { token } })
+}
+
+test('changing the email needs a reauth token', async (t) => {
+  const app = await build(t)
+  const { token } = await registerVerified(app, 'ivan')
+
+  const res = await updateEmail(app, bearer(token), 'ivan@new.example')
+  assert.strictEqual(res.statusCode, 403)
+  assert.strictEqual(res.json().code, 'AUTH_REAUTH_REQUIRED')
+})
+
+test('a new address becomes primary only once verified', async (t) => {
+  const app = await build(t)
+  const { token } = await registerVerified(app, 'judy')
+  const headers = await reauthHeaders(app, token)
+
+  const res = await updateEmail(app, headers, 'Judy@New.example')
+  assert.strictEqual(res.statusCode, 200)
+  assert.strictEqual(res.json().pendingEmail, 'judy@new.example')
+  assert.strictEqual(res.json().user.email, 'judy@example.com')
+  assert.strictEqual(res.json().user.emailVerified, true)
+  assert.deepStrictEqual(await emails(app, token), [
+    ['judy@example.com', true, true],
+    ['judy@new.example', false, false]
+  ])
+
+  const verified = await verify(app, mailedToken('judy@new.example', 'verifyEmail'))
+  assert.strictEqual(verified.statusCode, 200)
+  assert.strictEqual(verified.json().user.email, 'judy@new.example')
+  assert.deepStrictEqual(await emails(app, token), [
+    ['judy@new.example', true, true],
+    ['judy@example.com', false, true]
+  ])
+
+  // Back to a verified address of the account: primary right away
+  const back = await updateEmail(app, headers, 'judy@example.com')
+  assert.strictEqual(back.json().user.email, 'judy@example.com')
+  assert.strictEqual(back.json().pendingEmail, undefined)
+})
+
+test('a plain verification link does not switch the primary address', async (t) => {
+  const app = await build(t)
+  const { token } = await registerVerified(app, 'kevin')
+  const headers = await reauthHeaders(app, token)
+
+  const added = await app.inject({ method: 'POST', url: '/auth/emails', headers: headers, payload: { email: 'kevin@other.example' } })
+  assert.strictEqual(added.statusCode, 201)
+
+  const early = await app.inject({ method: 'POST', url: '/auth/emails/primary', headers: headers, payload: { email: 'kevin@other.example' } })
+  assert.strictEqual(early.statusCode, 403)
+  assert.strictEqual(early.json().code, 'AUTH_EMAIL_NOT_VERIFIED')
+
+  const verified = await verify(app, mailedToken('kevin@other.example', 'verifyEmail'))
+  assert.strictEqual(verified.json().user.email, 'kevin@example.com')
+
+  const primary = await app.inject({ method: 'POST', url: '/auth/emails/primary', headers: headers, payload: { email: 'kevin@other.example' } })
+  assert.strictEqual(primary.statusCode, 200)
+  assert.strictEqual(primary.json().user.email, 'kevin@other.example')
+})
+
+test('an address held by another account is refused', async (t) => {
+  const app = await build(t)
+  await registerVerified(app, 'laura')
+  const { token } = await registerVerified(app, 'mallory')
+  const headers = await reauthHeaders(app, token)
+
+  const changed = await updateEmail(app, headers, 'laura@example.com')
+  assert.strictEqual(changed.statusCode, 409)
+  assert.strictEqual(changed.json().code, 'AUTH_EMAIL_IN_USE')
+
+  const added = await app.inject({ method: 'POST', url: '/auth/emails', headers: headers, payload: { email: 'LAURA@example.com' } })
+  assert.strictEqual(added.statusCode, 409)
+  assert.strictEqual(added.json().code, 'AUTH_EMAIL_IN_USE')
+
+  // A pending address of one account is held against the others too
+  await updateEmail(app, headers, 'shared@example.com')
+  const { token: other } = await registerVerified(app, 'nathan')
+  const taken = await updateEmail(app, await reauthHeaders(app, other), 'shared@example.com')
+  assert.strictEqual(taken.json().code, 'AUTH_EMAIL_IN_USE')
+})
@@ -0,0 +1,86 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build, registerVerified, enableTotp, MemoryDatabase, PASSWORD } = require('../helper')
+
+function login(app, email, password) {
+  return app.inject({ method: 'POST', url: '/auth/login', payload: { email, password } })
+}
+
+// Let the backoff delay pass without waiting for it
+function skipDelay(db) {
+  return db.run('UPDATE auth_attempts SET locked_until = NULL')
+}
+
+test('wrong passwords are slowed down, then the account is locked out', async (t) => {
+  const db = await MemoryDatabase.create()
+  const app = await build(t, { db })
+  const { user } = await registerVerified(app, 'dorian')
+
+  // 5 free failures, then a 1 second delay after the 6th
+  for (let attempt = 1; attempt <= 6; attempt++) {
+    assert.strictEqual((await login(app, user.email, 'wrong-password')).statusCode, 401)
+  }
+  const slowed = await login(app, user.email, PASSWORD)
+  assert.strictEqual(slowed.statusCode, 429)
+  assert.strictEqual(slowed.json().code, 'AUTH_TOO_MANY_ATTEMPTS')
+  assert.strictEqual(slowed.headers['retry-after'], '1')
+
+  // Locked for 15 minutes from the 10th failure, even with the right password
+  for (let attempt = 7; attempt <= 10; attempt++) {
+    await skipDelay(db)
+    assert.strictEqual((await login(app, user.email, 'wrong-password')).statusCode, 401)
+  }
+  const locked = await login(app, user.email, PASSWORD)
+  assert.strictEqual(locked.statusCode, 429)
+  assert.ok(Number(locked.headers['retry-after']) > 14 * 60)
+  assert.strictEqual(locked.json().retryAfter, Number(locked.headers['retry-after']))
+})
+
+test('a successful login clears the failures', async (t) => {
+  const db = await MemoryDatabase.create()
+  const app = await build(t, { db })
+  const { user } = await registerVerified(app, 'edith')
+
+  for (let round = 0; round < 2; round++) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.strictEqual((await login(app, user.email, 'wrong-password')).statusCode, 401)
+    }
+    assert.strictEqual((await login(app, user.email, PASSWORD)).statusCode, 200)
+  }
+})
+
+test('the lockout survives a restart', async (t) => {
+  const db = await MemoryDatabase.create()
+  const first = await build(t, { db })
+  const { user } = await registerVerified(first, 'felix')
+
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    await skipDelay(db)
+    await login(first, user.email, 'wrong-password')
+  }
+  await first.close()
+
+  const second = await build(t, { db })
+  assert.strictEqual((await login(second, user.email, PASSWORD)).statusCode, 429)
+})
+
+test('wrong 2FA codes are throttled, and so is the next valid one', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'gloria')
+  const { backupCodes } = await enableTotp(app, token)
+  const { tempToken } = (await login(app, user.email, PASSWORD)).json()
+
+  let res
+  for (let attempt = 0; attempt < 5; attempt++) {
+    res = await app.inject({ method: 'POST', url: '/auth/2fa/verify', payload: { tempToken, twoFactorCode: '000000' } })
+    if (res.statusCode === 429) break
+  }
+  assert.strictEqual(res.statusCode, 429)
+  assert.ok(Number(res.headers['retry-after']) > 0)
+
+  // Not even a valid code gets through
+  const valid = await app.inject({ method: 'POST', url: '/auth/2fa/verify', payload: { tempToken, twoFactorCode: backupCodes[0] } })
+  assert.strictEqual(valid.statusCode, 429)
+})
@@ -0,0 +1,61 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build } = require('../helper')
+
+function authorize(params) {
+  return '/auth/mock-oauth/authorize?' + new URLSearchParams({
+    client_id: 'mock-client',
+    response_type: 'code',
+    ...params
+  })
+}
+
+test('mock authorize redirects back with a code and the state', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: authorize({ redirect_uri: 'https://localhost:8443/auth/oauth/mock/callback', state: 'st' })
+  })
+
+  assert.strictEqual(res.statusCode, 302)
+  const location = new URL(res.headers.location)
+  assert.strictEqual(location.pathname, '/auth/oauth/mock/callback')
+  assert.strictEqual(location.searchParams.get('state'), 'st')
+  assert.ok(location.searchParams.get('code'))
+})
+
+test('mock authorize reports provider errors to the redirect URI', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({
+    url: authorize({ redirect_uri: 'https://localhost:8443/cb', state: 'st', mock_error: 'access_denied' })
+  })
+
+  assert.strictEqual(res.statusCode, 302)
+  const location = new URL(res.headers.location)
+  assert.strictEqual(location.searchParams.get('error'), 'access_denied')
+  assert.strictEqual(location.searchParams.get('code'), null)
+})
+
+test('mock authorize refuses a malformed redirect_uri', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({ url: authorize({ redirect_uri: 'not a url' }) })
+
+  assert.strictEqual(res.statusCode, 400)
+  assert.deepStrictEqual(res.json(), {
+    error: 'invalid_request',
+    error_description: 'redirect_uri is not a valid URL'
+  })
+})
+
+test('mock authorize refuses an unknown client', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({ url: authorize({ client_id: 'other', redirect_uri: 'https://localhost:8443/cb' }) })
+
+  assert.strictEqual(res.statusCode, 400)
+  assert.strictEqual(res.json().error, 'invalid_request')
+})
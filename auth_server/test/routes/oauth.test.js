@@ -0,0 +1,138 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build, browser, bearer, registerVerified, enableTotp, local, completeOAuth, oauthLogin } = require('../helper')
+
+// Link the mock provider to a signed-in account, as the browser does
+async function linkMock(app, token, identity) {
+  const request = browser(app)
+  const started = await request({ method: 'POST', url: '/auth/oauth/mock/link', headers: bearer(token), payload: {} })
+  assert.strictEqual(started.statusCode, 200)
+  return completeOAuth(request, started.json().url, identity)
+}
+
+test('a new provider identity signs up, then signs in', async (t) => {
+  const app = await build(t)
+  const identity = { mock_user: 'mock-1', mock_username: 'alice', mock_email: 'alice@mock.example' }
+
+  const first = await oauthLogin(app, identity)
+  assert.strictEqual(first.requiresSignup, true)
+  assert.strictEqual(first.token, undefined)
+
+  const signup = await app.inject({ method: 'POST', url: '/auth/oauth/signup', payload: { linkToken: first.linkToken } })
+  assert.strictEqual(signup.statusCode, 200)
+  const account = signup.json().user
+  assert.strictEqual(account.email, 'alice@mock.example')
+  assert.ok(account.providers.mock)
+
+  const second = await oauthLogin(app, identity)
+  assert.ok(second.token)
+  assert.strictEqual(second.user.id, account.id)
+
+  const me = await app.inject({ url: '/auth/me', headers: bearer(second.token) })
+  assert.strictEqual(me.statusCode, 200)
+})
+
+test('an address the provider did not verify is not used for the account', async (t) => {
+  const app = await build(t)
+
+  const first = await oauthLogin(app, { mock_user: 'mock-7', mock_email: 'victor@mock.example', mock_email_verified: 'false' })
+  assert.strictEqual(first.requiresSignup, true)
+
+  const signup = await app.inject({ method: 'POST', url: '/auth/oauth/signup', payload: { linkToken: first.linkToken } })
+  assert.strictEqual(signup.statusCode, 400)
+  assert.strictEqual(signup.json().code, 'AUTH_PROVIDER_EMAIL_MISSING')
+})
+
+test('the one-time code only works once, in the browser that got it', async (t) => {
+  const app = await build(t)
+  const request = browser(app)
+
+  const start = await request({ url: '/auth/oauth/mock' })
+  const url = new URL(start.headers.location)
+  url.searchParams.set('mock_user', 'mock-2')
+  const authorized = await request({ url: local(url) })
+  const callback = await request({ url: local(authorized.headers.location) })
+  const code = new URL(callback.headers.location).searchParams.get('oauthCode')
+
+  const elsewhere = await app.inject({ method: 'POST', url: '/auth/oauth/exchange', payload: { code } })
+  assert.strictEqual(elsewhere.statusCode, 400)
+  assert.strictEqual(elsewhere.json().code, 'AUTH_LOGIN_CODE_INVALID')
+
+  const exchanged = await request({ method: 'POST', url: '/auth/oauth/exchange', payload: { code } })
+  assert.strictEqual(exchanged.statusCode, 200)
+  assert.strictEqual(exchanged.json().requiresSignup, true)
+
+  const replayed = await request({ method: 'POST', url: '/auth/oauth/exchange', payload: { code } })
+  assert.strictEqual(replayed.statusCode, 400)
+})
+
+test('a signed-in user links the provider and can then sign in with it', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'bob')
+  const identity = { mock_user: 'mock-3', mock_username: 'bob-mock' }
+
+  const linked = await linkMock(app, token, identity)
+  assert.strictEqual(linked.linked, 'mock')
+  assert.strictEqual(linked.user.id, user.id)
+
+  const providers = await app.inject({ url: '/auth/linked-providers', headers: bearer(token) })
+  assert.deepStrictEqual(providers.json().providers.map(p => p.provider), ['mock'])
+
+  const login = await oauthLogin(app, identity)
+  assert.strictEqual(login.user.id, user.id)
+  assert.ok(login.token)
+})
+
+test('a provider sign-in asks for the second factor when 2FA is on', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'carol')
+  const identity = { mock_user: 'mock-4' }
+  await linkMock(app, token, identity)
+
+  const { backupCodes: [backupCode] } = await enableTotp(app, token)
+
+  const login = await oauthLogin(app, identity)
+  assert.strictEqual(login.requiresTwoFactor, true)
+  assert.strictEqual(login.token, undefined)
+  assert.deepStrictEqual(login.methods, ['totp'])
+
+  // The temp token is not an access token
+  const me = await app.inject({ url: '/auth/me', headers: bearer(login.tempToken) })
+  assert.strictEqual(me.statusCode, 401)
+
+  const verified = await app.inject({
+    method: 'POST',
+    url: '/auth/2fa/verify',
+    payload: { tempToken: login.tempToken, twoFactorCode: backupCode }
+  })
+  assert.strictEqual(verified.statusCode, 200)
+  assert.strictEqual(verified.json().user.id, user.id)
+
+  const events = await app.inject({ url: '/auth/security/events', headers: bearer(verified.json().token) })
+  const event = events.json().events.find(e => e.type === 'login' && e.outcome === 'success')
+  assert.strictEqual(event.details.secondFactor, 'backup_code')
+})
+
+test('revoking provider tokens revokes them at the provider', async (t) => {
+  const app = await build(t)
+  const { token } = await registerVerified(app, 'dave')
+  await linkMock(app, token, { mock_user: 'mock-5' })
+
+  const before = (await app.inject({ url: '/auth/mock-oauth/state' })).json()
+  assert.strictEqual(before.activeAccessTokens, 1)
+
+  const res = await app.inject({ method: 'POST', url: '/auth/revoke', headers: bearer(token), payload: {} })
+  assert.strictEqual(res.statusCode, 200)
+  assert.strictEqual(res.json().success, true)
+  assert.deepStrictEqual(res.json().providers.map(p => [p.provider, p.success]), [['mock', true]])
+
+  const after = (await app.inject({ url: '/auth/mock-oauth/state' })).json()
+  assert.strictEqual(after.activeAccessTokens, 0)
+  assert.ok(after.revoked.some(entry => entry.providerId === 'mock-5'))
+
+  // Nothing left to revoke
+  const again = await app.inject({ method: 'POST', url: '/auth/revoke', headers: bearer(token), payload: {} })
+  assert.strictEqual(again.json().success, false)
+})
@@ -0,0 +1,93 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const speakeasy = require('speakeasy')
+const { build, bearer, mailedToken, registerVerified, enableTotp, MemoryDatabase } = require('../helper')
+
+const NEW_PASSWORD = 'Juniper-Kettle-77'
+
+async function requestReset(app, email) {
+  const res = await app.inject({ method: 'POST', url: '/auth/password/forgot', payload: { email } })
+  assert.strictEqual(res.statusCode, 200)
+  return mailedToken(email, 'resetPassword')
+}
+
+function reset(app, payload) {
+  return app.inject({ method: 'POST', url: '/auth/password/reset', payload: payload })
+}
+
+function login(app, email, password) {
+  return app.inject({ method: 'POST', url: '/auth/login', payload: { email, password } })
+}
+
+test('a reset link sets a new password and signs out every session', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'edgar')
+
+  const resetToken = await requestReset(app, user.email)
+  const res = await reset(app, { token: resetToken, newPassword: NEW_PASSWORD })
+  assert.strictEqual(res.statusCode, 200)
+
+  const me = await app.inject({ url: '/auth/me', headers: bearer(token) })
+  assert.strictEqual(me.statusCode, 401)
+  assert.strictEqual((await login(app, user.email, NEW_PASSWORD)).statusCode, 200)
+
+  const again = await reset(app, { token: resetToken, newPassword: 'Another-Pass-99' })
+  assert.strictEqual(again.json().code, 'AUTH_RESET_TOKEN_INVALID')
+})
+
+test('with 2FA on, a reset link needs a valid code', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'frank')
+  const { secret } = await enableTotp(app, token)
+  const resetToken = await requestReset(app, user.email)
+
+  const missing = await reset(app, { token: resetToken, newPassword: NEW_PASSWORD })
+  assert.strictEqual(missing.statusCode, 401)
+  assert.strictEqual(missing.json().code, 'AUTH_2FA_REQUIRED')
+
+  const wrong = await reset(app, { token: resetToken, newPassword: NEW_PASSWORD, twoFactorCode: '000000' })
+  assert.strictEqual(wrong.json().code, 'AUTH_2FA_INVALID')
+
+  const code = speakeasy.totp({ secret: secret, encoding: 'base32', time: Date.now() / 1000 + 30 })
+  const res = await reset(app, { token: resetToken, newPassword: NEW_PASSWORD, twoFactorCode: code })
+  assert.strictEqual(res.statusCode, 200)
+  assert.strictEqual((await login(app, user.email, NEW_PASSWORD)).json().requiresTwoFactor, true)
+})
+
+test('2FA codes given with a reset link are throttled', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'grace')
+  await enableTotp(app, token)
+  const resetToken = await requestReset(app, user.email)
+
+  let res
+  for (let attempt = 0; attempt < 5; attempt++) {
+    res = await reset(app, { token: resetToken, newPassword: NEW_PASSWORD, twoFactorCode: '000000' })
+    if (res.statusCode === 429) break
+  }
+  assert.strictEqual(res.statusCode, 429)
+  assert.strictEqual(res.json().code, 'AUTH_TOO_MANY_ATTEMPTS')
+  assert.ok(Number(res.headers['retry-after']) > 0)
+})
+
+test('a reset link stops working after 5 wrong 2FA codes', async (t) => {
+  const db = await MemoryDatabase.create()
+  const app = await build(t, { db })
+  const { user, token } = await registerVerified(app, 'heidi')
+  const { secret } = await enableTotp(app, token)
+  const resetToken = await requestReset(app, user.email)
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    // Clear the throttle to reach the link's own limit
+    await db.run('DELETE FROM auth_attempts')
+    const res = await reset(app, { token: resetToken, newPassword: NEW_PASSWORD, twoFactorCode: '000000' })
+    assert.strictEqual(res.json().code, 'AUTH_2FA_INVALID')
+  }
+
+  await db.run('DELETE FROM auth_attempts')
+  const code = speakeasy.totp({ secret: secret, encoding: 'base32', time: Date.now() / 1000 + 30 })
+  const res = await reset(app, { token: resetToken, newPassword: NEW_PASSWORD, twoFactorCode: code })
+  assert.strictEqual(res.json().code, 'AUTH_RESET_TOKEN_INVALID')
+})
@@ -0,0 +1,64 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build, bearer, registerVerified, reauthHeaders, PASSWORD } = require('../helper')
+
+// Routes that always want a reauth token
+const SENSITIVE = [
+  { method: 'PUT', url: '/auth/password', payload: { newPassword: 'Juniper-Kettle-77' } },
+  { method: 'PUT', url: '/auth/profile', payload: { email: 'someone@new.example' } },
+  { method: 'POST', url: '/auth/emails', payload: { email: 'someone@new.example' } },
+  { method: 'POST', url: '/auth/emails/primary', payload: { email: 'someone@new.example' } },
+  { method: 'DELETE', url: '/auth/emails/someone%40new.example' },
+  { method: 'POST', url: '/auth/2fa/disable', payload: {} },
+  { method: 'POST', url: '/auth/2fa/regenerate-backup-codes', payload: {} },
+  { method: 'POST', url: '/auth/webauthn/register/options', payload: {} },
+  { method: 'POST', url: '/auth/account/delete', payload: {} }
+]
+
+function changePassword(app, headers) {
+  return app.inject({ method: 'PUT', url: '/auth/password', headers: headers, payload: { newPassword: 'Juniper-Kettle-77' } })
+}
+
+test('sensitive routes refuse requests without a reauth token', async (t) => {
+  const app = await build(t)
+  const { token } = await registerVerified(app, 'karl')
+
+  for (const request of SENSITIVE) {
+    const res = await app.inject({ ...request, headers: bearer(token) })
+    assert.strictEqual(res.statusCode, 403, `${request.method} ${request.url}`)
+    assert.strictEqual(res.json().code, 'AUTH_REAUTH_REQUIRED', `${request.method} ${request.url}`)
+  }
+})
+
+test('a reauth token works for its session only, and not after 5 minutes', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'lena')
+  const headers = await reauthHeaders(app, token)
+
+  const garbage = await changePassword(app, { ...bearer(token), 'x-reauth-token': 'not-a-token' })
+  assert.strictEqual(garbage.json().code, 'AUTH_REAUTH_REQUIRED')
+
+  // Another session of the same account
+  const other = (await app.inject({ method: 'POST', url: '/auth/login', payload: { email: user.email, password: PASSWORD } })).json()
+  const elsewhere = await changePassword(app, { ...bearer(other.token), 'x-reauth-token': headers['x-reauth-token'] })
+  assert.strictEqual(elsewhere.json().code, 'AUTH_REAUTH_REQUIRED')
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 6 * 60 * 1000 })
+  const expired = await changePassword(app, headers)
+  assert.strictEqual(expired.statusCode, 403)
+  assert.strictEqual(expired.json().code, 'AUTH_REAUTH_REQUIRED')
+  t.mock.timers.reset()
+
+  assert.strictEqual((await changePassword(app, headers)).statusCode, 200)
+})
+
+test('a wrong password gets no reauth token', async (t) => {
+  const app = await build(t)
+  const { token } = await registerVerified(app, 'milo')
+
+  const res = await app.inject({ method: 'POST', url: '/auth/reauth', headers: bearer(token), payload: { password: 'wrong-password' } })
+  assert.strictEqual(res.statusCode, 401)
+  assert.strictEqual(res.json().reauthToken, undefined)
+})
@@ -0,0 +1,79 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build, bearer, browser, registerVerified, MemoryDatabase, PASSWORD } = require('../helper')
+
+function refresh(app, refreshToken) {
+  return app.inject({ method: 'POST', url: '/auth/refresh', payload: { refreshToken } })
+}
+
+function me(app, token) {
+  return app.inject({ url: '/auth/me', headers: bearer(token) })
+}
+
+test('a refresh rotates the refresh token', async (t) => {
+  const app = await build(t)
+  const { refreshToken } = await registerVerified(app, 'zoe')
+
+  const first = await refresh(app, refreshToken)
+  assert.strictEqual(first.statusCode, 200)
+  const { token, refreshToken: rotated } = first.json()
+  assert.notStrictEqual(rotated, refreshToken)
+  assert.strictEqual((await me(app, token)).statusCode, 200)
+
+  const second = await refresh(app, rotated)
+  assert.strictEqual(second.statusCode, 200)
+})
+
+test('the refresh cookie is rotated like the token', async (t) => {
+  const app = await build(t)
+  const { user } = await registerVerified(app, 'abel')
+  const request = browser(app)
+
+  const login = await request({ method: 'POST', url: '/auth/login', payload: { email: user.email, password: PASSWORD } })
+  assert.strictEqual(login.statusCode, 200)
+
+  for (let i = 0; i < 2; i++) {
+    const res = await request({ method: 'POST', url: '/auth/refresh', payload: {} })
+    assert.strictEqual(res.statusCode, 200)
+  }
+})
+
+test('reusing a rotated refresh token revokes its session', async (t) => {
+  const app = await build(t)
+  const { user, refreshToken } = await registerVerified(app, 'bella')
+  const other = (await app.inject({ method: 'POST', url: '/auth/login', payload: { email: user.email, password: PASSWORD } })).json()
+
+  const { token, refreshToken: rotated } = (await refresh(app, refreshToken)).json()
+
+  const reused = await refresh(app, refreshToken)
+  assert.strictEqual(reused.statusCode, 401)
+  assert.strictEqual(reused.json().code, 'AUTH_REFRESH_TOKEN_REUSED')
+
+  // The whole family is dead: the latest refresh token and the session's access token
+  const latest = await refresh(app, rotated)
+  assert.strictEqual(latest.statusCode, 401)
+  assert.strictEqual((await me(app, token)).statusCode, 401)
+
+  // Other sessions are left alone, and see the event
+  assert.strictEqual((await me(app, other.token)).statusCode, 200)
+  const events = await app.inject({ url: '/auth/security/events', headers: bearer(other.token) })
+  const event = events.json().events.find(e => e.type === 'refresh_token_reuse')
+  assert.strictEqual(event.outcome, 'failure')
+})
+
+test('a deactivated account cannot refresh, even once reactivated', async (t) => {
+  const db = await MemoryDatabase.create()
+  const app = await build(t, { db })
+  const { user, token, refreshToken } = await registerVerified(app, 'cyril')
+
+  await db.run('UPDATE users SET is_active = 0 WHERE id = ?', [user.id])
+  const res = await refresh(app, refreshToken)
+  assert.strictEqual(res.statusCode, 401)
+  assert.strictEqual(res.json().code, 'AUTH_REFRESH_TOKEN_INVALID')
+
+  // The session was revoked, not just refused
+  await db.run('UPDATE users SET is_active = 1 WHERE id = ?', [user.id])
+  assert.strictEqual((await me(app, token)).statusCode, 401)
+})
@@ -0,0 +1,106 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const speakeasy = require('speakeasy')
+const { build, registerVerified, enableTotp, MemoryDatabase, PASSWORD } = require('../helper')
+
+function login(app, email) {
+  return app.inject({ method: 'POST', url: '/auth/login', payload: { email, password: PASSWORD } })
+}
+
+function verify(app, tempToken, twoFactorCode) {
+  return app.inject({ method: 'POST', url: '/auth/2fa/verify', payload: { tempToken, twoFactorCode } })
+}
+
+// Password step, then the second factor
+async function loginWithCode(app, email, twoFactorCode) {
+  const { tempToken } = (await login(app, email)).json()
+  return verify(app, tempToken, twoFactorCode)
+}
+
+// The code of the next time step (the one at setup is already used)
+function nextTotp(secret, steps = 1) {
+  return speakeasy.totp({ secret: secret, encoding: 'base32', time: Date.now() / 1000 + 30 * steps })
+}
+
+async function storedTwoFactor(db, userId) {
+  const row = await db.get('SELECT two_factor_secret, two_factor_backup_codes FROM users WHERE id = ?', [userId])
+  return { secret: row.two_factor_secret, backupCodes: JSON.parse(row.two_factor_backup_codes) }
+}
+
+test('the 2FA step refuses an account deactivated after the password step', async (t) => {
+  const db = await MemoryDatabase.create()
+  const app = await build(t, { db })
+  const { user, token } = await registerVerified(app, 'uma')
+  const { backupCodes } = await enableTotp(app, token)
+
+  const { tempToken } = (await login(app, user.email)).json()
+  await db.run('UPDATE users SET is_active = 0 WHERE id = ?', [user.id])
+
+  const res = await verify(app, tempToken, backupCodes[0])
+  assert.strictEqual(res.statusCode, 401)
+  assert.strictEqual(res.json().code, 'AUTH_TEMP_TOKEN_INVALID')
+  assert.strictEqual(res.json().token, undefined)
+})
+
+test('a TOTP code is accepted once, and earlier codes after it', async (t) => {
+  const app = await build(t)
+  const { user, token } = await registerVerified(app, 'hector')
+  const { secret } = await enableTotp(app, token)
+
+  const code = nextTotp(secret)
+  assert.strictEqual((await loginWithCode(app, user.email, code)).statusCode, 200)
+
+  const replayed = await loginWithCode(app, user.email, code)
+  assert.strictEqual(replayed.statusCode, 401)
+  assert.strictEqual(replayed.json().code, 'AUTH_2FA_CODE_REUSED')
+
+  const earlier = await loginWithCode(app, user.email, nextTotp(secret, 0))
+  assert.strictEqual(earlier.json().code, 'AUTH_2FA_CODE_REUSED')
+})
+
+test('the TOTP secret is encrypted and backup codes are hashed, each usable once', async (t) => {
+  const db = await MemoryDatabase.create()
+  const app = await build(t, { db })
+  const { user, token } = await registerVerified(app, 'ingrid')
+  const { secret, backupCodes } = await enableTotp(app, token)
+
+  const stored = await storedTwoFactor(db, user.id)
+  assert.ok(!stored.secret.includes(secret))
+  assert.strictEqual(stored.backupCodes.length, backupCodes.length)
+  for (const entry of stored.backupCodes) {
+    assert.match(entry.hash, /^scrypt:/)
+    assert.strictEqual(entry.code, undefined)
+  }
+  assert.ok(!backupCodes.some(code => JSON.stringify(stored).includes(code)))
+
+  assert.strictEqual((await loginWithCode(app, user.email, backupCodes[0])).statusCode, 200)
+  const again = await loginWithCode(app, user.email, backupCodes[0])
+  assert.strictEqual(again.statusCode, 401)
+  assert.strictEqual(again.json().code, 'AUTH_2FA_INVALID')
+})
+
+test('2FA data stored in plaintext is encrypted and hashed at startup', async (t) => {
+  const db = await MemoryDatabase.create()
+  const first = await build(t, { db })
+  const { user, token } = await registerVerified(first, 'jasper')
+  const { secret } = await enableTotp(first, token)
+  await first.close()
+
+  // As older versions stored them
+  await db.run('UPDATE users SET two_factor_secret = ?, two_factor_backup_codes = ? WHERE id = ?', [
+    secret,
+    JSON.stringify([{ code: '12345678', used: false }, { code: '87654321', used: true, usedAt: new Date().toISOString() }]),
+    user.id
+  ])
+
+  const app = await build(t, { db })
+  const stored = await storedTwoFactor(db, user.id)
+  assert.notStrictEqual(stored.secret, secret)
+  assert.deepStrictEqual(stored.backupCodes.map(entry => [entry.hash.startsWith('scrypt:'), entry.used]), [[true, false], [true, true]])
+
+  assert.strictEqual((await loginWithCode(app, user.email, '12345678')).statusCode, 200)
+  assert.strictEqual((await loginWithCode(app, user.email, '87654321')).statusCode, 401)
+  assert.strictEqual((await loginWithCode(app, user.email, nextTotp(secret))).statusCode, 200)
+})
@@ -0,0 +1,34 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { build } = require('../helper')
+
+test('the JWKS lists the public signing keys', async (t) => {
+  const app = await build(t)
+
+  for (const url of ['/.well-known/jwks.json', '/auth/.well-known/jwks.json']) {
+    const res = await app.inject({ url })
+    assert.strictEqual(res.statusCode, 200)
+    const [key] = res.json().keys
+    assert.strictEqual(key.use, 'sig')
+    assert.ok(key.kid && key.alg && key.kty)
+    assert.strictEqual(key.d, undefined)
+  }
+
+  const query = await app.inject({ url: '/.well-known/jwks.json?kid=x' })
+  assert.strictEqual(query.statusCode, 400)
+  assert.strictEqual(query.json().code, 'VALIDATION_FAILED')
+})
+
+test('the OpenID Connect discovery document points at the endpoints', async (t) => {
+  const app = await build(t)
+
+  const res = await app.inject({ url: '/.well-known/openid-configuration?ignored=1' })
+  assert.strictEqual(res.statusCode, 200)
+  const discovery = res.json()
+  assert.ok(discovery.token_endpoint.endsWith('/auth/oidc/token'))
+  assert.ok(discovery.jwks_uri.endsWith('/.well-known/jwks.json'))
+  assert.deepStrictEqual(discovery.response_types_supported, ['code'])
+  assert.deepStrictEqual(discovery.code_challenge_methods_supported, ['S256'])
+})
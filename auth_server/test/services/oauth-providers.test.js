@@ -0,0 +1,33 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { OAuthProvider, FortyTwoProvider, GitLabProvider } = require('../../services/oauthProviders')
+
+const config = { name: 'test', clientId: 'id', clientSecret: 'secret' }
+
+test('a configured provider shares the email only when it flags it verified', () => {
+  const provider = new OAuthProvider(config)
+  const profile = { id: 7, username: 'rita', email: 'rita@example.com' }
+
+  assert.strictEqual(provider.normalizeProfile(profile).email, null)
+  assert.strictEqual(provider.normalizeProfile({ ...profile, email_verified: 'true' }).email, null)
+  assert.strictEqual(provider.normalizeProfile({ ...profile, email_verified: true }).email, 'rita@example.com')
+})
+
+test('GitLab shares confirmed addresses only', () => {
+  const provider = new GitLabProvider(config)
+  const profile = { id: 8, username: 'sam', email: 'sam@example.com', avatar_url: null }
+
+  assert.strictEqual(provider.normalizeProfile({ ...profile, confirmed_at: null }).email, null)
+  const confirmed = provider.normalizeProfile({ ...profile, confirmed_at: '2024-01-01T00:00:00Z' })
+  assert.deepStrictEqual(confirmed, { providerId: '8', username: 'sam', email: 'sam@example.com', avatar: null })
+})
+
+test('42 shares no address', () => {
+  const provider = new FortyTwoProvider(config)
+
+  const profile = provider.normalizeProfile({ id: 9, login: 'tina', email: 'tina@student.42.fr' })
+  assert.strictEqual(profile.email, null)
+  assert.strictEqual(profile.username, 'tina')
+})
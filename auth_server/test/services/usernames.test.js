@@ -0,0 +1,37 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const UsernameRegistry = require('../../services/usernames')
+
+const registry = new UsernameRegistry(null, { cooldownDays: 30, reserved: [] })
+
+function code(fn) {
+  try {
+    fn()
+  } catch (error) {
+    return error.code
+  }
+  return null
+}
+
+test('names of any one script are accepted', () => {
+  for (const name of ['jane_doe', 'Ｊａｎｅ', 'Дмитрий', 'Σοφία', 'さくら-ネコ', '李小龍', 'ゲーマー', 'José', 'player42']) {
+    assert.strictEqual(code(() => registry.validate(name)), null, name)
+  }
+})
+
+test('names mixing lookalike scripts are refused', () => {
+  // Cyrillic "а", Greek "ο"
+  for (const name of ['аdmin', 'rοot', 'janeа']) {
+    assert.strictEqual(code(() => registry.validate(name)), 'AUTH_USERNAME_INVALID', name)
+  }
+})
+
+test('reserved names are matched on what they look like', () => {
+  // Accented, separated, and all-Cyrillic "api" (а р і)
+  for (const name of ['admín', 'ÁDMIN', 'ad-min', 'арі', 'suppört']) {
+    assert.strictEqual(code(() => registry.validate(name)), 'AUTH_USERNAME_RESERVED', name)
+  }
+  assert.strictEqual(code(() => registry.validate('administrators')), null)
+})
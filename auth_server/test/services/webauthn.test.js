@@ -0,0 +1,33 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { MemoryDatabase } = require('../helper')
+const migrations = require('../../services/schema')
+const WebAuthnService = require('../../services/webauthn')
+
+test('a challenge is consumed once, even by concurrent requests', async () => {
+  const db = await MemoryDatabase.create()
+  await db.migrate(migrations)
+  const service = new WebAuthnService(db)
+
+  const challengeId = await service.saveChallenge('challenge', 'authentication')
+  const results = await Promise.allSettled([
+    service.consumeChallenge(challengeId, 'authentication'),
+    service.consumeChallenge(challengeId, 'authentication')
+  ])
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected'])
+  const rejected = results.find(result => result.status === 'rejected')
+  assert.strictEqual(rejected.reason.code, 'AUTH_PASSKEY_CHALLENGE_INVALID')
+})
+
+test('a challenge is only consumed for its own type', async () => {
+  const db = await MemoryDatabase.create()
+  await db.migrate(migrations)
+  const service = new WebAuthnService(db)
+
+  const challengeId = await service.saveChallenge('challenge', 'authentication')
+  await assert.rejects(service.consumeChallenge(challengeId, 'registration'), { code: 'AUTH_PASSKEY_CHALLENGE_INVALID' })
+  assert.deepStrictEqual(await service.consumeChallenge(challengeId, 'authentication'), { challenge: 'challenge', userId: null })
+})